@@ -0,0 +1,121 @@
+/**
+ * WebGL Context Guard
+ * Pauses a WebGL layer on `webglcontextlost`, rebuilds it on `webglcontextrestored`
+ * and reports failure when the context does not come back in time.
+ * Every guard registers under a name so tests can force a loss via WEBGL_lose_context:
+ *   window.__glContext.lose('snow'); window.__glContext.restore('snow');
+ */
+
+const guards = new Map();
+
+class GLContextGuard {
+  constructor(canvas, gl, options = {}) {
+    this.canvas = canvas;
+    this.name = options.name || `gl-${guards.size + 1}`;
+    this.onLost = options.onLost || null;
+    this.onRestored = options.onRestored || null;
+    this.onFailed = options.onFailed || null;
+    this.restoreTimeout = options.restoreTimeout ?? 3000; // ms to wait for the browser to restore
+    this.isLost = false;
+    this.hasFailed = false;
+    this.failTimer = null;
+
+    // The extension object stays usable after the loss, so grab it while the context is alive
+    this.loseContextExt = gl ? gl.getExtension('WEBGL_lose_context') : null;
+
+    this.handleLost = this.handleLost.bind(this);
+    this.handleRestored = this.handleRestored.bind(this);
+    canvas.addEventListener('webglcontextlost', this.handleLost, false);
+    canvas.addEventListener('webglcontextrestored', this.handleRestored, false);
+
+    guards.set(this.name, this);
+  }
+
+  handleLost(event) {
+    // Without preventDefault the browser never attempts a restore
+    event.preventDefault();
+    if (this.isLost) return;
+    this.isLost = true;
+    console.warn(`WebGL context lost (${this.name})`);
+
+    try {
+      this.onLost?.();
+    } catch (error) {
+      console.error(`Error pausing ${this.name} after context loss:`, error);
+    }
+
+    this.failTimer = setTimeout(() => this.fail('restore-timeout'), this.restoreTimeout);
+  }
+
+  async handleRestored() {
+    if (!this.isLost || this.hasFailed) return;
+    clearTimeout(this.failTimer);
+    this.failTimer = null;
+    this.isLost = false;
+    console.log(`WebGL context restored (${this.name}) - rebuilding`);
+
+    try {
+      await this.onRestored?.();
+    } catch (error) {
+      console.error(`Failed to rebuild ${this.name} after context restore:`, error);
+      this.fail('rebuild-failed');
+    }
+  }
+
+  fail(reason) {
+    if (this.hasFailed) return;
+    this.hasFailed = true;
+    clearTimeout(this.failTimer);
+    this.failTimer = null;
+    console.warn(`WebGL context for ${this.name} not recoverable (${reason}) - falling back`);
+
+    try {
+      this.onFailed?.(reason);
+    } catch (error) {
+      console.error(`Fallback for ${this.name} failed:`, error);
+    }
+  }
+
+  // Test hooks
+  forceLoss() {
+    if (!this.loseContextExt) {
+      console.warn(`WEBGL_lose_context unavailable for ${this.name}`);
+      return false;
+    }
+    this.loseContextExt.loseContext();
+    return true;
+  }
+
+  forceRestore() {
+    if (!this.loseContextExt || !this.isLost) return false;
+    this.loseContextExt.restoreContext();
+    return true;
+  }
+
+  dispose() {
+    clearTimeout(this.failTimer);
+    this.failTimer = null;
+    this.canvas.removeEventListener('webglcontextlost', this.handleLost, false);
+    this.canvas.removeEventListener('webglcontextrestored', this.handleRestored, false);
+    if (guards.get(this.name) === this) {
+      guards.delete(this.name);
+    }
+  }
+}
+
+// Test hook registry
+const glContextHooks = {
+  get names() { return Array.from(guards.keys()); },
+  get: (name) => guards.get(name),
+  lose: (name) => guards.get(name)?.forceLoss() ?? false,
+  restore: (name) => guards.get(name)?.forceRestore() ?? false,
+  isLost: (name) => guards.get(name)?.isLost ?? false
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GLContextGuard, glContextHooks };
+} else {
+  window.GLContextGuard = GLContextGuard;
+  window.__glContext = glContextHooks;
+}
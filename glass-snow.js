@@ -0,0 +1,169 @@
+/**
+ * Glass Snow
+ * Snowflakes that settle on the menu glass and thaw into rain. Flakes land at a rate set
+ * by `snowfall` (weather-controller.js feeds it SnowSystem's intensity), stick as small
+ * crystal sprites and melt at a rate tied to the glass temperature; a fully melted flake
+ * is handed to `onMelt(x, y, r)` so the active rain engine turns it into a drop. Hail and sleet
+ * pellets land the same way at `hailfall` for engines with no ice of their own.
+ * Works in CSS px and is DOM-free apart from draw(), so it runs in Node too:
+ *   const snow = new GlassSnow({ width: 800, height: 600, temperature: 2, onMelt });
+ *   snow.update(1 / 60);
+ */
+
+// Organic helpers and the seeded PRNG; a global in the browser, required in Node
+const GlassSnowUtils = (typeof window !== 'undefined' && window.RainUtils) ||
+  (typeof require === 'function' ? require('./rain-utils.js') : null);
+
+const FLAKE_ARMS = 6;
+const FLAKE_WATER = 0.6; // drop radius per flake radius: a flake is mostly air
+const PELLET_WATER = 0.9; // a pellet is nearly solid
+
+class GlassSnow {
+  constructor(options = {}) {
+    this.width = options.width || 800;
+    this.height = options.height || 600;
+    this.snowfall = options.snowfall ?? 1;         // landing multiplier, SnowSystem intensity scale
+    this.landingRate = options.landingRate ?? 4;   // flakes per second per CSS megapixel at snowfall 1
+    this.temperature = options.temperature ?? -2;  // °C of the glass; flakes only melt above 0
+    this.meltRate = options.meltRate ?? 0.06;      // share of a flake melted per second per °C above 0
+    this.flakeSize = options.flakeSize || [2, 5];  // CSS px radius
+    this.hailfall = options.hailfall ?? 0;         // pellet landing multiplier
+    this.hailRate = options.hailRate ?? 12;        // pellets per second per CSS megapixel at hailfall 1
+    this.pelletSize = options.pelletSize || [1.5, 3.5];
+    this.maxFlakes = options.maxFlakes ?? 300;
+    this.onMelt = options.onMelt || null;
+
+    this.rng = options.rng || (GlassSnowUtils ? GlassSnowUtils.createRandom(options.seed ?? null, 'glass-snow') : { next: Math.random });
+    this.flakes = []; // { x, y, r, angle, branch, melt, pellet }
+    this._landingAcc = 0;
+    this._pelletAcc = 0;
+  }
+
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.flakes = this.flakes.filter(f => f.x <= width && f.y <= height);
+  }
+
+  // Stick a flake (or an ice pellet) to the glass; random spot and size unless given
+  land(x, y, r, pellet = false) {
+    if (this.flakes.length >= this.maxFlakes) return null;
+    const [min, max] = pellet ? this.pelletSize : this.flakeSize;
+    const flake = {
+      x: x ?? this.rng.next() * this.width,
+      y: y ?? this.rng.next() * this.height,
+      r: r ?? min + this.rng.next() * (max - min),
+      angle: this.rng.next() * Math.PI / 3, // sixfold symmetric, so a sixth of a turn covers it
+      branch: 0.35 + this.rng.next() * 0.3,  // where along each arm the side branches sprout
+      melt: 0,                               // 0 = crisp crystal, 1 = water
+      pellet
+    };
+    this.flakes.push(flake);
+    return flake;
+  }
+
+  update(dt) {
+    const megapixels = this.width * this.height / 1e6;
+    this._landingAcc += this.landingRate * Math.max(0, this.snowfall) * megapixels * dt;
+    while (this._landingAcc >= 1) {
+      this._landingAcc -= 1;
+      if (!this.land()) {
+        this._landingAcc = 0;
+        break;
+      }
+    }
+    this._pelletAcc += this.hailRate * Math.max(0, this.hailfall) * megapixels * dt;
+    while (this._pelletAcc >= 1) {
+      this._pelletAcc -= 1;
+      if (!this.land(undefined, undefined, undefined, true)) {
+        this._pelletAcc = 0;
+        break;
+      }
+    }
+
+    const melting = this.meltRate * Math.max(0, this.temperature) * dt;
+    if (melting <= 0) return;
+    for (let i = this.flakes.length - 1; i >= 0; i--) {
+      const f = this.flakes[i];
+      // Small flakes go first
+      f.melt += melting * ((f.pellet ? this.pelletSize : this.flakeSize)[1] / f.r);
+      if (f.melt < 1) continue;
+      this.flakes.splice(i, 1);
+      this.onMelt?.(f.x, f.y, f.r * (f.pellet ? PELLET_WATER : FLAKE_WATER));
+    }
+  }
+
+  // Sprites in CSS px: six feathered arms that shrink and round off into a wet bead as they melt
+  draw(ctx) {
+    if (!this.flakes.length) return;
+    ctx.save();
+    ctx.lineCap = 'round';
+    for (const f of this.flakes) {
+      if (f.pellet) {
+        this.drawPellet(ctx, f);
+        continue;
+      }
+      const crystal = 1 - f.melt;
+      const arm = f.r * (0.4 + 0.6 * crystal);
+      ctx.save();
+      ctx.translate(f.x, f.y);
+      ctx.rotate(f.angle);
+
+      if (f.melt > 0) {
+        // the bead of meltwater gathering in the middle
+        const bead = f.r * FLAKE_WATER * f.melt;
+        const g = ctx.createRadialGradient(-bead * 0.3, -bead * 0.3, 0, 0, 0, bead);
+        g.addColorStop(0, 'rgba(255,255,255,0.5)');
+        g.addColorStop(1, 'rgba(200,215,230,0.15)');
+        ctx.fillStyle = g;
+        ctx.beginPath();
+        ctx.arc(0, 0, bead, 0, Math.PI * 2);
+        ctx.fill();
+      }
+
+      ctx.strokeStyle = `rgba(255,255,255,${0.85 * crystal})`;
+      ctx.lineWidth = Math.max(0.5, f.r * 0.18);
+      ctx.beginPath();
+      for (let k = 0; k < FLAKE_ARMS; k++) {
+        const a = (k / FLAKE_ARMS) * Math.PI * 2;
+        const cos = Math.cos(a);
+        const sin = Math.sin(a);
+        ctx.moveTo(0, 0);
+        ctx.lineTo(cos * arm, sin * arm);
+        // one pair of side branches per arm
+        const bx = cos * arm * f.branch;
+        const by = sin * arm * f.branch;
+        const twig = arm * 0.35 * crystal;
+        for (const side of [-1, 1]) {
+          const b = a + side * Math.PI / 4;
+          ctx.moveTo(bx, by);
+          ctx.lineTo(bx + Math.cos(b) * twig, by + Math.sin(b) * twig);
+        }
+      }
+      ctx.stroke();
+      ctx.restore();
+    }
+    ctx.restore();
+  }
+
+  // An opaque bead of ice that clears from the rim inward as it melts
+  drawPellet(ctx, f) {
+    const r = f.r * (1 - 0.4 * f.melt);
+    const alpha = 1 - 0.7 * f.melt;
+    const g = ctx.createRadialGradient(f.x - r * 0.35, f.y - r * 0.35, r * 0.1, f.x, f.y, r);
+    g.addColorStop(0, `rgba(255,255,255,${0.95 * alpha})`);
+    g.addColorStop(0.6, `rgba(214,226,238,${0.85 * alpha})`);
+    g.addColorStop(1, `rgba(160,178,198,${0.75 * alpha})`);
+    ctx.fillStyle = g;
+    ctx.beginPath();
+    ctx.arc(f.x, f.y, r, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GlassSnow };
+} else {
+  window.GlassSnow = GlassSnow;
+}
@@ -1,8 +1,32 @@
 /**
  * Rain Engine Manager - Dual Engine Architecture
- * Provides unified API for WebGL (RaindropFX) and Canvas2D (RainyDay.js) rain effects
+ * Provides unified API for WebGL (RaindropFX) and Canvas2D (RainOnGlass, RainyDay.js) rain effects
  */
 
+// Runtime downgrade order used by RainEngineManager when FPS stays below budget
+const FALLBACK_CHAIN = ['webgl', 'canvas2d', 'static'];
+
+// Shared normalized parameter space (every value 0-1). Each engine calibrates these to its
+// own units through the ranges it reports in getCapabilities(), so the same settings look
+// comparable whichever engine is active.
+const PARAM_KEYS = ['intensity', 'wind', 'condensation', 'refraction', 'blur'];
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+// RaindropFX drift (shifting, x per unit of fall) per unit of live wind, relative to the
+// calibrated xShifting: a strong gust leans the drops well past their random drift
+const RAINDROPFX_WIND_GAIN = 4;
+
+// Canvas2D drop cap at full intensity. The drop store keeps thousands of pinned beads cheap,
+// so splash crowns can build up; `options.rainOnGlass.maxDrops` sets a different cap
+const RAINONGLASS_MAX_DROPS = 6000;
+
+// Engines without ice of their own show hail and sleet as pellets on the glass-snow overlay:
+// the share of full intensity that lands as pellets, and the glass temperature (°C) they melt
+// at when no snow-on-glass thaw sets one
+const PELLET_SHARE = { rain: 0, sleet: 0.5, hail: 1 };
+const PELLET_GLASS_TEMPERATURE = 3;
+
 // Unified API Interface
 class RainEngine {
   constructor(canvas, options = {}) {
@@ -10,6 +34,7 @@ class RainEngine {
     this.options = this.mergeDefaultOptions(options);
     this.isRunning = false;
     this.animationId = null;
+    this.params = this.resolveParams(options);
   }
 
   async start() {
@@ -28,20 +53,115 @@ class RainEngine {
     throw new Error('setBackground() must be implemented by engine');
   }
 
+  // Push changed normalized parameters ({ key: 0-1 }) into the engine's native settings
+  applyParams(changed) {
+    throw new Error('applyParams() must be implemented by engine');
+  }
+
+  destroy() {
+    throw new Error('destroy() must be implemented by engine');
+  }
+
+  // Supported features plus, per normalized parameter, the native settings it drives and
+  // their [min, max] span; null means the engine cannot express that parameter
+  getCapabilities() {
+    return {
+      engine: this.constructor.name,
+      features: { mist: false, trails: false, collisions: false, liveBackground: false },
+      ranges: { intensity: null, wind: null, condensation: null, refraction: null, blur: null }
+    };
+  }
+
+  getParams() {
+    return { ...this.params };
+  }
+
+  // Update any subset of the normalized parameters; values are clamped to 0-1
+  setParams(params = {}) {
+    const changed = {};
+    for (const key of PARAM_KEYS) {
+      let value = params[key];
+      if (typeof value === 'boolean') value = value ? 1 : 0;
+      if (typeof value === 'number' && isFinite(value)) {
+        changed[key] = clamp01(value);
+      }
+    }
+    
+    Object.assign(this.params, changed);
+    // Keep the legacy option fields in step for code that still reads them
+    this.options.intensity = this.params.intensity * 3;
+    this.options.wind = this.params.wind;
+    this.options.condensation = this.params.condensation > 0;
+    
+    this.applyParams(changed);
+    return this.getParams();
+  }
+
+  // Native values for one normalized parameter, interpolated across the engine's ranges
+  calibrate(key) {
+    const ranges = this.getCapabilities().ranges[key];
+    const native = {};
+    if (!ranges) return native;
+    
+    const t = this.params[key];
+    for (const [name, [min, max]] of Object.entries(ranges)) {
+      native[name] = min + (max - min) * t;
+    }
+    return native;
+  }
+
+  // Legacy setters map onto the normalized space (intensity keeps its 0-3 scale)
   setIntensity(level) {
-    throw new Error('setIntensity() must be implemented by engine');
+    this.setParams({ intensity: level / 3 });
   }
 
   setWind(strength) {
-    throw new Error('setWind() must be implemented by engine');
+    this.setParams({ wind: strength });
+  }
+
+  // Live wind from the shared wind service (weather-controller.js): a signed vector in gust
+  // units that engines scale by their calibrated wind, on top of the steady `wind` param.
+  // `field(u, v, out)` optionally adds swirls at normalized canvas coordinates.
+  setWindVector(x, y, field = null) {
+    this.windVector = { x, y };
+    this.windField = field;
+    this.applyWindVector();
+  }
+
+  // Engines without a directional wind ignore the live vector
+  applyWindVector() {}
+
+  // Snow settling on the glass (glass-snow.js): { snowfall, temperature } while flakes land
+  // and thaw into this engine's drops (temperature is the glass's, °C), null to stop
+  setSnowOnGlass(settings) {
+    this.snowOnGlass = settings;
+    this.applySnowOnGlass();
+  }
+
+  // Engines that cannot show flakes ignore them
+  applySnowOnGlass() {}
+
+  // Precipitation type: 'rain', 'hail' or 'sleet'
+  setPrecipitation(type) {
+    this.precipitation = type;
+    this.applyPrecipitation();
   }
 
+  // Engines that only make water ignore the ice
+  applyPrecipitation() {}
+
   setCondensation(enabled) {
-    throw new Error('setCondensation() must be implemented by engine');
+    this.setParams({ condensation: enabled ? 1 : 0 });
   }
 
-  destroy() {
-    throw new Error('destroy() must be implemented by engine');
+  // Optional: live drops for engine handoff, as { x, y, r } normalized to canvas width/height
+  exportDrops() {
+    return [];
+  }
+
+  // Optional: recreate handed-off drops; engines that are not initialized yet keep them pending
+  importDrops(drops) {
+    this.pendingDrops = drops;
   }
 
   mergeDefaultOptions(options) {
@@ -50,27 +170,52 @@ class RainEngine {
       width: this.canvas.width || 800,
       height: this.canvas.height || 600,
       background: options.background || null,
-      intensity: options.intensity || 2, // 0-3 scale
-      wind: options.wind || 0.5, // 0-1 scale
+      intensity: options.intensity ?? 2, // 0-3 scale
+      wind: options.wind ?? 0.5, // 0-1 scale
       condensation: options.condensation !== false, // default true
       
       // Engine-specific options will be merged by individual engines
       ...options
     };
   }
+
+  // `options.params` (normalized) wins over the legacy intensity/wind/condensation options
+  resolveParams(options) {
+    const params = {
+      intensity: clamp01(this.options.intensity / 3),
+      wind: clamp01(this.options.wind),
+      condensation: this.options.condensation ? 1 : 0,
+      refraction: 0.5,
+      blur: 0.5
+    };
+    for (const key of PARAM_KEYS) {
+      const value = options.params?.[key];
+      if (typeof value === 'number' && isFinite(value)) {
+        params[key] = clamp01(value);
+      }
+    }
+    return params;
+  }
 }
 
 // WebGL RaindropFX Engine Implementation
+// Wraps the bundled RaindropFX library (raindrop-fx.js). RaindropFX shares a single
+// options object between its simulator and renderer, so writing into
+// `raindropFx.options` takes effect on the next frame without a restart.
 class RaindropFXEngine extends RainEngine {
   constructor(canvas, options = {}) {
     super(canvas, options);
-    this.renderer = null;
-    this.simulator = null;
+    this.raindropFx = null;
+    this.windDrift = null; // calibrated wind drift, cached for the steering loop
     this.isWebGLSupported = this.detectWebGLSupport();
     
     if (!this.isWebGLSupported) {
       throw new Error('WebGL not supported, use RainyDayEngine instead');
     }
+    
+    if (typeof RaindropFX === 'undefined') {
+      throw new Error('RaindropFX library not loaded. Please ensure raindrop-fx.js is included.');
+    }
   }
 
   detectWebGLSupport() {
@@ -100,19 +245,32 @@ class RaindropFXEngine extends RainEngine {
 
   async start() {
     if (this.isRunning) return;
+    if (this.contextGuard?.isLost) {
+      // Resume once the context is back
+      this.resumeAfterRestore = true;
+      return;
+    }
     
     try {
-      // Initialize WebGL renderer and simulator
-      await this.initializeWebGL();
+      if (!this.raindropFx) {
+        this.initializeRaindropFX();
+      }
+      // RaindropFX loads its droplet texture and background before the first frame
+      await this.raindropFx.start();
       this.isRunning = true;
-      this.animationLoop();
+      this.startSteering();
+      this.applySnowOnGlass();
+      
+      if (this.pendingDrops) {
+        this.importDrops(this.pendingDrops);
+      }
     } catch (error) {
       console.error('Failed to start RaindropFX engine:', error);
       throw error;
     }
   }
 
-  async initializeWebGL() {
+  initializeRaindropFX() {
     console.log('Initializing RaindropFX WebGL engine...');
     
     // Ensure canvas is properly sized
@@ -122,60 +280,230 @@ class RaindropFXEngine extends RainEngine {
       this.canvas.height = 600;
     }
     
-    // Create a WebGL context with proper error handling
-    let gl = null;
     try {
-      // Try WebGL2 first with minimal options
-      gl = this.canvas.getContext('webgl2');
-      
-      if (!gl) {
-        // Fallback to WebGL1
-        gl = this.canvas.getContext('webgl');
-      }
-      
-      if (!gl) {
-        // Last resort: experimental-webgl
-        gl = this.canvas.getContext('experimental-webgl');
-      }
+      // RaindropFX creates and owns the WebGL context on this canvas
+      this.raindropFx = new RaindropFX(this.buildRaindropFXOptions());
     } catch (error) {
-      console.error('WebGL context creation error:', error);
-      throw new Error('WebGL context creation failed: ' + error.message);
-    }
-    
-    if (!gl) {
-      throw new Error('WebGL context creation failed - no WebGL support available');
+      console.error('RaindropFX creation error:', error);
+      throw new Error('RaindropFX creation failed: ' + error.message);
     }
     
-    // Set up basic WebGL state
-    gl.enable(gl.BLEND);
-    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-    gl.clearColor(0, 0, 0, 0);
-    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    console.log('RaindropFX instance created successfully');
+    this.setupContextGuard();
+  }
+
+  // Pause on GPU reset, rebuild RaindropFX on restore, ask the manager to fall back on failure
+  setupContextGuard() {
+    if (typeof GLContextGuard === 'undefined' || this.contextGuard) return;
     
-    this.gl = gl;
-    console.log('WebGL context created successfully');
+    this.contextGuard = new GLContextGuard(this.canvas, this.raindropFx.renderer?.renderer?.gl, {
+      name: 'rain',
+      onLost: () => {
+        this.resumeAfterRestore = this.isRunning;
+        // The simulator is CPU-side and survives the loss
+        this.dropsBeforeLoss = this.exportDrops();
+        this.stop();
+      },
+      onRestored: async () => {
+        // Textures and buffers died with the old context; build a fresh instance on the restored one
+        this.raindropFx = null;
+        this.initializeRaindropFX();
+        this.importDrops(this.dropsBeforeLoss || []);
+        this.dropsBeforeLoss = null;
+        if (this.resumeAfterRestore) {
+          await this.start();
+        }
+      },
+      onFailed: (reason) => {
+        this.onContextFailed?.(`webgl-${reason}`);
+      }
+    });
   }
 
-  animationLoop() {
-    if (!this.isRunning) return;
+  // RaindropFX-specific keys live under `options.raindropFx`; the calibrated values go on top
+  // so the normalized params still drive a preset that names the same keys
+  buildRaindropFXOptions() {
+    return {
+      ...this.options.raindropFx,
+      ...this.getNativeParams(PARAM_KEYS),
+      canvas: this.canvas,
+      width: this.canvas.width,
+      height: this.canvas.height,
+      background: this.resolveBackground(this.options.background)
+    };
+  }
+
+  resolveBackground(source) {
+    if (typeof source === 'string' && source.startsWith('#')) {
+      source = document.querySelector(source);
+    }
+    if (!source) {
+      return this.createDefaultBackground();
+    }
+    return source;
+  }
+
+  createDefaultBackground() {
+    // Same blue gradient RainyDayEngine uses when no background is provided
+    const bg = document.createElement('canvas');
+    bg.width = this.canvas.width || 800;
+    bg.height = this.canvas.height || 600;
+    const ctx = bg.getContext('2d');
+    const grad = ctx.createLinearGradient(0, 0, bg.width, bg.height);
+    grad.addColorStop(0, '#4a90e2');
+    grad.addColorStop(1, '#357abd');
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, bg.width, bg.height);
+    return bg;
+  }
+
+  // Tilt gravity (`options.tilt`, see tilt-gravity.js) and the shared wind. RaindropFX only
+  // pulls along its own y axis, so the tilt becomes the gravity strength along y plus a
+  // sideways drift (cot of the angle), and the wind adds its own drift; both are forced onto
+  // every live drop each frame
+  startSteering() {
+    if (this.steerFrame || !this.raindropFx) return;
+    const useTilt = this.options.tilt && typeof TiltGravity !== 'undefined';
+    if (!useTilt && !this.windVector) return;
+    if (useTilt && !this.tilt) {
+      this.tilt = TiltGravity.shared();
+      this.tilt.enable({ emulatePointer: this.options.tilt === 'mouse' });
+    }
+    this.baseGravity = this.baseGravity ?? this.raindropFx.options.gravity;
     
-    // Simple animated gradient to show WebGL is working
-    const time = performance.now() * 0.001;
-    const r = 0.1 + 0.1 * Math.sin(time);
-    const g = 0.2 + 0.1 * Math.cos(time * 0.7);
-    const b = 0.4 + 0.1 * Math.sin(time * 1.3);
+    const steer = () => {
+      this.steerFrame = null;
+      if (!this.isRunning || !this.raindropFx) return;
+      let tiltShifting = null;
+      if (this.tilt?.active) {
+        const down = Math.sin(this.tilt.angle);
+        const across = Math.cos(this.tilt.angle);
+        this.raindropFx.options.gravity = this.baseGravity * Math.max(0.1, down);
+        // Near upright the drops keep their own random drift
+        if (Math.abs(across) > 0.02) {
+          tiltShifting = Math.max(-3, Math.min(3, across / Math.max(0.1, down)));
+        }
+      }
+      if (this.windVector) this.windDrift ??= this.calibrate('wind').xShifting * RAINDROPFX_WIND_GAIN;
+      const windShifting = this.windVector ? this.windVector.x * this.windDrift : 0;
+      if (tiltShifting !== null || windShifting) {
+        for (const drop of this.raindropFx.simulator.raindrops) {
+          // The library re-rolls shifting now and then; keep that roll as the drop's own drift
+          if (drop.shifting !== drop._steered) drop._ownShifting = drop.shifting;
+          drop.shifting = drop._steered = (tiltShifting ?? drop._ownShifting) + windShifting;
+        }
+      }
+      this.steerFrame = requestAnimationFrame(steer);
+    };
+    this.steerFrame = requestAnimationFrame(steer);
+  }
+
+  stopSteering() {
+    if (this.steerFrame) cancelAnimationFrame(this.steerFrame);
+    this.steerFrame = null;
+  }
+
+  // The steering loop reads windVector every frame; it only has to be running
+  applyWindVector() {
+    if (this.isRunning) this.startSteering();
+  }
+
+  // RaindropFX has no flakes or ice of its own: a GlassSnow draws them on a 2D canvas stacked
+  // over the WebGL one, and melted flakes and pellets join the simulator through importDrops()
+  applySnowOnGlass() {
+    const settings = this.snowOnGlass;
+    const hailfall = (PELLET_SHARE[this.precipitation] || 0) * this.params.intensity;
+    if ((!settings && !hailfall) || typeof GlassSnow === 'undefined') {
+      this.stopSnowLayer();
+      this.glassSnow = null;
+      return;
+    }
+    if (!this.glassSnow) {
+      this.glassSnow = new GlassSnow({
+        onMelt: (x, y, r) => {
+          const { width, height } = this.glassSnow;
+          this.importDrops([{ x: x / width, y: y / height, r: r / width }]);
+        }
+      });
+    }
+    this.glassSnow.hailfall = hailfall;
+    if (!settings) {
+      this.glassSnow.snowfall = 0;
+      this.glassSnow.temperature = PELLET_GLASS_TEMPERATURE;
+    }
+    if (typeof settings?.snowfall === 'number') this.glassSnow.snowfall = settings.snowfall;
+    if (typeof settings?.temperature === 'number') this.glassSnow.temperature = settings.temperature;
+    if (this.isRunning) this.startSnowLayer();
+  }
+
+  // Hail and sleet land as pellets on the snow overlay, at a rate following the intensity
+  applyPrecipitation() {
+    this.applySnowOnGlass();
+  }
+
+  startSnowLayer() {
+    if (this.snowFrame) return;
+    if (!this.snowCanvas) {
+      this.snowCanvas = document.createElement('canvas');
+      this.snowCanvas.className = 'rain-glass-snow';
+      this.snowCanvas.style.cssText = `position: fixed; pointer-events: none; z-index: ${getComputedStyle(this.canvas).zIndex};`;
+      this.canvas.after(this.snowCanvas);
+    }
+    this.snowCanvas.hidden = false;
     
-    this.gl.clearColor(r, g, b, 1.0);
-    this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+    let last = performance.now();
+    const frame = (now) => {
+      this.snowFrame = null;
+      if (!this.isRunning || !this.glassSnow) return;
+      this.drawSnowLayer(Math.min(0.1, (now - last) / 1000));
+      last = now;
+      this.snowFrame = requestAnimationFrame(frame);
+    };
+    this.snowFrame = requestAnimationFrame(frame);
+  }
+
+  // Keep the overlay on top of the rain canvas, then advance and draw the flakes (CSS px)
+  drawSnowLayer(dt) {
+    const rect = this.canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const layer = this.snowCanvas;
+    if (this.glassSnow.width !== rect.width || this.glassSnow.height !== rect.height) {
+      Object.assign(layer.style, {
+        left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px`
+      });
+      layer.width = Math.round(rect.width * dpr);
+      layer.height = Math.round(rect.height * dpr);
+      this.glassSnow.resize(rect.width, rect.height);
+    }
+    this.glassSnow.update(dt);
     
-    this.animationId = requestAnimationFrame(() => this.animationLoop());
+    const ctx = layer.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, layer.width, layer.height);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.glassSnow.draw(ctx);
+  }
+
+  stopSnowLayer() {
+    if (this.snowFrame) cancelAnimationFrame(this.snowFrame);
+    this.snowFrame = null;
+    if (this.snowCanvas) this.snowCanvas.hidden = true;
+  }
+
+  // Push changed parameters into the live RaindropFX options object
+  applyOptions(params) {
+    Object.assign(this.options, params);
+    if (this.raindropFx) {
+      Object.assign(this.raindropFx.options, params);
+    }
   }
 
   stop() {
     this.isRunning = false;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
+    this.stopSteering();
+    this.stopSnowLayer();
+    if (this.raindropFx) {
+      this.raindropFx.stop();
     }
   }
 
@@ -185,48 +513,111 @@ class RaindropFXEngine extends RainEngine {
     this.options.width = width;
     this.options.height = height;
     
-    if (this.gl) {
-      this.gl.viewport(0, 0, width, height);
+    if (this.raindropFx) {
+      this.raindropFx.resize(width, height);
     }
   }
 
   async setBackground(source) {
     this.options.background = source;
-    // Placeholder for background loading
-    console.log('Setting background:', source);
+    
+    if (this.raindropFx) {
+      await this.raindropFx.setBackground(this.resolveBackground(source));
+    }
   }
 
-  setIntensity(level) {
-    this.options.intensity = Math.max(0, Math.min(3, level));
-    // Map intensity to engine-specific parameters
-    const intensityMap = {
-      0: { dropletsPerSeconds: 0, spawnLimit: 0 },
-      1: { dropletsPerSeconds: 200, spawnLimit: 500 },
-      2: { dropletsPerSeconds: 500, spawnLimit: 1000 },
-      3: { dropletsPerSeconds: 800, spawnLimit: 2000 }
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      features: { mist: true, trails: true, collisions: true, liveBackground: false },
+      ranges: {
+        intensity: { dropletsPerSeconds: [0, 800], spawnLimit: [0, 2000] },
+        wind: { xShifting: [0, 0.12] },
+        condensation: { mistTime: [30, 4] }, // seconds for the mist to build back up
+        refraction: { refractBase: [0.1, 0.6], refractScale: [0.2, 0.8] },
+        blur: { backgroundBlurSteps: [0, 4], mistBlurStep: [1, 5] }
+      }
     };
+  }
+
+  // Calibrated RaindropFX options for the given normalized parameter keys
+  getNativeParams(keys) {
+    const native = {};
+    for (const key of keys) {
+      Object.assign(native, this.calibrate(key));
+    }
     
-    const params = intensityMap[Math.floor(this.options.intensity)];
-    Object.assign(this.options, params);
+    if (keys.includes('intensity')) {
+      native.dropletsPerSeconds = Math.round(native.dropletsPerSeconds);
+      native.spawnLimit = Math.round(native.spawnLimit);
+    }
+    if (keys.includes('wind')) {
+      native.xShifting = [0, native.xShifting];
+    }
+    if (keys.includes('condensation')) {
+      native.mist = this.params.condensation > 0;
+    }
+    if (keys.includes('blur')) {
+      native.backgroundBlurSteps = Math.round(native.backgroundBlurSteps);
+      native.mistBlurStep = Math.round(native.mistBlurStep);
+    }
+    return native;
   }
 
-  setWind(strength) {
-    this.options.wind = Math.max(0, Math.min(1, strength));
-    // Map wind to xShifting parameter
-    this.options.xShifting = [0, strength * 0.12];
+  applyParams(changed) {
+    this.applyOptions(this.getNativeParams(Object.keys(changed)));
+    if ('intensity' in changed && this.precipitation) this.applyPrecipitation();
+    if ('wind' in changed) this.windDrift = null; // recalibrated on the next steer
+    
+    // The background is blurred once on upload; re-upload so new blur steps take effect
+    if ('blur' in changed && this.raindropFx) {
+      this.raindropFx.setBackground(this.resolveBackground(this.options.background))
+        .catch(error => console.warn('RaindropFX background refresh failed:', error));
+    }
   }
 
-  setCondensation(enabled) {
-    this.options.condensation = enabled;
-    this.options.mist = enabled;
+  // RaindropFX simulates with y pointing up and sizes drops by diameter
+  exportDrops() {
+    if (!this.raindropFx) return [];
+    const { width, height } = this.canvas;
+    return this.raindropFx.simulator.raindrops
+      .filter(d => !d.destroied)
+      .map(d => ({ x: d.pos.x / width, y: 1 - d.pos.y / height, r: d.size.x / 2 / width }));
+  }
+
+  importDrops(drops) {
+    if (!this.raindropFx) {
+      this.pendingDrops = drops;
+      return;
+    }
+    this.pendingDrops = null;
+    
+    // The library does not export its vector type; borrow it from the viewport rect
+    const Vec2 = this.raindropFx.options.viewport?.size?.constructor;
+    if (typeof Vec2 !== 'function') {
+      console.warn('RaindropFX vector type unavailable, skipping drop handoff');
+      return;
+    }
+    const { width, height } = this.canvas;
+    const simulator = this.raindropFx.simulator;
+    for (const d of drops) {
+      const pos = new Vec2(d.x * width, (1 - d.y) * height);
+      simulator.add(simulator.spawner.spawn(pos, d.r * width * 2));
+    }
   }
 
   destroy() {
     this.stop();
-    if (this.gl) {
-      // Clean up WebGL resources
-      this.gl = null;
+    if (this.contextGuard) {
+      this.contextGuard.dispose();
+      this.contextGuard = null;
     }
+    if (this.raindropFx) {
+      // RaindropFX has no teardown; drop the reference so its GL resources can be collected
+      this.raindropFx = null;
+    }
+    this.snowCanvas?.remove();
+    this.snowCanvas = null;
   }
 }
 
@@ -242,14 +633,28 @@ class RainyDayEngine extends RainEngine {
     return {
       image: this.options.background,
       fps: 24,
-      blur: 8 + (this.options.intensity * 2), // 8-14 based on intensity
+      ...this.calibrate('blur'),
       enableCollisions: true,
-      gravityAngleVariance: 0.01 + (this.options.wind * 0.02), // 0.01-0.03
-      trail: this.options.condensation ? 'TRAIL_SMUDGE' : 'TRAIL_DROPS',
+      ...this.calibrate('wind'),
+      trail: this.getTrailMode(),
       presets: this.getIntensityPresets()
     };
   }
 
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      features: { mist: false, trails: true, collisions: true, liveBackground: false },
+      ranges: {
+        intensity: { level: [0, 3] }, // RainyDay presets are discrete
+        wind: { gravityAngleVariance: [0.01, 0.03] },
+        condensation: { smudge: [0, 1] },
+        refraction: null,
+        blur: { blur: [4, 16] }
+      }
+    };
+  }
+
   getIntensityPresets() {
     const intensityPresets = {
       0: [],
@@ -257,7 +662,11 @@ class RainyDayEngine extends RainEngine {
       2: [[3, 5, 0.6, 50], [6, 8, 0.2, 30]],
       3: [[3, 5, 0.8, 50], [6, 8, 0.4, 30], [10, 15, 0.1, 20]]
     };
-    return intensityPresets[Math.floor(this.options.intensity)] || intensityPresets[2];
+    return intensityPresets[Math.round(this.calibrate('intensity').level)] || intensityPresets[2];
+  }
+
+  getTrailMode() {
+    return this.calibrate('condensation').smudge >= 0.5 ? 'TRAIL_SMUDGE' : 'TRAIL_DROPS';
   }
 
   async start() {
@@ -399,53 +808,518 @@ class RainyDayEngine extends RainEngine {
     }
   }
 
-  setIntensity(level) {
-    this.options.intensity = Math.max(0, Math.min(3, level));
-    this.rainyDayOptions.presets = this.getIntensityPresets();
-    this.rainyDayOptions.blur = 8 + (level * 2);
+  applyParams(changed) {
+    if ('wind' in changed) {
+      Object.assign(this.rainyDayOptions, this.calibrate('wind'));
+      if (this.rainyDay) {
+        this.rainyDay.gravityAngleVariance = this.rainyDayOptions.gravityAngleVariance;
+      }
+    }
     
-    if (this.rainyDay && this.isRunning) {
+    if ('condensation' in changed) {
+      this.rainyDayOptions.trail = this.getTrailMode();
+      if (this.rainyDay) {
+        // Update trail mode
+        this.rainyDay.trail = this.rainyDayOptions.trail;
+      }
+    }
+    
+    if ('blur' in changed) {
+      // Takes effect the next time RainyDay is created (resize or background change)
+      Object.assign(this.rainyDayOptions, this.calibrate('blur'));
+    }
+    
+    if ('intensity' in changed) {
+      this.rainyDayOptions.presets = this.getIntensityPresets();
+      if (this.rainyDay && this.isRunning) {
+        this.rainyDay.clear();
+        this.rainyDay.rain(this.rainyDayOptions.presets, 50);
+      }
+    }
+  }
+
+  destroy() {
+    this.stop();
+    if (this.rainyDay) {
       this.rainyDay.clear();
-      this.rainyDay.rain(this.rainyDayOptions.presets, 50);
+      this.rainyDay = null;
     }
   }
+}
 
-  setWind(strength) {
-    this.options.wind = Math.max(0, Math.min(1, strength));
-    this.rainyDayOptions.gravityAngleVariance = 0.01 + (strength * 0.02);
+// Canvas2D RainOnGlass Engine Implementation
+// Adapter over our own RainOnGlass compositor (rain-on-glass.js); default Canvas2D fallback
+class RainOnGlassEngine extends RainEngine {
+  constructor(canvas, options = {}) {
+    super(canvas, options);
+    this.rainOnGlass = null;
+    this.hasStarted = false;
     
-    if (this.rainyDay) {
-      this.rainyDay.gravityAngleVariance = this.rainyDayOptions.gravityAngleVariance;
+    if (typeof RainOnGlass === 'undefined') {
+      throw new Error('RainOnGlass not loaded. Please ensure rain-on-glass.js is included.');
     }
   }
 
-  setCondensation(enabled) {
-    this.options.condensation = enabled;
-    this.rainyDayOptions.trail = enabled ? 'TRAIL_SMUDGE' : 'TRAIL_DROPS';
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      features: { mist: true, trails: true, collisions: true, liveBackground: false },
+      ranges: {
+        // drops on the glass when the menu opens stay a light scatter however high the cap
+        intensity: { maxDrops: [0, this.options.rainOnGlass?.maxDrops || RAINONGLASS_MAX_DROPS], spawnRate: [0, 1], initialDrops: [0, 45] },
+        wind: { windX: [0, 0.5] }, // applied per frame on top of the drop's own drift
+        condensation: { fogStrength: [0, 0.12], mistStrength: [0, 0.2] }, // mist: the wipeable fog layer
+        refraction: { refractBase: [0.1, 1.5], refractScale: [0.2, 2.0] },
+        blur: { blur: [2, 16] } // background blur radius in px
+      }
+    };
+  }
+
+  // Full-intensity spawn rows in RainOnGlass.presets form: { min, base, rate } with rate in
+  // drops/second; spawnRate scales the rates down, large drops fade out first
+  getSpawnPresets() {
+    return [
+      { min: 1, base: 2.5, rate: 14 },
+      { min: 3, base: 4.5, rate: 11 },
+      { min: 6, base: 8.5, rate: 7 },
+      { min: 12, base: 16, rate: 2 }
+    ];
+  }
+
+  async start() {
+    if (this.isRunning) return;
     
-    if (this.rainyDay) {
-      // Update trail mode
-      this.rainyDay.trail = this.rainyDayOptions.trail;
+    try {
+      if (!this.rainOnGlass) {
+        await this.initializeRainOnGlass();
+      }
+      if (this.hasStarted) {
+        this.rainOnGlass.resume();
+      } else {
+        // Handed-off drops replace the initial population
+        if (this.pendingDrops) {
+          this.rainOnGlass.initialDensity = 0;
+        }
+        this.rainOnGlass.start();
+        // start() is a no-op in test mode; only resume later if it actually ran
+        this.hasStarted = this.rainOnGlass.running;
+      }
+      this.isRunning = true;
+      
+      if (this.pendingDrops) {
+        this.importDrops(this.pendingDrops);
+      }
+    } catch (error) {
+      console.error('Failed to start RainOnGlass engine:', error);
+      throw error;
+    }
+  }
+
+  async initializeRainOnGlass() {
+    console.log('Initializing RainOnGlass Canvas2D engine...');
+    
+    // RainOnGlass-specific keys live under `options.rainOnGlass`; the calibrated values go on
+    // top so the normalized params still drive wind, mist, refraction and blur when a preset
+    // (like menuPreset) names the same keys. Several overlap with RaindropFX options but use a
+    // different scale
+    this.rainOnGlass = new RainOnGlass(this.canvas, {
+      tilt: this.options.tilt,
+      ...this.options.rainOnGlass,
+      ...this.calibrate('wind'),
+      ...this.calibrate('condensation'),
+      ...this.calibrate('refraction'),
+      ...this.calibrate('blur'),
+      condensation: this.params.condensation > 0 ? '1' : '0'
+    });
+    this.applyIntensity();
+    this.steadyWind = { x: this.rainOnGlass.windX, y: this.rainOnGlass.windY };
+    this.applyWindVector();
+    this.applySnowOnGlass();
+    this.applyPrecipitation();
+    
+    // An explicit background is refracted directly; otherwise capture the page under the overlay
+    if (this.options.background) {
+      await this.rainOnGlass.setBackgroundImage(this.options.background);
+    } else {
+      await this.rainOnGlass.captureBackground();
+    }
+    
+    console.log('RainOnGlass instance created successfully');
+  }
+
+  applyIntensity() {
+    if (!this.rainOnGlass) return;
+    const native = this.calibrate('intensity');
+    const maxDrops = Math.round(native.maxDrops);
+    const presets = this.getSpawnPresets().map(p => ({
+      ...p,
+      rate: p.rate * native.spawnRate * (p.min >= 12 ? native.spawnRate : 1)
+    }));
+    this.rainOnGlass.maxDrops = maxDrops;
+    this.rainOnGlass.presets = presets;
+    this.rainOnGlass._spawnAcc = presets.map(() => 0);
+    this.rainOnGlass.initialDensity = Math.floor(native.initialDrops);
+    if (this.rainOnGlass.drops.length > maxDrops) {
+      this.rainOnGlass.trimDrops(maxDrops);
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.rainOnGlass) {
+      // pause keeps drops in place so a later start() resumes seamlessly
+      this.rainOnGlass.pause();
+    }
+  }
+
+  resize(width, height) {
+    // RainOnGlass simulates in device pixels and scales its drawing by its own DPR
+    const dpr = this.rainOnGlass?.dpr || 1;
+    this.canvas.width = Math.round(width * dpr);
+    this.canvas.height = Math.round(height * dpr);
+    this.options.width = width;
+    this.options.height = height;
+    // The simulation keeps its own bounds for spawning and off-screen culling
+    this.rainOnGlass?.sim.resize(this.canvas.width, this.canvas.height);
+    
+    if (this.rainOnGlass && this.options.background) {
+      // Re-fit the background to the new canvas size
+      this.rainOnGlass.setBackgroundImage(this.options.background);
+    }
+  }
+
+  async setBackground(source) {
+    this.options.background = source;
+    
+    if (this.rainOnGlass) {
+      if (source) {
+        await this.rainOnGlass.setBackgroundImage(source);
+      } else {
+        await this.rainOnGlass.captureBackground();
+      }
+    }
+  }
+
+  applyParams(changed) {
+    if ('intensity' in changed) {
+      this.applyIntensity();
+    }
+    if (!this.rainOnGlass) return;
+    
+    if ('wind' in changed || 'refraction' in changed) {
+      Object.assign(this.rainOnGlass, this.calibrate('wind'), this.calibrate('refraction'));
+      this.steadyWind = { x: this.rainOnGlass.windX, y: this.rainOnGlass.windY };
+      this.applyWindVector();
+    }
+    
+    if ('condensation' in changed) {
+      const enabled = this.params.condensation > 0;
+      Object.assign(this.rainOnGlass, this.calibrate('condensation'));
+      this.rainOnGlass.enableCondensation = enabled;
+      if (!enabled) {
+        this.rainOnGlass.condensation.length = 0;
+      }
+    }
+    
+    if ('blur' in changed) {
+      // The blurred backdrop is baked on capture; rebuild it with the new radius
+      this.rainOnGlass.blurPx = this.calibrate('blur').blur;
+      this.setBackground(this.options.background)
+        .catch(error => console.warn('RainOnGlass background refresh failed:', error));
+    }
+  }
+
+  // The live wind rides on the configured windX/windY, one gust unit per calibrated windX;
+  // the swirl field is sampled per drop in the simulation
+  applyWindVector() {
+    if (!this.rainOnGlass || !this.windVector) return;
+    this.windScale = this.calibrate('wind').windX;
+    this.rainOnGlass.windX = this.steadyWind.x + this.windVector.x * this.windScale;
+    this.rainOnGlass.windY = this.steadyWind.y + this.windVector.y * this.windScale;
+    
+    if (this.windField !== this.appliedWindField) {
+      const field = this.windField;
+      const sim = this.rainOnGlass.sim;
+      this.rainOnGlass.windField = field && ((x, y, out) => {
+        field(x / sim.width, y / sim.height, out);
+        out.x *= this.windScale;
+        out.y *= this.windScale;
+        return out;
+      });
+      this.appliedWindField = field;
+    }
+  }
+
+  // RainOnGlass grows and melts the flakes inside its own simulation step
+  applySnowOnGlass() {
+    if (this.rainOnGlass && this.snowOnGlass !== undefined) {
+      this.rainOnGlass.setSnowOnGlass(this.snowOnGlass);
+    }
+  }
+
+  // RainOnGlass freezes its own drops: hail pellets and sleet beads come out of its simulation
+  applyPrecipitation() {
+    if (this.rainOnGlass && this.precipitation) {
+      this.rainOnGlass.precipitation = this.precipitation;
+    }
+  }
+
+  // RainOnGlass works in device pixels with y pointing down
+  exportDrops() {
+    if (!this.rainOnGlass) return [];
+    const { width, height } = this.canvas;
+    return this.rainOnGlass.drops
+      .filter(d => !d._dead)
+      .map(d => ({ x: d.x / width, y: d.y / height, r: d.r / width }));
+  }
+
+  importDrops(drops) {
+    if (!this.rainOnGlass) {
+      this.pendingDrops = drops;
+      return;
+    }
+    this.pendingDrops = null;
+    
+    const { width, height } = this.canvas;
+    for (const d of drops.slice(0, this.rainOnGlass.maxDrops)) {
+      this.rainOnGlass.spawn(d.x * width, d.y * height, d.r * width);
     }
   }
 
   destroy() {
     this.stop();
-    if (this.rainyDay) {
-      this.rainyDay.clear();
-      this.rainyDay = null;
+    if (this.rainOnGlass) {
+      this.rainOnGlass.destroy();
+      this.rainOnGlass = null;
     }
+    this.hasStarted = false;
+  }
+}
+
+// Static Engine Implementation
+// Last tier of the fallback chain: paints the background and the handed-off drops once,
+// with no animation loop, so a struggling device keeps the look without the cost
+class StaticRainEngine extends RainEngine {
+  constructor(canvas, options = {}) {
+    super(canvas, options);
+    this.ctx = this.canvas.getContext('2d');
+    this.backgroundImage = null;
+    this.drops = [];
+    
+    if (!this.ctx) {
+      throw new Error('Canvas2D context unavailable for static engine');
+    }
+  }
+
+  async start() {
+    if (this.isRunning) return;
+    
+    try {
+      if (!this.backgroundImage && this.options.background) {
+        this.backgroundImage = await this.loadBackground(this.options.background);
+      }
+      if (this.pendingDrops) {
+        this.drops = this.pendingDrops;
+        this.pendingDrops = null;
+      }
+      this.isRunning = true;
+      this.render();
+    } catch (error) {
+      console.error('Failed to start static engine:', error);
+      throw error;
+    }
+  }
+
+  async loadBackground(source) {
+    if (typeof source === 'string' && source.startsWith('#')) {
+      source = document.querySelector(source);
+    }
+    if (typeof source === 'string') {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.src = source;
+      source = img;
+    }
+    if (source && source.tagName === 'IMG' && !(source.complete && source.naturalWidth > 0)) {
+      await new Promise((resolve, reject) => {
+        source.onload = resolve;
+        source.onerror = reject;
+      });
+    }
+    return source || null;
+  }
+
+  render() {
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    
+    const img = this.backgroundImage;
+    const iw = img ? (img.naturalWidth || img.width) : 0;
+    const ih = img ? (img.naturalHeight || img.height) : 0;
+    if (iw && ih) {
+      // cover-fit like CSS background-size: cover
+      const scale = Math.max(width / iw, height / ih);
+      ctx.drawImage(img, (width - iw * scale) / 2, (height - ih * scale) / 2, iw * scale, ih * scale);
+    }
+    
+    // Frozen beads: bright upper-left highlight and darker rim, as in RainOnGlass
+    for (const d of this.drops) {
+      const x = d.x * width;
+      const y = d.y * height;
+      const r = d.r * width;
+      if (!isFinite(x) || !isFinite(y) || !(r > 0.5)) continue;
+      const g = ctx.createRadialGradient(x - r * 0.3, y - r * 0.3, 0, x, y, r);
+      g.addColorStop(0, 'rgba(255,255,255,0.55)');
+      g.addColorStop(0.5, 'rgba(255,255,255,0.08)');
+      g.addColorStop(0.9, 'rgba(0,0,0,0.12)');
+      g.addColorStop(1, 'rgba(0,0,0,0.22)');
+      ctx.fillStyle = g;
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+  }
+
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.options.width = width;
+    this.options.height = height;
+    
+    if (this.isRunning) {
+      this.render();
+    }
+  }
+
+  async setBackground(source) {
+    this.options.background = source;
+    this.backgroundImage = source ? await this.loadBackground(source) : null;
+    
+    if (this.isRunning) {
+      this.render();
+    }
+  }
+
+  // Nothing animates, so parameters are only recorded for later handoff
+  applyParams(changed) {}
+
+  exportDrops() {
+    return this.drops.slice();
+  }
+
+  importDrops(drops) {
+    this.drops = drops.slice();
+    
+    if (this.isRunning) {
+      this.render();
+    }
+  }
+
+  destroy() {
+    this.stop();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.drops = [];
+    this.backgroundImage = null;
+  }
+}
+
+// SVG Droplet Engine Implementation
+// Last tier for the homepage menu: reveals the CSS-animated SVG droplet markup in the page,
+// which needs neither WebGL nor Canvas2D. `options.svgContainer` is an element or selector.
+class SvgDropletEngine extends RainEngine {
+  constructor(canvas, options = {}) {
+    super(canvas, options);
+    const container = options.svgContainer || '.droplets';
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+    
+    if (!this.container) {
+      throw new Error('SVG droplet container not found');
+    }
+    this.drops = Array.from(this.container.querySelectorAll('.drop'));
+  }
+
+  async start() {
+    if (this.isRunning) return;
+    
+    this.canvas.style.visibility = 'hidden';
+    this.container.hidden = false;
+    this.applyParams(this.getParams());
+    this.isRunning = true;
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.container.hidden = true;
+  }
+
+  resize(width, height) {
+    // Droplets are laid out in viewport units by CSS
+    this.options.width = width;
+    this.options.height = height;
+  }
+
+  async setBackground(source) {
+    this.options.background = source;
+  }
+
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      ranges: {
+        intensity: { visibleDrops: [0, this.drops.length] },
+        wind: { '--wind': [0, 1] }, // menu.css leans the droplets by up to 15deg
+        condensation: null,
+        refraction: null,
+        blur: null
+      }
+    };
+  }
+
+  applyParams(changed) {
+    if ('intensity' in changed) {
+      // Show a share of the markup proportional to intensity
+      const visible = Math.ceil(this.calibrate('intensity').visibleDrops);
+      this.drops.forEach((drop, i) => {
+        drop.style.display = i < visible ? '' : 'none';
+      });
+    }
+    if ('wind' in changed) {
+      this.container.style.setProperty('--wind', this.calibrate('wind')['--wind']);
+    }
+  }
+
+  destroy() {
+    this.stop();
+    this.canvas.style.visibility = '';
   }
 }
 
 // Main Engine Manager
-class RainEngineManager {
+// Emits a 'fallback' event (detail: { from, to, reason, averageFPS, canvas }) when it
+// downgrades an engine, at startup or at runtime. `options.fallbackChain` overrides the
+// downgrade order, e.g. ['webgl', 'canvas2d', 'svg'] for the homepage menu.
+class RainEngineManager extends EventTarget {
   constructor(canvas, options = {}) {
+    super();
     this.canvas = canvas;
     this.options = options;
     this.currentEngine = null;
     this.engineType = null;
-    this.performanceMonitor = new PerformanceMonitor();
+    this.autoFallback = options.autoFallback !== false;
+    this.fallbackChain = options.fallbackChain || FALLBACK_CHAIN;
+    this.performanceMonitor = new PerformanceMonitor({
+      targetFPS: options.fpsBudget,
+      minSamples: options.fpsSamples
+    });
+    this.monitorId = null;
+    this.isSwitching = false;
   }
 
   // Detect WebGL support
@@ -499,50 +1373,209 @@ class RainEngineManager {
         break;
         
       case 'canvas2d':
+        try {
+          this.currentEngine = new RainOnGlassEngine(this.canvas, this.options);
+          this.engineType = 'canvas2d';
+          console.log('Canvas2D engine created successfully');
+        } catch (error) {
+          console.warn('RainOnGlass engine creation failed, falling back to RainyDay:', error.message);
+          return this.createEngine('rainyday');
+        }
+        break;
+        
+      case 'rainyday':
         this.currentEngine = new RainyDayEngine(this.canvas, this.options);
-        this.engineType = 'canvas2d';
-        console.log('Canvas2D engine created successfully');
+        this.engineType = 'rainyday';
+        console.log('RainyDay engine created successfully');
+        break;
+        
+      case 'static':
+        this.currentEngine = new StaticRainEngine(this.canvas, this.options);
+        this.engineType = 'static';
+        console.log('Static engine created successfully');
+        break;
+        
+      case 'svg':
+        this.currentEngine = new SvgDropletEngine(this.canvas, this.options);
+        this.engineType = 'svg';
+        console.log('SVG droplet engine created successfully');
         break;
         
       default:
         throw new Error(`Unknown engine type: ${engineType}`);
     }
     
+    // Engines report unrecoverable GPU failures (e.g. a context that never restores)
+    this.currentEngine.onContextFailed = (reason) => {
+      this.fallback(reason).catch(error => console.error('Rain engine fallback failed:', error));
+    };
+    if (this.windVector) {
+      const { x, y, field } = this.windVector;
+      this.currentEngine.setWindVector(x, y, field);
+    }
+    if (this.snowOnGlass) {
+      this.currentEngine.setSnowOnGlass(this.snowOnGlass);
+    }
+    if (this.precipitation) {
+      this.currentEngine.setPrecipitation(this.precipitation);
+    }
+    
     return this.currentEngine;
   }
 
+  // A canvas that already holds a WebGL context cannot hand out a 2D one (and vice versa),
+  // so switches across context types swap in a fresh element with the same attributes
+  replaceCanvas() {
+    const old = this.canvas;
+    if (!old.parentNode) return old;
+    
+    const fresh = old.cloneNode(false);
+    fresh.width = old.width;
+    fresh.height = old.height;
+    old.parentNode.replaceChild(fresh, old);
+    this.canvas = fresh;
+    return fresh;
+  }
+
+  // Everything a replacement engine needs so the visitor sees no reset
+  captureState(engine) {
+    return {
+      background: engine.options.background,
+      params: engine.getParams(),
+      drops: engine.exportDrops()
+    };
+  }
+
   // Switch between engines
   async switchEngine(engineType) {
     if (this.engineType === engineType) return;
     
-    const wasRunning = this.currentEngine?.isRunning || false;
-    
-    // Stop current engine
-    if (this.currentEngine) {
-      this.currentEngine.stop();
-      this.currentEngine.destroy();
+    this.isSwitching = true;
+    try {
+      const previousType = this.engineType;
+      const wasRunning = this.currentEngine?.isRunning || false;
+      const state = this.currentEngine ? this.captureState(this.currentEngine) : null;
+      
+      // Stop current engine
+      if (this.currentEngine) {
+        this.currentEngine.stop();
+        this.currentEngine.destroy();
+        this.currentEngine = null;
+      }
+      
+      if (previousType === 'webgl' || engineType === 'webgl') {
+        this.replaceCanvas();
+      }
+      
+      // Create new engine with the carried-over settings
+      if (state) {
+        const { drops, ...settings } = state;
+        Object.assign(this.options, settings);
+      }
+      this.createEngine(engineType);
+      if (state) {
+        this.currentEngine.importDrops(state.drops);
+      }
+      
+      // Restart if was running
+      if (wasRunning) {
+        await this.currentEngine.start();
+      }
+      
+      console.log(`Switched to ${this.engineType} engine`);
+    } finally {
+      this.isSwitching = false;
+    }
+  }
+
+  // Next tier below the given engine type, or null at the bottom of the chain
+  getFallbackType(engineType) {
+    // RainyDay stands in for the Canvas2D tier when RainOnGlass is unavailable
+    const index = this.fallbackChain.indexOf(engineType === 'rainyday' ? 'canvas2d' : engineType);
+    return index >= 0 && index < this.fallbackChain.length - 1 ? this.fallbackChain[index + 1] : null;
+  }
+
+  async fallback(reason) {
+    const from = this.engineType;
+    const to = this.getFallbackType(from);
+    if (!to) {
+      this.stopMonitoring();
+      return;
     }
     
-    // Create new engine
-    this.createEngine(engineType);
+    const averageFPS = this.performanceMonitor.getAverageFPS();
+    console.warn(`Rain engine fallback ${from} → ${to} (${reason}, ${averageFPS.toFixed(1)} fps)`);
     
-    // Restart if was running
-    if (wasRunning) {
-      await this.currentEngine.start();
+    await this.switchEngine(to);
+    this.performanceMonitor.reset();
+    this.emitFallback(from, reason, averageFPS);
+    
+    if (!this.getFallbackType(this.engineType)) {
+      this.stopMonitoring();
     }
+  }
+
+  emitFallback(from, reason, averageFPS) {
+    this.dispatchEvent(new CustomEvent('fallback', {
+      detail: { from, to: this.engineType, reason, averageFPS, canvas: this.canvas }
+    }));
+  }
+
+  // Sample frame times while an engine runs and downgrade on sustained low FPS
+  startMonitoring() {
+    if (!this.autoFallback || this.monitorId) return;
     
-    console.log(`Switched to ${engineType} engine`);
+    this.performanceMonitor.reset();
+    const tick = () => {
+      this.monitorId = requestAnimationFrame(tick);
+      this.performanceMonitor.update();
+      
+      if (!this.isSwitching && this.performanceMonitor.shouldSwitchToFallback()) {
+        this.fallback('low-fps').catch(error => {
+          console.error('Rain engine fallback failed:', error);
+          this.stopMonitoring();
+        });
+      }
+    };
+    this.monitorId = requestAnimationFrame(tick);
+  }
+
+  stopMonitoring() {
+    if (this.monitorId) {
+      cancelAnimationFrame(this.monitorId);
+      this.monitorId = null;
+    }
   }
 
   // Unified API methods
   async start() {
     if (!this.currentEngine) {
-      this.createEngine();
+      this.createEngine(this.fallbackChain[0]);
+    }
+    
+    // Walk down the chain until an engine starts (missing library, failed background, ...)
+    for (;;) {
+      try {
+        await this.currentEngine.start();
+        break;
+      } catch (error) {
+        const from = this.engineType;
+        const to = this.getFallbackType(from);
+        if (!to) throw error;
+        
+        console.warn(`Rain engine ${from} failed to start, falling back to ${to}:`, error.message);
+        await this.switchEngine(to);
+        this.emitFallback(from, 'start-failed', this.performanceMonitor.getAverageFPS());
+      }
+    }
+    
+    if (this.getFallbackType(this.engineType)) {
+      this.startMonitoring();
     }
-    return this.currentEngine.start();
   }
 
   stop() {
+    this.stopMonitoring();
     if (this.currentEngine) {
       this.currentEngine.stop();
     }
@@ -572,32 +1605,85 @@ class RainEngineManager {
     }
   }
 
+  // Live wind from the shared wind service; kept so a replacement engine blows the same way
+  setWindVector(x, y, field = null) {
+    this.windVector = { x, y, field };
+    if (this.currentEngine) {
+      this.currentEngine.setWindVector(x, y, field);
+    }
+  }
+
+  // Snow on glass for the active engine; kept so a replacement engine carries on thawing
+  setSnowOnGlass(settings) {
+    this.snowOnGlass = settings;
+    if (this.currentEngine) {
+      this.currentEngine.setSnowOnGlass(settings);
+    }
+  }
+
+  // Rain, hail or sleet on the glass; kept so a replacement engine carries on with it
+  setPrecipitation(type) {
+    this.precipitation = type;
+    if (this.currentEngine) {
+      this.currentEngine.setPrecipitation(type);
+    }
+  }
+
   setCondensation(enabled) {
     if (this.currentEngine) {
       this.currentEngine.setCondensation(enabled);
     }
   }
 
+  // Normalized parameters (0-1) carry across engine switches via options.params
+  setParams(params) {
+    if (this.currentEngine) {
+      return this.currentEngine.setParams(params);
+    }
+    this.options.params = { ...this.options.params, ...params };
+    return this.getParams();
+  }
+
+  getParams() {
+    return this.currentEngine ? this.currentEngine.getParams() : { ...this.options.params };
+  }
+
+  getCapabilities() {
+    return this.currentEngine ? this.currentEngine.getCapabilities() : null;
+  }
+
   destroy() {
+    this.stopMonitoring();
     if (this.currentEngine) {
       this.currentEngine.destroy();
       this.currentEngine = null;
     }
   }
 
-  // Get current engine info
+  // Get current engine info; `tier` is the position in the fallback chain (0 = best)
   getEngineInfo() {
     return {
       type: this.engineType,
+      engine: this.currentEngine?.constructor.name || null,
+      tier: this.fallbackChain.indexOf(this.engineType === 'rainyday' ? 'canvas2d' : this.engineType),
+      fallbackChain: this.fallbackChain.slice(),
       isRunning: this.currentEngine?.isRunning || false,
-      webglSupported: this.detectWebGLSupport()
+      capabilities: this.getCapabilities(),
+      webglSupported: this.detectWebGLSupport(),
+      averageFPS: this.performanceMonitor.getAverageFPS()
     };
   }
 }
 
 // Performance Monitor
 class PerformanceMonitor {
-  constructor() {
+  constructor(options = {}) {
+    this.targetFPS = options.targetFPS ?? 30;
+    this.minSamples = options.minSamples ?? 5;
+    this.reset();
+  }
+
+  reset() {
     this.frameCount = 0;
     this.lastTime = performance.now();
     this.fps = 60;
@@ -608,8 +1694,15 @@ class PerformanceMonitor {
     this.frameCount++;
     const now = performance.now();
     
+    // rAF pauses in background tabs; a gap that long is not a slow frame
+    if (now - this.lastTime > 2000) {
+      this.frameCount = 0;
+      this.lastTime = now;
+      return;
+    }
+    
     if (now - this.lastTime >= 1000) {
-      this.fps = this.frameCount;
+      this.fps = this.frameCount * 1000 / (now - this.lastTime);
       this.fpsHistory.push(this.fps);
       
       // Keep only last 10 FPS readings
@@ -627,16 +1720,22 @@ class PerformanceMonitor {
     return this.fpsHistory.reduce((a, b) => a + b, 0) / this.fpsHistory.length;
   }
 
+  // Sustained: the last `minSamples` one-second readings all average below budget
   shouldSwitchToFallback() {
-    return this.getAverageFPS() < 30 && this.fpsHistory.length >= 5;
+    if (this.fpsHistory.length < this.minSamples) return false;
+    const recent = this.fpsHistory.slice(-this.minSamples);
+    return recent.reduce((a, b) => a + b, 0) / recent.length < this.targetFPS;
   }
 }
 
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { RainEngineManager, RaindropFXEngine, RainyDayEngine };
+  module.exports = { RainEngineManager, RaindropFXEngine, RainOnGlassEngine, RainyDayEngine, StaticRainEngine, SvgDropletEngine, PerformanceMonitor };
 } else {
   window.RainEngineManager = RainEngineManager;
   window.RaindropFXEngine = RaindropFXEngine;
+  window.RainOnGlassEngine = RainOnGlassEngine;
   window.RainyDayEngine = RainyDayEngine;
+  window.StaticRainEngine = StaticRainEngine;
+  window.SvgDropletEngine = SvgDropletEngine;
 }
@@ -5,19 +5,64 @@ const DPR_CAP = 2; // performance cap
 const urlParams = (typeof window !== 'undefined') ? new URLSearchParams(window.location.search) : new URLSearchParams('');
 const TEST_MODE = (typeof navigator !== 'undefined' && (navigator.webdriver === true)) ||
   (typeof window !== 'undefined' && (urlParams.has('testMode') || document.documentElement?.dataset?.disableRain === '1'));
+// A pointer that lifts within this distance (CSS px) and time (ms) of pressing is a tap
+const POINTER_TAP_SLOP = 10;
+const POINTER_TAP_MS = 300;
+// Mist mask resolution relative to the canvas, and the fade schedule that fogs wipes back over
+const MIST_SCALE = 0.25;
+const MIST_REFOG_STEPS = 24;   // fades per refogTime
+const MIST_REFOG_ALPHA = 0.16; // 0.84^24 ≈ 1.5% of a wipe left after refogTime
+const CLIMATE_FOG_DEGREES = 5; // °C below (or above) the dew point at which mist builds (or clears) over refogTime
+// writeOnGlass(): default lettering (the menu font) and how long gathered water keeps a drip alive
+const GLASS_WRITING_FONT = "64px 'Allura', cursive";
+const DRIP_LIFETIME = 3; // seconds
+// Wet streaks: how far the background behind wet glass shifts (CSS px) and how dark it gets
+const WET_REFRACT_PX = 1.5;
+const WET_DARKEN = 0.3;
+// Frost: mask resolution, crystal arm geometry (CSS px) and how a lingering pointer melts it
+const FROST_SCALE = 0.5;
+const FROST_TIP_SPACING = 36;    // between arms along an edge
+const FROST_BRANCH_SPACING = 16; // of arm between side branches
+const FROST_MAX_DEPTH = 3;
+const FROST_MAX_TIPS = 600;
+const FROST_ARM_WIDTH = 2.2;
+const FROST_WANDER = 0.06;       // radians of heading jitter per step
+const FROST_REFRACT_PX = 3;      // how far the backdrop shifts behind the ice
+const FROST_REGROW_RATE = 3;     // arms per second refreezing melted edges once growth has settled
+const FROST_MELT_DELAY = 0.3;    // seconds the pointer rests before the ice gives
+const FROST_MELT_MIN = 12;
+const FROST_MELT_MAX = 70;
+const FROST_MELT_GROWTH = 25;    // px of melt radius per second the pointer rests
+// Ice strikes flash as a ring for this long (seconds)
+const ICE_TICK_TIME = 0.15;
+// Density masks are resampled to this many cells per side
+const DENSITY_MASK_SIZE = 32;
+// Beads this small (CSS px) are too small to refract; they are stamped from one prerendered
+// sprite drawn at BEAD_SPRITE_PX per bead radius, so thousands of them stay cheap to draw
+const BEAD_SPRITE_MAX = 2;
+const BEAD_SPRITE_PX = 16;
+
+// Add a round-capped stroke from (x0, y0) to (x1, y1) to `path` (a Path2D or a context's
+// current path) as a closed outline. Every outline winds the same way, so strokes of different
+// widths fill as their union in one call; a single point adds a dot
+function addCapsule(path, x0, y0, x1, y1, radius) {
+  const angle = Math.atan2(y1 - y0, x1 - x0);
+  const side = angle - Math.PI / 2;
+  path.moveTo(x1 + radius * Math.cos(side), y1 + radius * Math.sin(side));
+  path.arc(x1, y1, radius, side, side + Math.PI);
+  path.arc(x0, y0, radius, side + Math.PI, side + Math.PI * 2);
+  path.closePath();
+}
 
 class RainOnGlass {
   constructor(canvas, options = {}) {
     this.canvas = canvas;
     this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
     this.dpr = Math.min(window.devicePixelRatio || 1, DPR_CAP);
-    this.drops = [];
     this.micro = [];
-    this.condensation = []; // Fine condensation droplets for sparkling effect
     this.running = false;
     this.last = 0;
     this.hasBackground = false;
-    this.testMode = false; // Initialize testMode property
 
     // offscreen buffers for sharp/blurred background
     this.bgSharp = document.createElement('canvas');
@@ -39,58 +84,96 @@ class RainOnGlass {
 
     const q = urlParams;
 
-    // optional collision grid
-    this.enableCollisions = (q.get('collisions') ?? '') !== '0' && (options.enableCollisions ?? true);
-    this.collisionCell = Number(q.get('cell')) || options.collisionCell || 40; // px in device space
-    this.grid = null; // lazily created
+    // Drop physics live in a DOM-free RainSimulation (rain-simulation.js); URL params win over
+    // options, and anything left undefined takes the simulation defaults
+    const xShiftMin = Number(q.get('xShiftMin')) || options.xShifting?.[0];
+    const xShiftMax = Number(q.get('xShiftMax')) || options.xShifting?.[1];
+    this.sim = new RainSimulation({
+      width: this.canvas.width,
+      height: this.canvas.height,
+      dpr: this.dpr,
+      // Seeded randomness: a `seed` option or ?seed= makes spawns and jitter reproducible
+      seed: options.seed ?? q.get('seed'),
+      fps: Number(q.get('fps')) || options.fps, // physics constants are tuned per 1/fps frame
+      maxDrops: options.maxDrops,
+
+      // optional collision grid
+      enableCollisions: (q.get('collisions') ?? '') !== '0' && (options.enableCollisions ?? true),
+      collisionCell: Number(q.get('cell')) || options.collisionCell,
+
+      // gravity configuration (angle in degrees for ergonomics)
+      gravityDeg: Number(q.get('gravityDeg')) || options.gravityDeg,
+      gravityBase: Number(q.get('gravity')) || options.gravity,
+      gravityVariance: Number(q.get('gravVar')) || options.gravityVariance,
+      gravityThreshold: Number(q.get('gravityThreshold')) || options.gravityThreshold,
+
+      // trails configuration
+      enableSmudgeTrail: (q.get('smudge') ?? options.smudge ?? '1') !== '0',
+      trailThresholdPx: Number(q.get('trailStep')) || options.trailStep,
+      microTrails: !TEST_MODE,
+
+      // condensation configuration
+      enableCondensation: (q.get('condensation') ?? options.condensation ?? '1') !== '0',
+      condensationDensity: Number(q.get('condDensity')) || options.condensationDensity,
+      condensationSize: Number(q.get('condSize')) || options.condensationSize,
+      condensationSparkle: Number(q.get('condSparkle')) || options.condensationSparkle,
+
+      // enhanced physics configuration
+      enableTrails: (q.get('trails') ?? options.enableTrails ?? '1') !== '0',
+      dragCoeff: Number(q.get('drag')) || options.dragCoeff,
+      windX: Number(q.get('windX')) || options.windX,
+      windY: Number(q.get('windY')) || options.windY,
+      adhesionBase: Number(q.get('adhesion')) || options.adhesionBase,
+      slideThreshold: Number(q.get('slideThreshold')) || options.slideThreshold,
+      terminalVelocity: Number(q.get('terminalVel')) || options.terminalVelocity,
+      sizeVariance: Number(q.get('sizeVariance')) || options.sizeVariance,
+
+      // Advanced physics parameters (inspired by RaindropFX)
+      trailDropDensity: Number(q.get('trailDensity')) || options.trailDropDensity,
+      trailDistance: [Number(q.get('trailDistMin')) || options.trailDistance?.[0] || 20,
+                      Number(q.get('trailDistMax')) || options.trailDistance?.[1] || 30],
+      trailDropSize: [Number(q.get('trailSizeMin')) || options.trailDropSize?.[0] || 0.3,
+                      Number(q.get('trailSizeMax')) || options.trailDropSize?.[1] || 0.5],
+      trailSpread: Number(q.get('trailSpread')) || options.trailSpread,
+      velocitySpread: Number(q.get('velocitySpread')) || options.velocitySpread,
+      evaporate: Number(q.get('evaporate')) || options.evaporate,
+      shrinkRate: Number(q.get('shrinkRate')) || options.shrinkRate,
+      xShifting: [xShiftMin || 0, xShiftMax || 0.1],
+      slipRate: Number(q.get('slipRate')) || options.slipRate,
+      breakupRadius: Number(q.get('breakupRadius')) || options.breakupRadius,
+      breakupSpeed: Number(q.get('breakupSpeed')) || options.breakupSpeed,
+      enableWetness: (options.wetness ?? true) && q.get('wetness') !== '0',
+      enableSill: Boolean(options.sill) || q.get('sill') === '1',
+      sillSides: Boolean(options.sillSides) || q.get('sillSides') === '1',
+      sillInset: Number(q.get('sillInset')) || options.sillInset,
+      // climate model (?climate=1&temp=&humidity=&glassTemp=); 0 °C is a real setting
+      enableClimate: Boolean(options.climate) || q.get('climate') === '1',
+      temperature: q.has('temp') ? Number(q.get('temp')) : options.temperature,
+      humidity: q.has('humidity') ? Number(q.get('humidity')) : options.humidity,
+      glassTemperature: q.has('glassTemp') ? Number(q.get('glassTemp')) : options.glassTemperature,
+      // 'rain' | 'hail' | 'sleet' (?precip=)
+      precipitation: q.get('precip') || options.precipitation,
+      // rain strikes all over the glass with splash crowns instead of running in from the top
+      enableImpacts: Boolean(options.impacts) || q.get('impacts') === '1',
+      debugLabels: q.get('debugRain') === '1'
+    });
+    // Render-side randomness (trail strokes, shapes, sparkle) has its own stream so drawing
+    // never perturbs the simulation
+    this.seed = options.seed ?? q.get('seed');
+    this.fxRng = window.RainUtils ? window.RainUtils.createRandom(this.seed, 'rain-on-glass-fx') : { next: Math.random };
 
-    // gravity configuration (angle in degrees for ergonomics)
-    const gravityDeg = Number(q.get('gravityDeg')) || options.gravityDeg || 90; // 90 = down
-    this.gravityAngleRad = (gravityDeg * Math.PI) / 180;
     // Align to rainyday-style options
     this.blurPx = Number(q.get('blur')) || options.blur || 8; // background blur strength
-    this.fps = Number(q.get('fps')) || options.fps || 60;
-    this.gravityBase = Number(q.get('gravity')) || options.gravity || 0.6; // base scalar (increased for proper fall)
-    this.gravityVariance = Number(q.get('gravVar')) || options.gravityVariance || 0; // 0..1 small randomness
-    this.gravityThreshold = Number(q.get('gravityThreshold')) || options.gravityThreshold || 3; // px
-
-    // trails configuration
-    this.enableSmudgeTrail = (q.get('smudge') ?? options.smudge ?? '1') !== '0';
-    this.trailThresholdPx = Number(q.get('trailStep')) || options.trailStep || 50; // distance to leave smudge
-    
-    // condensation configuration
-    this.enableCondensation = (q.get('condensation') ?? options.condensation ?? '1') !== '0';
-    this.condensationDensity = Number(q.get('condDensity')) || options.condensationDensity || 0.8; // Increased for dense coverage
-    this.condensationSize = Number(q.get('condSize')) || options.condensationSize || 1.2; // Larger micro-droplets
-    this.condensationSparkle = Number(q.get('condSparkle')) || options.condensationSparkle || 0.9; // More sparkle
-    
-    // enhanced physics configuration
-    this.enableTrails = (q.get('trails') ?? options.enableTrails ?? '1') !== '0';
-    this.dragCoeff = Number(q.get('drag')) || options.dragCoeff || 0.8; // drag coefficient
-    this.windX = Number(q.get('windX')) || options.windX || 0; // wind force X
-    this.windY = Number(q.get('windY')) || options.windY || 0; // wind force Y
-    this.adhesionBase = Number(q.get('adhesion')) || options.adhesionBase || 0.92; // base adhesion (stickiness)
-    this.slideThreshold = Number(q.get('slideThreshold')) || options.slideThreshold || 8; // radius threshold for sliding
-    this.terminalVelocity = Number(q.get('terminalVel')) || options.terminalVelocity || 15; // max fall speed
+    // Fixed-timestep simulation: update() always advances by fixedDt, rendering interpolates
+    // between the last two states, so motion is the same at 30, 60 or 144 Hz
+    this.stepRate = Number(q.get('stepRate')) || options.stepRate || 60; // simulation ticks per second
+    this.fixedDt = 1 / this.stepRate;
+    this.maxSubSteps = options.maxSubSteps || 5; // cap catch-up work after a long frame
+    this.accumulator = 0;
     
     // control panel properties
-    this.sizeVariance = Number(q.get('sizeVariance')) || options.sizeVariance || 1.0; // drop size variance multiplier
     this.trailIntensity = Number(q.get('trailIntensity')) || options.trailIntensity || 0.5; // trail intensity multiplier
     
-    // Advanced physics parameters (inspired by RaindropFX)
-    this.trailDropDensity = Number(q.get('trailDensity')) || options.trailDropDensity || 0.2; // density of trail droplets
-    this.trailDistance = [Number(q.get('trailDistMin')) || options.trailDistance?.[0] || 20, 
-                         Number(q.get('trailDistMax')) || options.trailDistance?.[1] || 30]; // trail droplet spacing
-    this.trailDropSize = [Number(q.get('trailSizeMin')) || options.trailDropSize?.[0] || 0.3,
-                         Number(q.get('trailSizeMax')) || options.trailDropSize?.[1] || 0.5]; // trail droplet size range
-    this.trailSpread = Number(q.get('trailSpread')) || options.trailSpread || 0.6; // trail spread factor
-    this.velocitySpread = Number(q.get('velocitySpread')) || options.velocitySpread || 0.3; // velocity-based spread
-    this.evaporate = Number(q.get('evaporate')) || options.evaporate || 10; // evaporation rate
-    this.shrinkRate = Number(q.get('shrinkRate')) || options.shrinkRate || 0.01; // size shrinking rate
-    this.xShifting = [Number(q.get('xShiftMin')) || options.xShifting?.[0] || 0,
-                     Number(q.get('xShiftMax')) || options.xShifting?.[1] || 0.1]; // horizontal drift range
-    this.slipRate = Number(q.get('slipRate')) || options.slipRate || 0.1; // slip rate for random motion
-    
     // Advanced rendering parameters - DRAMATICALLY ENHANCED for visible micro-lens effect
     this.refractBase = Number(q.get('refractBase')) || options.refractBase || 1.5; // base refraction strength (dramatically increased for visible lens effect)
     this.refractScale = Number(q.get('refractScale')) || options.refractScale || 2.0; // refraction scaling (dramatically increased for visible lens effect)
@@ -108,6 +191,43 @@ class RainOnGlass {
     this.saturation = (typeof options.saturation === 'number') ? options.saturation : (urlParams.has('sat') ? Math.max(0, Math.min(1, Number(urlParams.get('sat')))) : 0.85);
     this.fogEnabled = (urlParams.get('fog') ?? (options.fog ?? '1')) !== '0';
     this.fogStrength = (typeof options.fogStrength === 'number') ? options.fogStrength : (urlParams.has('fogStrength') ? Math.max(0, Math.min(0.25, Number(urlParams.get('fogStrength')))) : 0.08);
+    // persistent mist over the glass: a low-res mask of wiped areas (alpha 1 = clear) that
+    // pointer drags and moving drops paint into and that fogs back over refogTime seconds
+    this.mistEnabled = (options.mist ?? true) && urlParams.get('mist') !== '0';
+    this.mistStrength = (typeof options.mistStrength === 'number') ? options.mistStrength : (urlParams.has('mistStrength') ? Math.max(0, Math.min(0.5, Number(urlParams.get('mistStrength')))) : 0.14);
+    this.refogTime = Number(urlParams.get('refog')) || options.refogTime || 8; // seconds
+    this.wipeRadius = Number(options.wipeRadius) || 26; // CSS px
+    this.mistMask = document.createElement('canvas');
+    this.mistMaskCtx = this.mistMask.getContext('2d', { willReadFrequently: true });
+    this.mistLayer = document.createElement('canvas');
+    this.mistLayerCtx = this.mistLayer.getContext('2d');
+    this._refogAcc = 0;
+    // wet streaks drawn from the simulation's wetness field (one pixel per field cell, upscaled)
+    this.wetnessStrength = (typeof options.wetnessStrength === 'number') ? options.wetnessStrength : (urlParams.has('wetnessStrength') ? Math.max(0, Math.min(1, Number(urlParams.get('wetnessStrength')))) : 0.6);
+    this.wetMask = document.createElement('canvas');
+    this.wetMaskCtx = this.wetMask.getContext('2d');
+    this.wetImage = null;
+    this.wetLayer = document.createElement('canvas');
+    this.wetLayerCtx = this.wetLayer.getContext('2d');
+    this.writing = []; // active writeOnGlass() jobs, advanced in simulated time
+    this.iceTicks = []; // recent hail and sleet strikes { x, y, r, strength, age } in device px
+    this._tickPool = [];
+    // frost creeping in from the overlay's edges: a mask of ice (alpha 1 = frozen) that crystal
+    // arms grow into over frostTime seconds and that passing drops and a resting pointer melt
+    this.frostEnabled = Boolean(options.frost) || q.get('frost') === '1';
+    this.frostTime = Number(q.get('frostTime')) || options.frostTime || 6;  // seconds
+    this.frostReach = Number(options.frostReach) || 0.35; // of the shorter side
+    this.frostStrength = (typeof options.frostStrength === 'number') ? options.frostStrength : 0.45;
+    this.frostMask = document.createElement('canvas');
+    this.frostMaskCtx = this.frostMask.getContext('2d');
+    this.frostLayer = document.createElement('canvas');
+    this.frostLayerCtx = this.frostLayer.getContext('2d');
+    this.frostRng = window.RainUtils ? window.RainUtils.createRandom(this.seed, 'rain-on-glass-frost') : { next: Math.random };
+    this.frostTips = []; // growing crystal arms in device px: { x, y, angle, length, depth, width, sinceBranch }
+    this.frostArms = Array.from({ length: FROST_MAX_DEPTH + 1 }, () => []); // per depth: x0, y0, x1, y1 of each step, reused
+    this.frostSpeed = 0;
+    this.frostPointer = null; // { x, y, dwell } while a cursor hovers over the canvas
+    this._frostRegrowAcc = 0;
     this.avgLuma = 0;
     this.overlayEl = this.standalone ? null : document.querySelector('.menu .menu-overlay');
 
@@ -120,23 +240,44 @@ class RainOnGlass {
     this.miniMagnification = Number(options.miniMagnification) || 1.16; // stronger lens when boosted
     this.miniOffsetScale = Number(options.miniOffsetScale) || 1.35;     // boosts offsetX/offsetY
 
-
+    // pointer interaction: drag a drop, flick it on release, tap the glass to shake drops loose
+    this.interactive = options.interactive !== false && q.get('pointer') !== '0';
+    this.grabSlop = Number(options.grabSlop) || 12;                        // CSS px around small drops
+    this.tapRadius = Number(q.get('tapRadius')) || options.tapRadius || 90; // CSS px
+    this.tapStrength = Number(options.tapStrength) || 3;                   // px per frame at the tap point
+    this.pointers = new Map(); // pointerId -> { drop, x, y, vx, vy, ... } for multi-touch
+
+    // obstacles drops flow around and exclusion zones nothing spawns in: selectors, elements or
+    // { x, y, width, height } rects in CSS px relative to the canvas, re-measured on resize and scroll
+    this.obstacleSources = options.obstacles || [];
+    this.exclusionSources = options.exclusions || [];
+    this._zonesFrame = 0;
+
+    // opt-in device tilt gravity (tilt-gravity.js): `tilt: true` / ?tilt=1, or 'mouse' / ?tilt=mouse on desktop
+    const tiltMode = options.tilt ?? q.get('tilt');
+    this.tilt = (tiltMode && tiltMode !== '0' && window.TiltGravity) ? window.TiltGravity.shared() : null;
+    if (this.tilt) this.tilt.enable({ emulatePointer: tiltMode === 'mouse' });
+
+    // snow settling on the glass (glass-snow.js): `snowOnGlass: true | { snowfall, temperature }` / ?snowOnGlass=1
+    this.glassSnow = null;
+    if (options.snowOnGlass || q.get('snowOnGlass') === '1') {
+      this.setSnowOnGlass(typeof options.snowOnGlass === 'object' ? options.snowOnGlass : {});
+    }
 
     this.resize = this.resize.bind(this);
     this.loop = this.loop.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onPointerLeave = this.onPointerLeave.bind(this);
+    this.scheduleZones = this.scheduleZones.bind(this);
     window.addEventListener('resize', this.resize);
+    // capture: scrolling any container can move the elements zones are measured from
+    window.addEventListener('scroll', this.scheduleZones, { capture: true, passive: true });
+    document.addEventListener('transitionend', this.scheduleZones);
     this.resize();
-
-    // preset-based spawner (min, base, ratePerSecond, count optional)
-    // Enhanced rates for more drops
-    this.presets = [
-      { min: 1, base: 2.5, rate: 9 },   // micro beads (denser)
-      { min: 3, base: 4.5, rate: 7 },   // small
-      { min: 6, base: 8.5, rate: 4 },   // medium
-      { min: 12, base: 16, rate: 0.8 }  // big
-    ];
-    // accumulators for fractional spawning
-    this._spawnAcc = this.presets.map(() => 0);
+    if (options.densityMask) this.setDensityMask(options.densityMask);
+    if (this.interactive) this.attachPointer();
 
     // preset API timer
     this._rainTimer = null;
@@ -296,6 +437,58 @@ class RainOnGlass {
     }
   }
 
+  // Use an image, canvas or URL as the refracted background instead of capturing the page
+  async setBackgroundImage(source) {
+    try {
+      let img = source;
+      if (typeof source === 'string') {
+        img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.src = source;
+      }
+      if (img && img.tagName === 'IMG' && !(img.complete && img.naturalWidth > 0)) {
+        await new Promise((resolve, reject) => {
+          img.onload = resolve;
+          img.onerror = reject;
+        });
+      }
+      const iw = img ? (img.naturalWidth || img.width) : 0;
+      const ih = img ? (img.naturalHeight || img.height) : 0;
+      const w = this.canvas.width;
+      const h = this.canvas.height;
+      if (!iw || !ih || w < 2 || h < 2) {
+        this.hasBackground = false;
+        return;
+      }
+
+      this.bgSharp.width = this.bgBlur.width = this.trailBuffer.width = w;
+      this.bgSharp.height = this.bgBlur.height = this.trailBuffer.height = h;
+
+      // cover-fit like CSS background-size: cover
+      const scale = Math.max(w / iw, h / ih);
+      const dw = iw * scale;
+      const dh = ih * scale;
+      this.bgSharpCtx.clearRect(0, 0, w, h);
+      this.bgSharpCtx.drawImage(img, (w - dw) / 2, (h - dh) / 2, dw, dh);
+      if (this.saturation < 1) this.applyDesaturate(this.bgSharpCtx, w, h, this.saturation);
+
+      const blurStrength = Math.max(0, Math.floor(this.blurPx));
+      this.bgBlurCtx.clearRect(0, 0, w, h);
+      if (blurStrength > 0) {
+        this.multiPassBlur(this.bgSharp, this.bgBlur, blurStrength);
+      } else {
+        this.bgBlurCtx.drawImage(this.bgSharp, 0, 0);
+      }
+
+      this.hasBackground = true;
+      this.computeAverageLuminance();
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn('RainOnGlass background image failed:', e);
+      this.hasBackground = false;
+    }
+  }
+
   // Simple separable box blur (two-pass) for determinism across browsers
   applyBoxBlur(ctx, w, h, radius) {
     if (radius <= 0) return;
@@ -379,15 +572,19 @@ class RainOnGlass {
     // initial population (tunable, with mobile-aware defaults)
     const isMobile = (typeof window !== 'undefined') && (window.matchMedia?.('(max-width: 768px)').matches || 'ontouchstart' in window.navigator || /Mobi|Android/i.test(window.navigator.userAgent));
     const defaultDensity = isMobile ? 26 : 42;  // Denser default population
-    this.initialDensity = Number(urlParams.get('density')) || defaultDensity;
-    this.maxDrops = Number(urlParams.get('maxDrops')) || 180;  // Higher cap
-    this.spawnChance = Number(urlParams.get('spawn')) || 0.42; // Higher spawn rate
+    // values assigned before start() (menu integration, engine adapter) take precedence over defaults
+    this.initialDensity = Number(urlParams.get('density')) || (this.initialDensity ?? defaultDensity);
+    this.maxDrops = Number(urlParams.get('maxDrops')) || (this.maxDrops ?? 180);  // Higher cap
+    this.spawnChance = Number(urlParams.get('spawn')) || (this.spawnChance ?? 0.42); // Higher spawn rate
+    this.refreshZones(); // the menu links are laid out by now
     for (let i = 0; i < this.initialDensity; i++) this.spawn();
     requestAnimationFrame(this.loop);
   }
 
   stop() {
     this.running = false;
+    this.pointers.clear();
+    this.writing.length = 0;
     this.drops.length = 0;
     this.micro.length = 0;
     this.clear();
@@ -398,6 +595,17 @@ class RainOnGlass {
     // Don't clear drops - keep them frozen in place
   }
 
+  destroy() {
+    this.stop();
+    if (this._rainTimer) { clearInterval(this._rainTimer); this._rainTimer = null; }
+    if (this._resizeTimer) { clearTimeout(this._resizeTimer); this._resizeTimer = null; }
+    window.removeEventListener('resize', this.resize);
+    window.removeEventListener('scroll', this.scheduleZones, { capture: true });
+    document.removeEventListener('transitionend', this.scheduleZones);
+    if (this._zonesFrame) cancelAnimationFrame(this._zonesFrame);
+    this.detachPointer();
+  }
+
   resume() {
     if (this.running) return;
     this.running = true;
@@ -412,6 +620,8 @@ class RainOnGlass {
     this.canvas.height = vh * this.dpr;
     this.canvas.style.width = vw + 'px';
     this.canvas.style.height = vh + 'px';
+    this.sim.resize(this.canvas.width, this.canvas.height);
+    this.refreshZones();
     // re-apply overlay tuning on resize
     this.applyOverlayTuning();
     // In standalone mode, recapture background on resize (debounced)
@@ -471,100 +681,109 @@ class RainOnGlass {
 
 
 
+  // Spawning and drop motion live in RainSimulation
   spawn(x, y, r) {
-    // Organic size distribution using natural variations
-    let radius;
-    if (r) {
-      radius = r;
-    } else {
-      // Use natural drop size variations
-      const baseSize = 8; // Base medium drop size
-      const sizeVariation = 0.4; // 40% variation
-      radius = window.RainUtils?.naturalDropSize(baseSize, sizeVariation) || (baseSize + Math.random() * baseSize * sizeVariation);
-      
-      // More random size distribution with higher variation
-      const sizeCategory = Math.random();
-      if (sizeCategory < 0.4) {
-        // Small drops (40%) - 3-10px base with high variation
-        radius = window.RainUtils?.naturalDropSize(6, 0.6) || (6 + Math.random() * 4);
-      } else if (sizeCategory < 0.8) {
-        // Medium drops (40%) - 8-20px base with high variation
-        radius = window.RainUtils?.naturalDropSize(14, 0.5) || (14 + Math.random() * 6);
-      } else {
-        // Large drops (20%) - 15-30px base with high variation
-        radius = window.RainUtils?.naturalDropSize(22, 0.4) || (22 + Math.random() * 8);
-      }
-      radius *= this.dpr * this.sizeVariance; // Apply size variance multiplier
-    }
-    
-    // Ensure minimum radius to prevent rendering errors
-    radius = Math.max(0.5, radius);
-    
-    // Organic positioning using randomInRect for more natural distribution
-    let spawnX, spawnY;
-    if (x !== undefined) {
-      spawnX = x;
-    } else {
-      // Use organic positioning within spawn area
-      const spawnRect = window.RainUtils ? new window.RainUtils.Rect(radius, 0, this.canvas.width - 2 * radius, 50) : null;
-      const organicPos = window.RainUtils ? window.RainUtils.randomInRect(spawnRect) : null;
-      spawnX = organicPos ? organicPos.x : (radius + Math.random() * (this.canvas.width - 2 * radius));
+    return this.sim.spawn(x, y, r);
+  }
+
+  trimDrops(count) {
+    this.sim.trimDrops(count);
+  }
+
+  // Pointer Events on the canvas; the menu links sit above it in z-order, so they keep their clicks
+  attachPointer() {
+    this.canvas.addEventListener('pointerdown', this.onPointerDown);
+    this.canvas.addEventListener('pointermove', this.onPointerMove);
+    this.canvas.addEventListener('pointerup', this.onPointerUp);
+    this.canvas.addEventListener('pointercancel', this.onPointerUp);
+    this.canvas.addEventListener('pointerleave', this.onPointerLeave);
+    this.canvas.style.touchAction = 'none'; // no panning or zooming while dragging drops
+  }
+
+  detachPointer() {
+    this.canvas.removeEventListener('pointerdown', this.onPointerDown);
+    this.canvas.removeEventListener('pointermove', this.onPointerMove);
+    this.canvas.removeEventListener('pointerup', this.onPointerUp);
+    this.canvas.removeEventListener('pointercancel', this.onPointerUp);
+    this.canvas.removeEventListener('pointerleave', this.onPointerLeave);
+    this.pointers.clear();
+    this.frostPointer = null;
+  }
+
+  // Client coordinates to simulation (device) pixels
+  toSimPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const sx = rect.width ? this.canvas.width / rect.width : this.dpr;
+    const sy = rect.height ? this.canvas.height / rect.height : this.dpr;
+    return { x: (e.clientX - rect.left) * sx, y: (e.clientY - rect.top) * sy };
+  }
+
+  onPointerDown(e) {
+    if (this.frostEnabled) this.hoverFrost(e);
+    const p = this.toSimPoint(e);
+    const drop = this.sim.grabDrop(p.x, p.y, this.grabSlop * this.dpr);
+    this.pointers.set(e.pointerId, {
+      drop, x: p.x, y: p.y, startX: p.x, startY: p.y,
+      startTime: e.timeStamp, lastTime: e.timeStamp, vx: 0, vy: 0
+    });
+    // keep receiving moves for this finger even if it slides off the canvas
+    try { this.canvas.setPointerCapture(e.pointerId); } catch (_) {}
+    if (!drop) this.wipeMist(p.x, p.y);
+  }
+
+  onPointerMove(e) {
+    if (this.frostEnabled) this.hoverFrost(e);
+    const state = this.pointers.get(e.pointerId);
+    if (!state) return;
+    const p = this.toSimPoint(e);
+    const elapsed = e.timeStamp - state.lastTime;
+    // a bare finger or cursor wipes the mist and scrapes the frost; a held drop carves its own streak via its trail
+    if (!state.drop) {
+      this.wipeMist(state.x, state.y, p.x, p.y);
+      this.meltFrost(state.x, state.y, p.x, p.y);
     }
-    
-    if (y !== undefined) {
-      spawnY = y;
-    } else {
-      // Organic Y positioning with natural variation
-      const baseY = -radius - 50;
-      const yVariation = window.RainUtils?.randomRange(0, 100) || Math.random() * 100;
-      spawnY = baseY - yVariation * this.dpr;
+    if (elapsed > 0) {
+      // smoothed pointer velocity in px per physics frame, used for the flick on release
+      const perFrame = 1000 / this.fps / elapsed;
+      state.vx = state.vx * 0.5 + (p.x - state.x) * perFrame * 0.5;
+      state.vy = state.vy * 0.5 + (p.y - state.y) * perFrame * 0.5;
     }
-    
-    this.drops.push({
-      x: spawnX,
-      y: spawnY,
-      r: radius,
-      // More random velocity variations
-      vx: window.RainUtils?.randomRange(-0.8, 0.8) || ((Math.random() - 0.5) * 0.8),
-      vy: 0,
-      stretch: 1,
-      // More random adhesion with higher variation
-      stick: window.RainUtils?.randomJittered(new window.RainUtils.JitterOption(this.adhesionBase, 0.15)) || (this.adhesionBase + Math.random() * 0.15),
-      label: (urlParams.get('debugRain') === '1') && Math.random() < 0.2,
-      shapePoints: null,
-      _shapeDirty: false,
-      // Enhanced physics properties with organic variations
-      mass: radius * radius, // mass ∝ r²
-      prevX: spawnX,
-      prevY: spawnY,
-      adhesion: this.adhesionBase,
-      _trailAccumulated: 0,
-      // Advanced physics properties with natural variations
-      density: window.RainUtils?.randomJittered(new window.RainUtils.JitterOption(1.0, 0.1)) || 1.0, // Organic density variation
-      spread: { x: 0, y: 0 }, // Shape deformation
-      resistance: 0, // Dynamic friction
-      shifting: 0, // Horizontal drift
-      lastTrailPos: { x: spawnX, y: spawnY },
-      // Organic trail spacing with natural variation
-      nextTrailDistance: window.RainUtils?.randomRange(15, 35) || (20 + Math.random() * 20),
-      nextRandomTime: 0, // Random motion timing
-      // Unique seed for organic variations
-      _organicSeed: Math.floor(Math.random() * 10000)
-    });
+    state.x = p.x;
+    state.y = p.y;
+    state.lastTime = e.timeStamp;
+    if (!state.drop) return;
+    if (state.drop._dead) { state.drop = null; return; } // absorbed or evaporated under the finger
+    this.sim.moveDrop(state.drop, p.x, p.y);
   }
 
-  // Random motion system inspired by RainDrop class
-  randomMotion(drop) {
-    try {
-      // Calculate maximum resistance based on drop size and slip rate
-      const maxResistance = (8 + Math.random() * 8) * (1 - this.slipRate) ** 2 * 4;
-      drop.resistance = Math.random() * this.gravityBase * maxResistance;
-      drop.shifting = Math.random() * (this.xShifting[0] + Math.random() * (this.xShifting[1] - this.xShifting[0]));
-    } catch (error) {
-      console.warn('Error in randomMotion:', error);
+  onPointerUp(e) {
+    const state = this.pointers.get(e.pointerId);
+    if (!state) return;
+    this.pointers.delete(e.pointerId);
+    if (state.drop) {
+      // a finger that came to rest before lifting sets the drop down instead of flicking it
+      const fling = e.type === 'pointerup' && e.timeStamp - state.lastTime < 100;
+      this.sim.releaseDrop(state.drop, fling ? state.vx : 0, fling ? state.vy : 0);
+      return;
+    }
+    const moved = Math.hypot(state.x - state.startX, state.y - state.startY);
+    if (e.type === 'pointerup' && moved < POINTER_TAP_SLOP * this.dpr && e.timeStamp - state.startTime < POINTER_TAP_MS) {
+      this.sim.impulse(state.startX, state.startY, this.tapRadius * this.dpr, this.tapStrength);
     }
   }
 
+  onPointerLeave() {
+    this.frostPointer = null;
+  }
+
+  // Track where a cursor or finger rests; the melt under it widens until it moves off the spot
+  hoverFrost(e) {
+    const p = this.toSimPoint(e);
+    const rest = this.frostPointer;
+    if (rest && Math.hypot(p.x - rest.x, p.y - rest.y) < POINTER_TAP_SLOP * this.dpr) return;
+    this.frostPointer = { x: p.x, y: p.y, dwell: 0 };
+  }
+
   // Multi-pass blur system (inspired by WebGL BlurRenderer)
   initBlurSteps(width, height) {
     // Initialize blur step canvases if needed
@@ -649,50 +868,27 @@ class RainOnGlass {
     targetCtx.filter = 'none';
   }
 
-  spawnCondensation() {
-    if (!this.enableCondensation || this.testMode || this.condensation.length >= 3000) return; // Increased limit
-    
-    // Spawn dense micro-condensation like the reference implementation
-    const count = Math.floor(this.condensationDensity * 40 * Math.random()); // Much higher density
-    for (let i = 0; i < count; i++) {
-      const x = Math.random() * this.canvas.width;
-      const y = Math.random() * this.canvas.height;
-      const size = (0.2 + Math.random() * 1.8) * this.condensationSize * this.dpr; // More size variation
-      
-      this.condensation.push({
-        x: x,
-        y: y,
-        r: size,
-        sparkle: Math.random() * this.condensationSparkle,
-        life: 0.6 + Math.random() * 0.8, // Longer life for dense coverage
-        age: 0,
-        twinkle: Math.random() * Math.PI * 2, // for sparkle animation
-        _isMicroCondensation: true // Mark for special rendering
-      });
-    }
-  }
-
-  layTrail(drop, prevX, prevY) {
+  // Stroke a trail segment laid by the simulation into the trail buffer
+  drawTrail(seg) {
     try {
       if (!this.enableTrails || !this.trailCtx) return;
       
       // Enhanced trail parameters using RaindropFX-inspired system
-      const baseWidth = Math.max(0.8, drop.r * 0.4 * this.trailSpread);
+      const baseWidth = Math.max(0.8, seg.r * 0.4 * this.trailSpread);
       const widthVariation = baseWidth * 0.3;
-      const w = baseWidth + (Math.random() - 0.5) * widthVariation;
+      const w = baseWidth + (this.fxRng.next() - 0.5) * widthVariation;
       
       // Enhanced trail visibility for realistic rivulets
-      const trailSpeed = Math.hypot(drop.vx, drop.vy);
-      const velocityFactor = Math.min(1, trailSpeed / 8); // Normalize speed
-      const baseAlpha = Math.min(0.4, 0.1 + drop.r * 0.012 + velocityFactor * 0.15); // More visible trails
+      const velocityFactor = Math.min(1, seg.speed / 8); // Normalize speed
+      const baseAlpha = Math.min(0.4, 0.1 + seg.r * 0.012 + velocityFactor * 0.15); // More visible trails
       const alphaVariation = baseAlpha * 0.3;
-      const alpha = baseAlpha + (Math.random() - 0.5) * alphaVariation;
+      const alpha = baseAlpha + (this.fxRng.next() - 0.5) * alphaVariation;
       
       // Enhanced horizontal drift using xShifting parameters
       const driftRange = this.xShifting[1] - this.xShifting[0];
-      const drift = this.xShifting[0] + Math.random() * driftRange;
-      const midX = (prevX + drop.x) / 2 + drift;
-      const midY = (prevY + drop.y) / 2;
+      const drift = this.xShifting[0] + this.fxRng.next() * driftRange;
+      const midX = (seg.x0 + seg.x1) / 2 + drift;
+      const midY = (seg.y0 + seg.y1) / 2;
       
       this.trailCtx.save();
       // Skip white trail strokes in test mode
@@ -704,58 +900,13 @@ class RainOnGlass {
         
         // Draw curved trail for more natural water flow
         this.trailCtx.beginPath();
-        this.trailCtx.moveTo(prevX, prevY);
-        this.trailCtx.quadraticCurveTo(midX, midY, drop.x, drop.y);
+        this.trailCtx.moveTo(seg.x0, seg.y0);
+        this.trailCtx.quadraticCurveTo(midX, midY, seg.x1, seg.y1);
         this.trailCtx.stroke();
       }
       this.trailCtx.restore();
-      
-      // Spawn trail droplets occasionally (inspired by RaindropFX)
-      if (Math.random() < this.trailDropDensity * 0.1) {
-        this.spawnTrailDroplet(drop, prevX, prevY);
-      }
-    } catch (error) {
-      console.warn('Error in layTrail:', error);
-    }
-  }
-  
-  spawnTrailDroplet(parentDrop, prevX, prevY) {
-    try {
-      if (!this.enableTrails) return;
-      
-      // Create small trail droplet
-      const trailSize = this.trailDropSize[0] + Math.random() * (this.trailDropSize[1] - this.trailDropSize[0]);
-      const trailRadius = Math.max(0.5, parentDrop.r * trailSize); // Ensure minimum radius
-      
-      // Position along the trail path
-      const t = Math.random();
-      const x = prevX + (parentDrop.x - prevX) * t;
-      const y = prevY + (parentDrop.y - prevY) * t;
-      
-      // Add some spread
-      const spreadX = (Math.random() - 0.5) * this.trailSpread * 2;
-      const spreadY = (Math.random() - 0.5) * this.trailSpread * 2;
-      
-      this.drops.push({
-        x: x + spreadX,
-        y: y + spreadY,
-        r: trailRadius,
-        vx: parentDrop.vx * 0.5 + (Math.random() - 0.5) * 0.2,
-        vy: parentDrop.vy * 0.5 + (Math.random() - 0.5) * 0.2,
-        stretch: 1,
-        stick: this.adhesionBase + Math.random() * 0.06,
-        label: false,
-        shapePoints: null,
-        _shapeDirty: false,
-        mass: trailRadius * trailRadius,
-        prevX: x + spreadX,
-        prevY: y + spreadY,
-        adhesion: this.adhesionBase,
-        _trailAccumulated: 0,
-        _isTrailDroplet: true // Mark as trail droplet
-      });
     } catch (error) {
-      console.warn('Error in spawnTrailDroplet:', error);
+      console.warn('Error in drawTrail:', error);
     }
   }
 
@@ -782,346 +933,751 @@ class RainOnGlass {
     }
   }
 
+  // Advance the simulation by dt seconds, then paint the trails it laid
   update(dt) {
-    try {
-      const g = this.gravityBase;
-    for (let i = this.drops.length - 1; i >= 0; i--) {
-      const d = this.drops[i];
-        
-        // Validate drop data
-        if (!d || typeof d.x !== 'number' || typeof d.y !== 'number' || typeof d.r !== 'number') {
-          console.warn('Invalid drop data at index', i, d);
-          this.drops.splice(i, 1);
-          continue;
+    if (this.tilt?.active) this.gravityAngleRad = this.tilt.angle;
+    this.sim.update(dt);
+    // moving drops carve clear streaks through the mist and frost, traced onto each mask's own
+    // path and filled once
+    if (this.mistEnabled) this.ensureMistSize(); // resizing would drop the path
+    const mist = this.mistEnabled ? this.mistMaskCtx : null;
+    const frost = this.frostEnabled && this.frostMask.width > 0 ? this.frostMaskCtx : null;
+    mist?.beginPath();
+    frost?.beginPath();
+    let streaks = 0;
+    for (const seg of this.sim.takeTrailSegments()) {
+      this.drawTrail(seg);
+      if (!(seg.r > 0)) continue;
+      if (mist) addCapsule(mist, seg.x0 * MIST_SCALE, seg.y0 * MIST_SCALE, seg.x1 * MIST_SCALE, seg.y1 * MIST_SCALE, seg.r * 0.8 * MIST_SCALE);
+      if (frost) addCapsule(frost, seg.x0 * FROST_SCALE, seg.y0 * FROST_SCALE, seg.x1 * FROST_SCALE, seg.y1 * FROST_SCALE, seg.r * FROST_SCALE);
+      streaks++;
+    }
+    if (streaks && mist) this.wipeMistPath();
+    if (streaks && frost) this.meltFrostPath();
+    // Evolve trails (evaporation and diffusion)
+    this.evolveTrails();
+    this.refogMist(dt);
+    if (this.writing.length) this.advanceWriting(dt);
+    if (this.glassSnow) this.updateGlassSnow(dt);
+    if (this.frostEnabled) this.updateFrost(dt);
+    this.updateIceTicks(dt);
+  }
+
+  // Strikes from the simulation ring briefly where they hit
+  updateIceTicks(dt) {
+    const ticks = this.iceTicks;
+    for (const hit of this.sim.takeImpacts()) {
+      const tick = this._tickPool.pop() || {};
+      tick.x = hit.x;
+      tick.y = hit.y;
+      tick.r = hit.r;
+      tick.strength = hit.strength;
+      tick.age = 0;
+      ticks.push(tick);
+    }
+    if (!ticks.length) return;
+    // age them and drop the faded ones in place, keeping their objects for the next strikes
+    let kept = 0;
+    for (let i = 0; i < ticks.length; i++) {
+      const tick = ticks[i];
+      tick.age += dt;
+      if (tick.age < ICE_TICK_TIME) ticks[kept++] = tick;
+      else this._tickPool.push(tick);
+    }
+    ticks.length = kept;
+  }
+
+  // Flakes land at `snowfall` and thaw at the glass temperature (the climate's glassTemperature);
+  // null clears them off
+  setSnowOnGlass(settings) {
+    if (!settings || typeof GlassSnow === 'undefined') {
+      this.glassSnow = null;
+      return;
+    }
+    if (!this.glassSnow) {
+      this.glassSnow = new GlassSnow({
+        seed: this.seed,
+        width: this.sim.width / this.dpr,
+        height: this.sim.height / this.dpr,
+        onMelt: (x, y, r) => this.meltFlake(x, y, r)
+      });
+    }
+    if (typeof settings.snowfall === 'number') this.glassSnow.snowfall = settings.snowfall;
+    if (typeof settings.temperature === 'number') this.glassTemperature = settings.temperature;
+  }
+
+  updateGlassSnow(dt) {
+    const snow = this.glassSnow;
+    const width = this.sim.width / this.dpr;
+    const height = this.sim.height / this.dpr;
+    if (snow.width !== width || snow.height !== height) snow.resize(width, height);
+    snow.temperature = this.glassTemperature;
+    snow.update(dt);
+  }
+
+  // A melted flake (CSS px) leaves a small drop where it sat, with water to last like a drip
+  meltFlake(x, y, r) {
+    if (this.sim.drops.length >= this.maxDrops) return;
+    const drop = this.sim.spawn(x * this.dpr, y * this.dpr, Math.max(1.5, r) * this.dpr);
+    drop.vx = 0;
+    drop.mass += this.evaporate * this.fps * DRIP_LIFETIME;
+  }
+
+  setObstacles(sources) {
+    this.obstacleSources = sources || [];
+    this.refreshZones();
+  }
+
+  setExclusions(sources) {
+    this.exclusionSources = sources || [];
+    this.refreshZones();
+  }
+
+  // Resolve zone sources to rects in device px; hidden or empty elements are skipped
+  measureZones(sources) {
+    const rects = [];
+    const box = this.canvas.getBoundingClientRect();
+    const scale = box.width > 0 ? this.canvas.width / box.width : this.dpr;
+    for (const source of sources) {
+      const items = typeof source === 'string' ? Array.from(document.querySelectorAll(source)) : [source];
+      for (const item of items) {
+        let rect = item;
+        if (item && typeof item.getBoundingClientRect === 'function') {
+          const b = item.getBoundingClientRect();
+          rect = { x: b.left - box.left, y: b.top - box.top, width: b.width, height: b.height };
         }
-      
-      // Store previous position for trail rendering
-      const prevX = d.x;
-      const prevY = d.y;
-      
-      // Advanced physics system inspired by RainDrop class
-      const dtScale = Math.max(0.016, Math.min(0.1, dt)) * this.fps / 1.0; // normalize to configured fps
-      
-      // Validate dtScale is finite
-      if (!isFinite(dtScale) || dtScale <= 0) {
-        console.warn('Invalid dtScale for drop', i, 'dtScale:', dtScale, 'dt:', dt, 'fps:', this.fps);
-        continue; // Skip this drop's update
+        if (!rect || !(rect.width > 0) || !(rect.height > 0)) continue;
+        rects.push({ x: rect.x * scale, y: rect.y * scale, width: rect.width * scale, height: rect.height * scale });
       }
-      
-      // Random motion intervals (inspired by RainDrop class)
-      if (d.nextRandomTime <= this.last) {
-        d.nextRandomTime = this.last + (0.1 + Math.random() * 0.4); // motionInterval
-        this.randomMotion(d);
-      }
-      
-      // Evaporation (mass decreases over time) - prevent negative mass (skip for test drops)
-      if (!d._testDrop) {
-        d.mass = Math.max(0, d.mass - this.evaporate * dtScale);
-        if (d.mass <= 0) {
-          d._dead = true;
+    }
+    return rects;
+  }
+
+  refreshZones() {
+    try {
+      this.sim.setObstacles(this.measureZones(this.obstacleSources));
+      this.sim.setExclusions(this.measureZones(this.exclusionSources));
+    } catch (error) {
+      console.warn('Failed to measure rain obstacles:', error);
+    }
+  }
+
+  // Scroll and transitions fire in bursts: measure at most once per frame
+  scheduleZones() {
+    if (this._zonesFrame || (!this.obstacleSources.length && !this.exclusionSources.length)) return;
+    this._zonesFrame = requestAnimationFrame(() => {
+      this._zonesFrame = 0;
+      this.refreshZones();
+    });
+  }
+
+  // Spawn and condensation density across the glass: an image or canvas (brightness × alpha =
+  // density), or a gradient { stops: [[offset, density], ...], direction: 'vertical' | 'horizontal' };
+  // null clears it
+  setDensityMask(source) {
+    if (!source) {
+      this.sim.setDensityMask(null);
+      return;
+    }
+    if (source instanceof HTMLImageElement && !source.complete) {
+      source.addEventListener('load', () => this.setDensityMask(source), { once: true });
+      return;
+    }
+    try {
+      const size = DENSITY_MASK_SIZE;
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = size;
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      if (Array.isArray(source.stops)) {
+        const g = source.direction === 'horizontal' ? ctx.createLinearGradient(0, 0, size, 0) : ctx.createLinearGradient(0, 0, 0, size);
+        for (const [offset, density] of source.stops) {
+          const v = Math.round(Math.max(0, Math.min(1, density)) * 255);
+          g.addColorStop(offset, `rgb(${v},${v},${v})`);
         }
-      }
-      
-      // Skip physics calculations for dead drops
-      if (d._dead || d.mass <= 0) {
-        continue;
-      }
-      
-      // Initialize resistance and shifting if they don't exist (for backward compatibility)
-      if (!d.resistance || !isFinite(d.resistance)) {
-        d.resistance = 0;
-      }
-      if (!d.shifting || !isFinite(d.shifting)) {
-        d.shifting = 0;
-      }
-      
-      // Advanced physics calculation with validation
-      const force = this.gravityBase * d.mass - d.resistance;
-      const acceleration = force / d.mass;
-      
-      // Validate physics calculations (skip for test drops)
-      if (!d._testDrop && (!isFinite(force) || !isFinite(acceleration) || !isFinite(d.mass) || d.mass <= 0)) {
-        console.warn('Invalid physics values for drop', i, 'force:', force, 'acceleration:', acceleration, 'mass:', d.mass);
-        d._dead = true; // Mark as dead instead of trying to fix
-        continue;
-      }
-      
-      d.vy += acceleration * dtScale;
-      if (d.vy < 0) d.vy = 0; // Prevent upward movement
-      d.vx = Math.abs(d.vy) * d.shifting; // Horizontal drift based on vertical speed
-      
-      // Validate velocities are finite
-      if (!isFinite(d.vx) || !isFinite(d.vy)) {
-        console.warn('Invalid velocities for drop', i, 'vx:', d.vx, 'vy:', d.vy);
-        d.vx = 0;
-        d.vy = 0;
-      }
-      
-      // Update position with validation
-      const newX = d.x + d.vx * dtScale;
-      const newY = d.y + d.vy * dtScale;
-      
-      // Validate new positions are finite
-      if (isFinite(newX) && isFinite(newY)) {
-        d.x = newX;
-        d.y = newY;
+        ctx.fillStyle = g;
+        ctx.fillRect(0, 0, size, size);
       } else {
-        console.warn('Invalid position update for drop', i, 'newX:', newX, 'newY:', newY, 'vx:', d.vx, 'vy:', d.vy, 'dtScale:', dtScale);
-        // Reset to safe values
-        d.x = Math.max(0, Math.min(this.canvas.width, d.x || 0));
-        d.y = Math.max(0, Math.min(this.canvas.height, d.y || 0));
-        d.vx = 0;
-        d.vy = 0;
-      }
-      
-      // Add wind effect
-      d.vx += this.windX * dtScale;
-      d.vy += this.windY * dtScale;
-      
-      // Initialize spread if it doesn't exist (for backward compatibility)
-      if (!d.spread) {
-        d.spread = { x: 0, y: 0 };
-      }
-      
-      // Velocity-based spread (inspired by RainDrop class)
-      const currentDropSpeed = Math.hypot(d.vx, d.vy);
-      if (currentDropSpeed > 5 && d.r > 0) {
-        const spreadByVelocity = this.velocitySpread * 2 * Math.atan(Math.abs(d.vy * 0.005)) / Math.PI;
-        d.spread.y = Math.max(d.spread.y, spreadByVelocity);
-      }
-      
-      // Shrink spread over time
-      d.spread.x *= Math.pow(this.shrinkRate, dtScale);
-      d.spread.y *= Math.pow(this.shrinkRate, dtScale);
-      
-      // Initialize lastTrailPos if it doesn't exist (for backward compatibility)
-      if (!d.lastTrailPos) {
-        d.lastTrailPos = { x: d.x, y: d.y };
-      }
-      if (!d.nextTrailDistance) {
-        d.nextTrailDistance = 20 + Math.random() * 20;
+        ctx.drawImage(source, 0, 0, size, size);
       }
-      
-      // Distance-based trail generation (inspired by RainDrop class)
-      const distanceMoved = Math.hypot(d.x - d.lastTrailPos.x, d.y - d.lastTrailPos.y);
-      if (distanceMoved > d.nextTrailDistance) {
-        this.layTrail(d, d.lastTrailPos.x, d.lastTrailPos.y);
-        d.lastTrailPos.x = d.x;
-        d.lastTrailPos.y = d.y;
-        d.nextTrailDistance = 20 + Math.random() * 20; // New random distance
-      }
-      
-      // variance (wind jitter)
-      if (this.gravityVariance) d.vx += (Math.random() * 2 - 1) * this.gravityVariance * dtScale * 0.1;
-      
-      // Apply drag and adhesion
-      const vyDamp = Math.pow(d.stick, dtScale);
-      d.vy *= vyDamp;
-      d.vx *= Math.pow(0.985, dtScale);
-      
-      // Update position
-      d.x += d.vx * dtScale;
-      d.y += d.vy * dtScale;
-      
-      // Advanced physics: evaporation and shrinking (inspired by RaindropFX) (skip for test drops)
-      if (!d._testDrop) {
-        if (d._isTrailDroplet) {
-          // Trail droplets evaporate faster
-          d.r = Math.max(0, d.r - this.evaporate * dtScale * 0.1);
-          if (d.r <= 0.5) {
-            d._dead = true;
-          }
-        } else {
-          // Regular droplets shrink slowly
-          d.r = Math.max(0, d.r - this.shrinkRate * dtScale);
-          if (d.r <= 1) {
-            d._dead = true;
-          }
-        }
+      const px = ctx.getImageData(0, 0, size, size).data;
+      const data = new Float32Array(size * size);
+      for (let i = 0; i < data.length; i++) {
+        const luma = (0.2126 * px[i * 4] + 0.7152 * px[i * 4 + 1] + 0.0722 * px[i * 4 + 2]) / 255;
+        data[i] = luma * (px[i * 4 + 3] / 255);
       }
-      
-      // Velocity-based stretch (inspired by RaindropFX)
-      const stretchSpeed = Math.hypot(d.vx, d.vy);
-      if (stretchSpeed > 5 && d.r > 0) {
-        d.stretch = 1 + Math.min(stretchSpeed / (10 * d.r), 1.1) * this.velocitySpread;
-      } else {
-        d.stretch = 1;
-      }
-      
-      // Lay trail if drop moved significantly
-      if (Math.abs(d.x - prevX) > 0.5 || Math.abs(d.y - prevY) > 0.5) {
-        this.layTrail(d, prevX, prevY);
+      this.sim.setDensityMask({ cols: size, rows: size, data });
+    } catch (error) {
+      // a cross-origin image taints the canvas; keep spawning evenly
+      console.warn('Density mask could not be read:', error);
+    }
+  }
+
+  // Keep the mist mask and compositing layer matched to the canvas (the engine adapter resizes it directly)
+  ensureMistSize() {
+    const w = Math.max(1, Math.ceil(this.canvas.width * MIST_SCALE));
+    const h = Math.max(1, Math.ceil(this.canvas.height * MIST_SCALE));
+    if (this.mistMask.width !== w || this.mistMask.height !== h) {
+      this.mistMask.width = w; // resizing clears: the glass fogs over completely
+      this.mistMask.height = h;
+    }
+    if (this.mistLayer.width !== this.canvas.width || this.mistLayer.height !== this.canvas.height) {
+      this.mistLayer.width = this.canvas.width;
+      this.mistLayer.height = this.canvas.height;
+    }
+  }
+
+  // Wipe the mist clear along a stroke in device px; a single point wipes a dot
+  wipeMist(x0, y0, x1 = x0, y1 = y0, radius = this.wipeRadius * this.dpr) {
+    if (!this.mistEnabled || !(radius > 0)) return;
+    const s = MIST_SCALE;
+    this.ensureMistSize();
+    this.mistMaskCtx.beginPath();
+    addCapsule(this.mistMaskCtx, x0 * s, y0 * s, x1 * s, y1 * s, radius * s);
+    this.wipeMistPath();
+  }
+
+  // Wipe the mist clear inside the mask's current path, in mask px (MIST_SCALE of device px)
+  wipeMistPath() {
+    if (!this.mistEnabled) return;
+    const ctx = this.mistMaskCtx;
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = '#fff';
+    ctx.fill();
+    ctx.restore();
+  }
+
+  // Fog wiped glass back over: fade the mask in discrete steps so 8-bit alpha keeps moving.
+  // With the climate model the mist builds faster the colder the glass is below the dew
+  // point, and above it the whole pane clears instead
+  refogMist(dt) {
+    if (!this.mistEnabled) return;
+    let refogTime = this.refogTime;
+    let clearing = false;
+    if (this.enableClimate) {
+      const below = this.sim.supercooling;
+      clearing = below <= 0;
+      refogTime *= CLIMATE_FOG_DEGREES / Math.max(0.5, Math.abs(below));
+    }
+    const interval = refogTime / MIST_REFOG_STEPS;
+    this._refogAcc += dt;
+    if (this._refogAcc < interval) return;
+    const steps = Math.floor(this._refogAcc / interval);
+    this._refogAcc -= steps * interval;
+    const ctx = this.mistMaskCtx;
+    ctx.save();
+    ctx.globalCompositeOperation = clearing ? 'source-over' : 'destination-out';
+    ctx.fillStyle = `rgba(0,0,0,${1 - Math.pow(1 - MIST_REFOG_ALPHA, steps)})`;
+    ctx.fillRect(0, 0, this.mistMask.width, this.mistMask.height);
+    ctx.restore();
+  }
+
+  // Trace text through the mist as if with a fingertip: letters appear left to right over
+  // `duration` seconds of simulated time, and water gathered at the bottom of the strokes runs
+  // down as drops. x is the centre and y the baseline, in CSS px (default: middle of the canvas).
+  // Randomness comes from the simulation's generator, so seeded runs write identically.
+  writeOnGlass(text, { font = GLASS_WRITING_FONT, x, y, fingertip = 5, duration, drips } = {}) {
+    if (!this.mistEnabled || !text) return null;
+    const dpr = this.dpr;
+    const W = this.canvas.width / dpr;
+    const H = this.canvas.height / dpr;
+
+    // Rasterize the lettering, thickened to a fingertip-wide stroke
+    const glyphs = document.createElement('canvas');
+    const gctx = glyphs.getContext('2d', { willReadFrequently: true });
+    gctx.font = font;
+    const metrics = gctx.measureText(text);
+    const size = parseFloat(font.match(/(\d+(?:\.\d+)?)px/)?.[1]) || 64;
+    const ascent = metrics.actualBoundingBoxAscent || size * 0.8;
+    const descent = metrics.actualBoundingBoxDescent || size * 0.2;
+    const pad = fingertip * 2;
+    glyphs.width = Math.max(1, Math.ceil((metrics.width + pad * 2) * dpr));
+    glyphs.height = Math.max(1, Math.ceil((ascent + descent + pad * 2) * dpr));
+    gctx.scale(dpr, dpr);
+    gctx.font = font; // resizing reset the context state
+    gctx.fillStyle = gctx.strokeStyle = '#fff';
+    gctx.lineWidth = fingertip;
+    gctx.lineJoin = gctx.lineCap = 'round';
+    gctx.fillText(text, pad, pad + ascent);
+    gctx.strokeText(text, pad, pad + ascent);
+
+    const left = Math.round((x ?? W / 2) * dpr - glyphs.width / 2);
+    const top = Math.round(((y ?? H / 2) - ascent - pad) * dpr);
+
+    // Water collects where a stroke ends above bare glass: the bottom edges of the letters
+    const ink = gctx.getImageData(0, 0, glyphs.width, glyphs.height).data;
+    const inked = (cx, cy) => cy < glyphs.height && ink[(cy * glyphs.width + cx) * 4 + 3] > 128;
+    const edges = [];
+    const colStep = Math.max(1, Math.round(4 * dpr));
+    for (let cx = 0; cx < glyphs.width; cx += colStep) {
+      for (let cy = 0; cy < glyphs.height; cy++) {
+        if (inked(cx, cy) && !inked(cx, cy + 1)) edges.push({ cx, cy });
       }
-      
-      // Update previous position
-      d.prevX = prevX;
-      d.prevY = prevY;
-      const alongGravity = d.vx * Math.cos(this.gravityAngleRad) + d.vy * Math.sin(this.gravityAngleRad);
-      d.stretch = 1 + Math.min(alongGravity / (10 * d.r), 1.1);
-      // mark shape dirty when speed low or very low acceleration
-      const speed = Math.hypot(d.vx, d.vy);
-      d._shapeDirty = speed < 1.5 * this.dpr;
-      // Position already updated in the new physics system above
-      
-      // remove only when fully off-screen; allow reach to bottom (skip for test drops)
-      if (!d._testDrop && d.y - d.r > this.canvas.height + 5) this.drops.splice(i, 1);
-      // mark for smudge trail if moved enough
-      if (this.enableSmudgeTrail) {
-        if (d._trailY === undefined) d._trailY = d.y;
-        if (Math.abs(d.y - d._trailY) > this.trailThresholdPx) {
-          d._leaveTrail = true;
-          d._trailY = d.y;
-        }
+    }
+
+    const rng = this.sim.rng;
+    const writeTime = duration ?? Math.max(0.6, text.length * 0.12);
+    const dripCount = Math.min(edges.length, drips ?? Math.ceil(text.replace(/\s/g, '').length * 0.5));
+    const pending = [];
+    for (let i = 0; i < dripCount; i++) {
+      const edge = edges.splice(Math.floor(rng.next() * edges.length), 1)[0];
+      pending.push({
+        x: left + edge.cx,
+        y: top + edge.cy,
+        r: (4 + rng.next() * 3) * dpr,
+        // the stroke has to be written, then water needs a moment to gather
+        at: writeTime * (edge.cx / glyphs.width) + 0.3 + rng.next() * 0.9
+      });
+    }
+    pending.sort((a, b) => a.at - b.at);
+
+    const job = { text, glyphs, left, top, duration: writeTime, elapsed: 0, revealed: 0, pending, done: false };
+    this.writing.push(job);
+    return job;
+  }
+
+  // Reveal the next slice of each writing job and release the drips that are due
+  advanceWriting(dt) {
+    this.ensureMistSize();
+    const ctx = this.mistMaskCtx;
+    const s = MIST_SCALE;
+    for (const job of this.writing) {
+      job.elapsed += dt;
+      const { glyphs } = job;
+      const reveal = Math.min(glyphs.width, Math.ceil(glyphs.width * job.elapsed / job.duration));
+      if (reveal > job.revealed) {
+        const sw = reveal - job.revealed;
+        ctx.drawImage(glyphs, job.revealed, 0, sw, glyphs.height,
+          (job.left + job.revealed) * s, job.top * s, sw * s, glyphs.height * s);
+        job.revealed = reveal;
       }
-      // TRAIL_DROPS-like micro-drop trail: probabilistic and size-scaled
-      if (!TEST_MODE && this.enableSmudgeTrail) {
-        if (!d._lastTrailSpawnY) d._lastTrailSpawnY = d.y;
-        const dist = Math.abs(d.y - d._lastTrailSpawnY);
-        const threshold = Math.max(10 * this.dpr, d.r * 0.6);
-        if (dist > threshold && Math.random() < 0.25 && this.drops.length < this.maxDrops) {
-          const microR = Math.max(1.5 * this.dpr, Math.ceil(d.r / 6));
-          this.spawn(d.x, d.y - d.r - 4 * this.dpr, microR);
-          d._lastTrailSpawnY = d.y;
-        }
+      while (job.pending.length && job.pending[0].at <= job.elapsed) {
+        const drip = job.pending.shift();
+        const drop = this.sim.spawn(drip.x, drip.y + drip.r, drip.r);
+        // gathered water: enough mass to outlast evaporation on the way down, and no grip yet
+        drop.mass = this.sim.massFor(drip.r) + this.evaporate * this.fps * DRIP_LIFETIME;
+        drop.resistance = 0;
+        drop.stick = Math.max(drop.stick, 0.96);
+        drop.nextRandomTime = this.simTime + DRIP_LIFETIME;
       }
+      job.done = job.revealed >= glyphs.width && job.pending.length === 0;
     }
+    this.writing = this.writing.filter(job => !job.done);
+  }
 
-    // merging (grid-assisted if enabled)
-    if (this.enableCollisions) {
-      const cell = this.collisionCell * this.dpr;
-      const cols = Math.max(1, Math.ceil(this.canvas.width / cell));
-      const rows = Math.max(1, Math.ceil(this.canvas.height / cell));
-      if (!this.grid || this.grid.cols !== cols || this.grid.rows !== rows) {
-        this.grid = { cols, rows, buckets: Array.from({ length: cols * rows }, () => []) };
-      } else {
-        for (const b of this.grid.buckets) b.length = 0;
+  // Fog everywhere except wiped areas, which show the sharp background instead of the blurred overlay
+  renderMist(ctx, W, H) {
+    this.ensureMistSize();
+    const layer = this.mistLayerCtx;
+    const w = this.mistLayer.width;
+    const h = this.mistLayer.height;
+    const fog = `rgba(240,244,248,${Math.max(0, Math.min(0.5, this.mistStrength))})`;
+    layer.save();
+    layer.imageSmoothingEnabled = true; // upscaling the low-res mask gives soft wipe edges
+    if (this.hasBackground && this.bgSharp.width > 0) {
+      layer.globalCompositeOperation = 'copy';
+      layer.drawImage(this.mistMask, 0, 0, w, h);
+      layer.globalCompositeOperation = 'source-in';
+      layer.drawImage(this.bgSharp, 0, 0);
+      layer.globalCompositeOperation = 'destination-over';
+      layer.fillStyle = fog;
+      layer.fillRect(0, 0, w, h);
+    } else {
+      // nothing sharp to reveal: wiping just clears the fog
+      layer.globalCompositeOperation = 'copy';
+      layer.fillStyle = fog;
+      layer.fillRect(0, 0, w, h);
+      layer.globalCompositeOperation = 'destination-out';
+      layer.drawImage(this.mistMask, 0, 0, w, h);
+    }
+    layer.restore();
+    ctx.drawImage(this.mistLayer, 0, 0, W, H);
+  }
+
+  // Micro-lens parameters for a bead of radii rx, ry (CSS px): where it samples the
+  // background from and how much it magnifies
+  lensFor(rx, ry) {
+    // DRAMATICALLY ENHANCED refraction parameters for visible micro-lens effect
+    const sizeFactor = Math.min(1, rx / 8); // Scale effect by droplet size
+    const baseOffsetX = rx * this.refractBase * 2.0 * sizeFactor;  // MUCH stronger horizontal distortion
+    const baseOffsetY = -ry * (this.refractBase * 1.5) * sizeFactor; // MUCH stronger vertical distortion
+    const baseMag = 1.2 + (0.1 * sizeFactor);  // MUCH stronger magnification
+    const boost = (this.useMiniRefraction && this.miniBoost) ? this.miniOffsetScale * 1.5 * sizeFactor : 1; // MUCH stronger boost
+    return {
+      offsetX: baseOffsetX * boost * this.refractScale,   // Enhanced horizontal refraction
+      offsetY: baseOffsetY * boost * this.refractScale,   // Enhanced vertical refraction
+      mag: (this.useMiniRefraction && this.miniBoost) ? Math.min(1.5, this.miniMagnification * 1.2 * sizeFactor) : baseMag // MUCH stronger magnification
+    };
+  }
+
+  // Draw the magnified sharp background into the current clip, centred on (cx, cy); drops and
+  // sill beads share it so all water on the glass bends the scene the same way
+  drawRefraction(ctx, centerX, centerY, radius, offsetX, offsetY, mag) {
+    // POSITION-DEPENDENT SAMPLING: Each drop samples from its specific location
+    // This creates the effect where drops show different background content based on where they fall
+    const sampleRadius = radius * 1.5;
+    const sampleSize = Math.ceil(sampleRadius * 2);
+    const positionOffsetX = offsetX * (1 + Math.sin(centerX * 0.01) * 0.3);
+    const positionOffsetY = offsetY * (1 + Math.cos(centerY * 0.008) * 0.2);
+
+    // Source rect on SHARP background (or miniature when enabled)
+    const sourceX = Math.max(0, Math.min(this.bgSharp.width - sampleSize, (centerX - sampleRadius + positionOffsetX) * this.dpr));
+    const sourceY = Math.max(0, Math.min(this.bgSharp.height - sampleSize, (centerY - sampleRadius + positionOffsetY) * this.dpr));
+    const sourceW = Math.min(sampleSize, this.bgSharp.width - sourceX);
+    const sourceH = Math.min(sampleSize, this.bgSharp.height - sourceY);
+
+    if (sourceW > 0 && sourceH > 0) {
+      // Draw magnified sharp background directly into the clipped ellipse on the MAIN context
+      // This avoids intermediate resampling and preserves sharp detail inside the bead
+      const outSize = radius * 2 * mag;
+      const outX = centerX - outSize / 2;
+      const outY = centerY - outSize / 2;
+
+      const prevSmoothing = ctx.imageSmoothingEnabled;
+      const prevQuality = ctx.imageSmoothingQuality;
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = 'high';
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.drawImage(this.bgSharp, sourceX, sourceY, sourceW, sourceH, outX, outY, outSize, outSize);
+      ctx.imageSmoothingEnabled = prevSmoothing;
+      ctx.imageSmoothingQuality = prevQuality;
+    }
+  }
+
+  // Ice over the water in CSS px: strike rings, then opaque pellets that shrink to a frozen core
+  // as they melt. A pellet mid-bounce is off the glass, so it looms larger over its own shadow
+  renderIce(ctx) {
+    if (!this.iceTicks.length && !this.sim.iceCount) return;
+    ctx.save();
+    for (const tick of this.iceTicks) {
+      const t = tick.age / ICE_TICK_TIME;
+      ctx.strokeStyle = `rgba(255,255,255,${0.5 * tick.strength * (1 - t)})`;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(tick.x / this.dpr, tick.y / this.dpr, tick.r / this.dpr * (1 + 1.5 * t), 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    for (const d of this.drops) {
+      if (!(d.ice > 0)) continue;
+      const x = d.x / this.dpr;
+      const y = d.y / this.dpr;
+      const lift = (d.hopZ || 0) / this.dpr;
+      const r = d.r / this.dpr * (0.5 + 0.5 * Math.min(1, d.ice)) * (1 + lift * 0.05);
+      if (lift > 0) {
+        ctx.fillStyle = 'rgba(0,0,0,0.2)';
+        ctx.beginPath();
+        ctx.arc(x + lift * 0.4, y + lift * 0.8, r * 0.9, 0, Math.PI * 2);
+        ctx.fill();
       }
-      // bin drops
-      for (let i = 0; i < this.drops.length; i++) {
-        const d = this.drops[i];
-        
-        // Validate drop coordinates and cell size
-        if (!isFinite(d.x) || !isFinite(d.y) || !isFinite(cell) || cell <= 0) {
-          console.warn('Invalid drop coordinates or cell size for drop', i, 'x:', d.x, 'y:', d.y, 'cell:', cell);
-          continue;
-        }
-        
-        const cx = Math.min(cols - 1, Math.max(0, Math.floor(d.x / cell)));
-        const cy = Math.min(rows - 1, Math.max(0, Math.floor(d.y / cell)));
-        
-        // Validate calculated grid coordinates
-        if (!isFinite(cx) || !isFinite(cy)) {
-          console.warn('Invalid grid coordinates for drop', i, 'cx:', cx, 'cy:', cy);
-          continue;
-        }
-        
-        const bucketIndex = cy * cols + cx;
-        const bucket = this.grid.buckets[bucketIndex];
-        if (bucket && Array.isArray(bucket)) {
-          bucket.push(i);
-        } else {
-          console.warn('Invalid bucket at index', bucketIndex, 'for drop', i);
+      const alpha = Math.min(1, d.ice * 2);
+      const g = ctx.createRadialGradient(x - r * 0.35, y - r * 0.35, r * 0.1, x, y, r);
+      g.addColorStop(0, `rgba(255,255,255,${0.95 * alpha})`);
+      g.addColorStop(0.6, `rgba(214,226,238,${0.85 * alpha})`);
+      g.addColorStop(1, `rgba(160,178,198,${0.75 * alpha})`);
+      ctx.fillStyle = g;
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  // Water held on the sill: flattened beads hugging their edge, wobbling as drops join
+  // them, with the same lensing and highlights as drops so the line reads as a frame
+  renderSill(ctx) {
+    const sill = this.sim.sill;
+    const line = this.sim.sillLine / this.dpr;
+    const W = this.canvas.width / this.dpr;
+    const edges = [
+      { beads: sill.bottom, rotation: 0, at: pos => [pos, line] },
+      { beads: sill.left, rotation: Math.PI / 2, at: pos => [0, pos] },
+      { beads: sill.right, rotation: -Math.PI / 2, at: pos => [W, pos] }
+    ];
+    for (const { beads, rotation, at } of edges) {
+      for (const bead of beads) {
+        const [x, y] = at(bead.pos / this.dpr);
+        const r = bead.r / this.dpr;
+        if (!(r > 0.5)) continue;
+        const along = r * 1.25; // spread along the edge
+        const across = r * (0.75 + 0.12 * bead.wobble * Math.sin(bead.phase)); // height off the edge
+        ctx.save();
+        ctx.beginPath();
+        ctx.ellipse(x, y, along, across, rotation, Math.PI, Math.PI * 2);
+        ctx.closePath();
+        ctx.clip();
+        if (this.hasBackground && this.bgSharp.width > 0 && r > 2) {
+          const { offsetX, offsetY, mag } = this.lensFor(along, across);
+          this.drawRefraction(ctx, x, y, Math.max(along, across), offsetX, offsetY, mag);
         }
-      }
-      // check local neighborhoods
-      const neighborOffsets = [0, 1, -1, cols, -cols]; // reduce checks for perf
-      for (let bi = 0; bi < this.grid.buckets.length; bi++) {
-        const base = this.grid.buckets[bi];
-        if (!base || !Array.isArray(base) || base.length === 0) continue;
-        for (const off of neighborOffsets) {
-          const ni = bi + off;
-          if (ni < 0 || ni >= this.grid.buckets.length) continue;
-          const neigh = this.grid.buckets[ni];
-          if (!neigh || !Array.isArray(neigh)) continue;
-          for (let aIdx = 0; aIdx < base.length; aIdx++) {
-            for (let bIdx = 0; bIdx < neigh.length; bIdx++) {
-              const iA = base[aIdx];
-              const iB = neigh[bIdx];
-              if (iA === iB) continue;
-              const a = this.drops[iA];
-              const b = this.drops[iB];
-              if (!a || !b) continue;
-              const dx = a.x - b.x, dy = a.y - b.y;
-              const dist = Math.hypot(dx, dy);
-              if (dist < (a.r + b.r) * 0.75) {
-                const newR = Math.sqrt(a.r * a.r + b.r * b.r);
-                a.x = (a.x + b.x) / 2; a.y = (a.y + b.y) / 2; a.r = newR; a.vy = Math.max(a.vy, b.vy) * 1.1; a.stick = 0.95;
-                // remove b efficiently by flagging
-                b._dead = true;
-              }
-            }
-          }
+        if (!this.testMode) {
+          const hg = ctx.createRadialGradient(x - along * 0.3, y - across * 0.5, 0, x, y, along);
+          hg.addColorStop(0, 'rgba(255,255,255,0.5)');
+          hg.addColorStop(0.4, 'rgba(255,255,255,0.12)');
+          hg.addColorStop(1, 'rgba(255,255,255,0)');
+          ctx.fillStyle = hg;
+          ctx.fillRect(x - along, y - along, along * 2, along * 2);
         }
+        // darker rim where the water meets the frame
+        const edgeG = ctx.createRadialGradient(x, y, Math.min(along, across) * 0.5, x, y, along);
+        edgeG.addColorStop(0, 'rgba(0,0,0,0)');
+        edgeG.addColorStop(1, 'rgba(0,0,0,0.22)');
+        ctx.fillStyle = edgeG;
+        ctx.fillRect(x - along, y - along, along * 2, along * 2);
+        ctx.restore();
       }
-      // compact remove
-      this.drops = this.drops.filter(d => !d._dead);
+    }
+  }
+
+  // Wet streaks: where the wetness field is wet, the background shows through shifted a
+  // little (the water film bends it) and darkened; streaks fade as the field dries
+  renderWetness(ctx, W, H) {
+    const field = this.sim.wetness;
+    const cols = this.sim.wetnessCols;
+    const rows = this.sim.wetnessRows;
+    if (!field || !this.enableWetness || this.wetnessStrength <= 0) return;
+    if (this.wetMask.width !== cols || this.wetMask.height !== rows || !this.wetImage) {
+      this.wetMask.width = cols;
+      this.wetMask.height = rows;
+      this.wetImage = this.wetMaskCtx.createImageData(cols, rows);
+    }
+    const data = this.wetImage.data;
+    const scale = 255 * this.wetnessStrength;
+    let wet = false;
+    for (let i = 0; i < field.length; i++) {
+      const a = field[i] * scale;
+      data[i * 4 + 3] = a;
+      if (a >= 1) wet = true;
+    }
+    if (!wet) return;
+    this.wetMaskCtx.putImageData(this.wetImage, 0, 0);
+
+    if (this.wetLayer.width !== this.canvas.width || this.wetLayer.height !== this.canvas.height) {
+      this.wetLayer.width = this.canvas.width;
+      this.wetLayer.height = this.canvas.height;
+    }
+    const layer = this.wetLayerCtx;
+    const w = this.wetLayer.width;
+    const h = this.wetLayer.height;
+    layer.save();
+    layer.imageSmoothingEnabled = true; // bilinear upscale turns cells into soft streaks
+    layer.globalCompositeOperation = 'copy';
+    layer.drawImage(this.wetMask, 0, 0, cols * this.sim.wetnessCell * this.dpr, rows * this.sim.wetnessCell * this.dpr);
+    if (this.hasBackground && this.bgSharp.width > 0) {
+      layer.globalCompositeOperation = 'source-in';
+      layer.drawImage(this.bgSharp, 0, WET_REFRACT_PX * this.dpr);
+      layer.globalCompositeOperation = 'source-atop';
     } else {
-      // fallback O(n^2)
-    for (let i = 0; i < this.drops.length; i++) {
-      for (let j = i + 1; j < this.drops.length; j++) {
-        const a = this.drops[i], b = this.drops[j];
-        const dx = a.x - b.x, dy = a.y - b.y;
-        const dist = Math.hypot(dx, dy);
-        if (dist < (a.r + b.r) * 0.75) {
-          const newR = Math.sqrt(a.r * a.r + b.r * b.r);
-          a.x = (a.x + b.x) / 2; a.y = (a.y + b.y) / 2; a.r = newR; a.vy = Math.max(a.vy, b.vy) * 1.1; a.stick = 0.95;
-          this.drops.splice(j, 1); j--;
-        }
+      // nothing to refract: the streaks are just a shade darker
+      layer.globalCompositeOperation = 'source-in';
+    }
+    layer.fillStyle = `rgba(0,0,0,${WET_DARKEN})`;
+    layer.fillRect(0, 0, w, h);
+    layer.restore();
+    ctx.drawImage(this.wetLayer, 0, 0, W, H);
+  }
+
+  // Turn frost on (it grows in afresh over frostTime) or off (the glass clears at once)
+  setFrost(enabled) {
+    this.frostEnabled = Boolean(enabled);
+    this.frostTips = [];
+    this.frostPointer = null;
+    this.frostMask.width = 0; // forces a reseed on the next update
+  }
+
+  // Keep the frost mask matched to the canvas; true when it was resized (and so cleared)
+  ensureFrostSize() {
+    const w = Math.max(1, Math.ceil(this.canvas.width * FROST_SCALE));
+    const h = Math.max(1, Math.ceil(this.canvas.height * FROST_SCALE));
+    if (this.frostMask.width === w && this.frostMask.height === h) return false;
+    this.frostMask.width = w;
+    this.frostMask.height = h;
+    return true;
+  }
+
+  // Frost grows in from the menu overlay's box (device px), or the whole canvas without one
+  frostBounds() {
+    const full = { x: 0, y: 0, width: this.canvas.width, height: this.canvas.height };
+    if (!this.overlayEl) return full;
+    const [rect] = this.measureZones([this.overlayEl]);
+    if (!rect) return full;
+    const x = Math.max(0, rect.x);
+    const y = Math.max(0, rect.y);
+    const width = Math.min(full.width, rect.x + rect.width) - x;
+    const height = Math.min(full.height, rect.y + rect.height) - y;
+    return width > 0 && height > 0 ? { x, y, width, height } : full;
+  }
+
+  // Edges as [x, y, dx, dy, inward angle]: each runs from (x, y) along (dx, dy)
+  frostEdges({ x, y, width, height }) {
+    return [
+      [x, y, width, 0, Math.PI / 2],
+      [x, y + height, width, 0, -Math.PI / 2],
+      [x, y, 0, height, 0],
+      [x + width, y, 0, height, Math.PI]
+    ];
+  }
+
+  // Crystal arms start along every edge pointing inward, with a fan of long ones in each corner
+  seedFrost() {
+    const rng = this.frostRng;
+    const bounds = this.frostBounds();
+    const { x, y, width, height } = bounds;
+    const reach = Math.min(width, height) * this.frostReach;
+    this.frostSpeed = reach / this.frostTime;
+    this.frostTips = [];
+    this._frostBounds = bounds;
+    this._frostAge = 0;
+    const spacing = FROST_TIP_SPACING * this.dpr;
+    for (const [ex, ey, dx, dy, inward] of this.frostEdges(bounds)) {
+      const count = Math.max(1, Math.round(Math.hypot(dx, dy) / spacing));
+      for (let i = 0; i < count; i++) {
+        const t = (i + rng.next()) / count;
+        this.addFrostTip(ex + dx * t, ey + dy * t, inward + rng.next() - 0.5, reach * (0.3 + 0.7 * rng.next() ** 2));
       }
     }
+    const corners = [[x, y, Math.PI / 4], [x + width, y, Math.PI * 3 / 4], [x, y + height, -Math.PI / 4], [x + width, y + height, -Math.PI * 3 / 4]];
+    for (const [cx, cy, diagonal] of corners) {
+      for (const spread of [-0.35, 0, 0.35]) this.addFrostTip(cx, cy, diagonal + spread, reach * (1.1 + 0.3 * rng.next()));
     }
+  }
 
-    // Update condensation droplets (skip in test mode)
-    if (this.enableCondensation && !this.testMode) {
-      for (let i = this.condensation.length - 1; i >= 0; i--) {
-        const c = this.condensation[i];
-        c.age += dt;
-        c.twinkle += dt * 3; // sparkle animation
-        
-        // Fade out over time
-        c.life -= dt * 0.1;
-        if (c.life <= 0) {
-          this.condensation.splice(i, 1);
-        }
+  addFrostTip(x, y, angle, length, depth = 0) {
+    if (this.frostTips.length >= FROST_MAX_TIPS || !(length > 1)) return;
+    this.frostTips.push({ x, y, angle, length, depth, sinceBranch: 0 });
+  }
+
+  updateFrost(dt) {
+    if (this.ensureFrostSize()) this.seedFrost();
+    this._frostAge += dt;
+    // once the first growth has settled, stray arms keep refreezing whatever has melted
+    if (this._frostAge > this.frostTime) {
+      this._frostRegrowAcc += FROST_REGROW_RATE * dt;
+      const rng = this.frostRng;
+      const bounds = this._frostBounds;
+      const reach = Math.min(bounds.width, bounds.height) * this.frostReach;
+      for (; this._frostRegrowAcc >= 1; this._frostRegrowAcc--) {
+        const [ex, ey, dx, dy, inward] = this.frostEdges(bounds)[Math.floor(rng.next() * 4)];
+        const t = rng.next();
+        this.addFrostTip(ex + dx * t, ey + dy * t, inward + rng.next() - 0.5, reach * (0.2 + 0.4 * rng.next()));
       }
-      
-      // Spawn new condensation occasionally
-      if (Math.random() < 0.01) { // 1% chance per frame (reduced from 2%)
-        this.spawnCondensation();
+    }
+    if (this.frostTips.length) this.growFrost(dt);
+
+    const rest = this.frostPointer;
+    if (rest) {
+      rest.dwell += dt;
+      if (rest.dwell > FROST_MELT_DELAY) {
+        const radius = Math.min(FROST_MELT_MAX, FROST_MELT_MIN + (rest.dwell - FROST_MELT_DELAY) * FROST_MELT_GROWTH);
+        this.meltFrost(rest.x, rest.y, rest.x, rest.y, radius * this.dpr, Math.min(1, dt * 6));
       }
     }
+  }
 
-    // Evolve trails (evaporation and diffusion)
-    this.evolveTrails();
+  // Extend every arm by one step into the mask; arms branch off at 60° the way dendrites do.
+  // Strokes are batched per branch depth, which sets the line width
+  growFrost(dt) {
+    const rng = this.frostRng;
+    const s = FROST_SCALE;
+    const step = this.frostSpeed * dt;
+    const branchEvery = FROST_BRANCH_SPACING * this.dpr;
+    const W = this.canvas.width;
+    const H = this.canvas.height;
+    const arms = this.frostArms;
+    for (const arm of arms) arm.length = 0;
+    const tips = this.frostTips;
+    for (let i = tips.length - 1; i >= 0; i--) {
+      const tip = tips[i];
+      const len = Math.min(step, tip.length);
+      tip.angle += (rng.next() * 2 - 1) * FROST_WANDER;
+      const nx = tip.x + Math.cos(tip.angle) * len;
+      const ny = tip.y + Math.sin(tip.angle) * len;
+      arms[tip.depth].push(tip.x * s, tip.y * s, nx * s, ny * s);
+      tip.x = nx;
+      tip.y = ny;
+      tip.length -= len;
+      tip.sinceBranch += len;
+      if (tip.depth < FROST_MAX_DEPTH && tip.sinceBranch > branchEvery * (1 + rng.next())) {
+        tip.sinceBranch = 0;
+        // side branches in pairs or alternating, shorter the further out they sprout
+        const side = rng.next() < 0.5 ? 1 : -1;
+        const length = tip.length * (0.35 + 0.25 * rng.next());
+        this.addFrostTip(nx, ny, tip.angle + side * Math.PI / 3, length, tip.depth + 1);
+        if (rng.next() < 0.5) this.addFrostTip(nx, ny, tip.angle - side * Math.PI / 3, length, tip.depth + 1);
+      }
+      if (tip.length <= 0 || nx < 0 || ny < 0 || nx > W || ny > H) tips.splice(i, 1);
+    }
 
-    // keep population (preset-based spawn)
-    this.spawnFromPresets(dt);
-    
-    } catch (error) {
-      console.error('Error in RainOnGlass.update():', error);
-      console.error('Stack trace:', error.stack);
-      // Try to recover by clearing problematic drops
-      this.drops = this.drops.filter(d => d && typeof d.x === 'number' && typeof d.y === 'number' && typeof d.r === 'number');
-    }
-  }
-
-  spawnFromPresets(dt) {
-    if (this.drops.length >= this.maxDrops) return;
-    const limit = this.maxDrops - this.drops.length;
-    for (let p = 0; p < this.presets.length; p++) {
-      const preset = this.presets[p];
-      // expected spawns this frame
-      this._spawnAcc[p] += (preset.rate || 0) * dt;
-      while (this._spawnAcc[p] >= 1 && this.drops.length < this.maxDrops) {
-        this._spawnAcc[p] -= 1;
-        // Skip normal rain generation during test mode
-        if (this.testMode) {
-          break;
-        }
-        const r = (preset.min + Math.random() * (preset.base || 1)) * this.dpr;
-        this.spawn(undefined, undefined, r);
+    const ctx = this.frostMaskCtx;
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = '#fff';
+    ctx.lineCap = 'round';
+    for (let depth = 0; depth < arms.length; depth++) {
+      const arm = arms[depth];
+      if (!arm.length) continue;
+      ctx.beginPath();
+      for (let k = 0; k < arm.length; k += 4) {
+        ctx.moveTo(arm[k], arm[k + 1]);
+        ctx.lineTo(arm[k + 2], arm[k + 3]);
       }
+      const width = FROST_ARM_WIDTH * this.dpr * s * Math.pow(0.65, depth);
+      // a faint film of rime around the arm, then the crystal itself
+      ctx.globalAlpha = 0.12;
+      ctx.lineWidth = width * 5;
+      ctx.stroke();
+      ctx.globalAlpha = 0.9;
+      ctx.lineWidth = width;
+      ctx.stroke();
     }
+    ctx.restore();
+  }
+
+  // Melt the frost along a stroke in device px; strength < 1 only thins it
+  meltFrost(x0, y0, x1 = x0, y1 = y0, radius = this.wipeRadius * this.dpr, strength = 1) {
+    if (!this.frostEnabled || !(radius > 0) || !this.frostMask.width) return;
+    const s = FROST_SCALE;
+    this.frostMaskCtx.beginPath();
+    addCapsule(this.frostMaskCtx, x0 * s, y0 * s, x1 * s, y1 * s, radius * s);
+    this.meltFrostPath(strength);
+  }
+
+  // Melt the frost inside the mask's current path, in mask px (FROST_SCALE of device px)
+  meltFrostPath(strength = 1) {
+    if (!this.frostEnabled || !this.frostMask.width) return;
+    const ctx = this.frostMaskCtx;
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.globalAlpha = strength;
+    ctx.fillStyle = '#000';
+    ctx.fill();
+    ctx.restore();
+  }
+
+  // Frost: the blurred backdrop seen through the ice, nudged off true, under a pale sheen
+  renderFrost(ctx, W, H) {
+    if (!this.frostMask.width) return;
+    if (this.frostLayer.width !== this.canvas.width || this.frostLayer.height !== this.canvas.height) {
+      this.frostLayer.width = this.canvas.width;
+      this.frostLayer.height = this.canvas.height;
+    }
+    const layer = this.frostLayerCtx;
+    const w = this.frostLayer.width;
+    const h = this.frostLayer.height;
+    layer.save();
+    layer.imageSmoothingEnabled = true;
+    layer.globalCompositeOperation = 'copy';
+    layer.drawImage(this.frostMask, 0, 0, w, h);
+    if (this.hasBackground && this.bgBlur.width > 0) {
+      layer.globalCompositeOperation = 'source-in';
+      layer.drawImage(this.bgBlur, FROST_REFRACT_PX * this.dpr, FROST_REFRACT_PX * this.dpr);
+      layer.globalCompositeOperation = 'source-atop';
+    } else {
+      layer.globalCompositeOperation = 'source-in';
+    }
+    layer.fillStyle = `rgba(235,242,250,${Math.max(0, Math.min(1, this.frostStrength))})`;
+    layer.fillRect(0, 0, w, h);
+    layer.restore();
+    ctx.drawImage(this.frostLayer, 0, 0, W, H);
   }
 
   // RainyDay-style API
@@ -1138,14 +1694,14 @@ class RainOnGlass {
       // animated: probabilistic spawn
       this._rainTimer = setInterval(() => {
         if (this.drops.length >= this.maxDrops) return;
-        const r = Math.random();
+        const r = this.rng.next();
         let chosen = null;
         for (let i = 0; i < presets.length; i++) {
           const p = presets[i];
           if (r < (p.quan ?? 1)) { chosen = p; break; }
         }
         if (!chosen) chosen = presets[presets.length - 1];
-        const radius = (chosen.min + Math.random() * (chosen.base || 1)) * this.dpr;
+        const radius = (chosen.min + this.rng.next() * (chosen.base || 1)) * this.dpr;
         this.spawn(undefined, undefined, radius);
       }, Math.max(10, speedMs));
     } else {
@@ -1154,7 +1710,7 @@ class RainOnGlass {
         const p = presets[i];
         const count = Math.max(0, Math.floor(p.quan || 0));
         for (let c = 0; c < count; c++) {
-          const radius = (p.min + Math.random() * (p.base || 1)) * this.dpr;
+          const radius = (p.min + this.rng.next() * (p.base || 1)) * this.dpr;
           this.spawn(undefined, undefined, radius);
         }
       }
@@ -1173,8 +1729,10 @@ class RainOnGlass {
       // Draw in CSS pixel coordinates; scale context to DPR
       ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
 
-    // Atmospheric fog overlay (subtle vertical gradient)
-    if (!TEST_MODE && !this.testMode && this.fogEnabled && this.fogStrength > 0) {
+    // Wipeable mist layer, or the atmospheric fog overlay (subtle vertical gradient) without it
+    if (!TEST_MODE && !this.testMode && this.mistEnabled && this.mistStrength > 0) {
+      this.renderMist(ctx, this.canvas.width / this.dpr, this.canvas.height / this.dpr);
+    } else if (!TEST_MODE && !this.testMode && this.fogEnabled && this.fogStrength > 0) {
       const W = this.canvas.width / this.dpr;
       const H = this.canvas.height / this.dpr;
       const g = ctx.createLinearGradient(0, 0, 0, H);
@@ -1185,6 +1743,12 @@ class RainOnGlass {
       ctx.fillStyle = g;
       ctx.fillRect(0, 0, W, H);
     }
+    if (!TEST_MODE && !this.testMode) {
+      this.renderWetness(ctx, this.canvas.width / this.dpr, this.canvas.height / this.dpr);
+    }
+    if (this.frostEnabled) {
+      this.renderFrost(ctx, this.canvas.width / this.dpr, this.canvas.height / this.dpr);
+    }
 
     // draw droplets with refraction
     for (const d of this.drops) {
@@ -1207,10 +1771,12 @@ class RainOnGlass {
         if (d._testDrop) console.log('❌ TEST DROP REJECTED: Invalid position');
         continue;
       }
+      // solid ice has no lens; renderIce() draws it over the water
+      if (d.ice >= 1) continue;
       // Enhanced droplet shape calculation using spread system (inspired by RainDrop class)
       const baseRadius = Math.max(0.1, (d.r * 0.92) / this.dpr);
-      const rx = Math.max(0.1, baseRadius * (1 + (d.spread?.x || 0))); // Horizontal spread
-      const ry = Math.max(0.1, baseRadius * (1 + (d.spread?.y || 0)) * (d.stretch || 1)); // Vertical spread + stretch
+      const rx = Math.max(0.1, baseRadius * (1 + (d.spreadX || 0))); // Horizontal spread
+      const ry = Math.max(0.1, baseRadius * (1 + (d.spreadY || 0)) * (d.stretch || 1)); // Vertical spread + stretch
       
       // Validate that rx and ry are finite numbers
       if (!isFinite(rx) || !isFinite(ry) || rx <= 0 || ry <= 0) {
@@ -1218,14 +1784,26 @@ class RainOnGlass {
         continue;
       }
 
+      if (rx <= BEAD_SPRITE_MAX && ry <= rx * 1.15 && !this.testMode && !d.label) {
+        const half = rx * 1.25; // the sprite leaves room for the rim stroke
+        ctx.drawImage(this.beadSprite(), x - half, y - half * (ry / rx), half * 2, half * 2 * (ry / rx));
+        continue;
+      }
+
       ctx.save();
       ctx.beginPath();
-      if (ry > rx * 1.15 || Math.abs(d.vy) > 6) {
-        // Teardrop path (inspired by rainyday.js teardrop)
-        const yr = 1 + 0.1 * Math.min(8, Math.abs(d.vy));
+      if (ry > rx * 1.15 || Math.hypot(d.vx, d.vy) > 6) {
+        // Teardrop path (inspired by rainyday.js teardrop), tail pointing against gravity.
+        // Only the path is rotated; it keeps its shape after restore() for the fills below
+        const yr = 1 + 0.1 * Math.min(8, Math.hypot(d.vx, d.vy));
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(this.gravityAngleRad - Math.PI / 2);
+        ctx.translate(-x, -y);
         ctx.moveTo(x - rx / yr, y);
         ctx.bezierCurveTo(x - rx, y - rx * 2, x + rx, y - rx * 2, x + rx / yr, y);
         ctx.bezierCurveTo(x + rx, y + yr * rx, x - rx, y + yr * rx, x - rx / yr, y);
+        ctx.restore();
       } else {
         // Irregular perimeter for slow/sticky drops
         const needNew = !d.shapePoints || d._shapeDirty;
@@ -1240,7 +1818,7 @@ class RainOnGlass {
             while (p.next) {
               const n = p.next; const dx = n.x - p.x;
               const newX = 0.5 * (p.x + n.x);
-              const newY = 0.5 * (p.y + n.y) + dx * (Math.random() * 2 - 1);
+              const newY = 0.5 * (p.y + n.y) + dx * (this.fxRng.next() * 2 - 1);
               const np = { x: newX, y: newY, next: n };
               p.next = np; p = n;
               if (newY < minY) minY = newY; else if (newY > maxY) maxY = newY;
@@ -1277,24 +1855,15 @@ class RainOnGlass {
       
       // NEW ENHANCED REFRACTION: Position-dependent background sampling with organic shapes
       if (this.hasBackground && this.bgSharp.width > 0 && this.bgSharp.height > 0 && rx > 2) {
-        // DRAMATICALLY ENHANCED refraction parameters for visible micro-lens effect
-        const sizeFactor = Math.min(1, rx / 8); // Scale effect by droplet size
-        const baseOffsetX = rx * this.refractBase * 2.0 * sizeFactor;  // MUCH stronger horizontal distortion
-        const baseOffsetY = -ry * (this.refractBase * 1.5) * sizeFactor; // MUCH stronger vertical distortion
-        const baseMag = 1.2 + (0.1 * sizeFactor);  // MUCH stronger magnification
-        const boost = (this.useMiniRefraction && this.miniBoost) ? this.miniOffsetScale * 1.5 * sizeFactor : 1; // MUCH stronger boost
-        const offsetX = baseOffsetX * boost * this.refractScale;   // Enhanced horizontal refraction
-        const offsetY = baseOffsetY * boost * this.refractScale;   // Enhanced vertical refraction
-        const mag = (this.useMiniRefraction && this.miniBoost) ? Math.min(1.5, this.miniMagnification * 1.2 * sizeFactor) : baseMag; // MUCH stronger magnification
+        const { offsetX, offsetY, mag } = this.lensFor(rx, ry);
         
         // Calculate source rectangle with refraction offset
-        let sx, sy, sw, sh, srcCanvas;
+        let sx, sy, sw, sh;
         // Always sample from the SHARP background for realistic lensing
         sx = Math.max(0, Math.min(this.bgSharp.width - rx * 2 * this.dpr, (x - rx + offsetX) * this.dpr));
         sy = Math.max(0, Math.min(this.bgSharp.height - ry * 2 * this.dpr, (y - ry + offsetY) * this.dpr));
         sw = Math.min(rx * 2 * this.dpr, this.bgSharp.width - sx);
         sh = Math.min(ry * 2 * this.dpr, this.bgSharp.height - sy);
-        srcCanvas = this.bgSharp;
         
         if (sw > 0 && sh > 0) {
           // TRUE CIRCULAR REFRACTION: Radial sampling instead of rectangular
@@ -1333,35 +1902,7 @@ class RainOnGlass {
           ctx.ellipse(centerX, centerY, organicRadiusX, organicRadiusY, 0, 0, Math.PI * 2);
           ctx.clip();
           
-          // POSITION-DEPENDENT SAMPLING: Each drop samples from its specific location
-          // This creates the effect where drops show different background content based on where they fall
-          const sampleRadius = radius * 1.5;
-          const sampleSize = Math.ceil(sampleRadius * 2);
-          const positionOffsetX = offsetX * (1 + Math.sin(centerX * 0.01) * 0.3);
-          const positionOffsetY = offsetY * (1 + Math.cos(centerY * 0.008) * 0.2);
-
-          // Source rect on SHARP background (or miniature when enabled)
-          const sourceX = Math.max(0, Math.min(srcCanvas.width - sampleSize, (centerX - sampleRadius + positionOffsetX) * this.dpr));
-          const sourceY = Math.max(0, Math.min(srcCanvas.height - sampleSize, (centerY - sampleRadius + positionOffsetY) * this.dpr));
-          const sourceW = Math.min(sampleSize, srcCanvas.width - sourceX);
-          const sourceH = Math.min(sampleSize, srcCanvas.height - sourceY);
-
-          if (sourceW > 0 && sourceH > 0) {
-            // Draw magnified sharp background directly into the clipped ellipse on the MAIN context
-            // This avoids intermediate resampling and preserves sharp detail inside the bead
-            const outSize = radius * 2 * mag;
-            const outX = centerX - outSize / 2;
-            const outY = centerY - outSize / 2;
-
-            const prevSmoothing = ctx.imageSmoothingEnabled;
-            const prevQuality = ctx.imageSmoothingQuality;
-            ctx.imageSmoothingEnabled = true;
-            ctx.imageSmoothingQuality = 'high';
-            ctx.globalCompositeOperation = 'source-over';
-            ctx.drawImage(srcCanvas, sourceX, sourceY, sourceW, sourceH, outX, outY, outSize, outSize);
-            ctx.imageSmoothingEnabled = prevSmoothing;
-            ctx.imageSmoothingQuality = prevQuality;
-          }
+          this.drawRefraction(ctx, centerX, centerY, radius, offsetX, offsetY, mag);
 
           ctx.restore();
         }
@@ -1369,7 +1910,7 @@ class RainOnGlass {
       ctx.restore();
 
       // optional trail: tiny dot behind the drop
-      if (!TEST_MODE && !this.testMode && Math.random() < 0.08) {
+      if (!TEST_MODE && !this.testMode && this.fxRng.next() < 0.08) {
         ctx.fillStyle = 'rgba(255,255,255,0.06)';
         ctx.beginPath();
         ctx.arc(x - rx * 0.1, y - ry - 1, Math.max(0.5, rx * 0.15), 0, Math.PI * 2);
@@ -1441,6 +1982,10 @@ class RainOnGlass {
       }
     }
 
+    this.renderIce(ctx);
+    if (this.enableSill) this.renderSill(ctx);
+    if (this.glassSnow) this.glassSnow.draw(ctx);
+
     // Render trail effects (fog/condensation from water film)
     if (this.enableTrails) {
       ctx.save();
@@ -1496,30 +2041,120 @@ class RainOnGlass {
     }
   }
 
+  // Advance the simulation by exactly one fixed step
+  tick() {
+    this.update(this.fixedDt);
+  }
+
+  // Headless stepping for tests and tooling: advance n fixed steps without requestAnimationFrame
+  step(n = 1) {
+    const count = Math.max(0, Math.floor(n));
+    for (let i = 0; i < count; i++) this.tick();
+    this.accumulator = 0;
+    this.render();
+    return this.simTime;
+  }
+
+  // Advance until simTime reaches `time` (seconds); returns the number of steps taken
+  stepTo(time) {
+    const count = Math.max(0, Math.round((time - this.simTime) / this.fixedDt));
+    this.step(count);
+    return count;
+  }
+
+  // A small bead's highlights, rim and dark edge at BEAD_SPRITE_PX radius, drawn once
+  beadSprite() {
+    if (this._beadSprite) return this._beadSprite;
+    const r = BEAD_SPRITE_PX;
+    const c = r * 1.25;
+    const sprite = document.createElement('canvas');
+    sprite.width = sprite.height = c * 2;
+    const ctx = sprite.getContext('2d');
+    const hg = ctx.createRadialGradient(c - r * 0.3, c - r * 0.3, 0, c - r * 0.15, c - r * 0.15, r * 0.8);
+    hg.addColorStop(0, 'rgba(255,255,255,0.98)');
+    hg.addColorStop(0.1, 'rgba(255,255,255,0.8)');
+    hg.addColorStop(0.3, 'rgba(255,255,255,0.4)');
+    hg.addColorStop(0.6, 'rgba(255,255,255,0.15)');
+    hg.addColorStop(1, 'rgba(255,255,255,0)');
+    ctx.fillStyle = hg;
+    ctx.beginPath(); ctx.arc(c, c, r, 0, Math.PI * 2); ctx.fill();
+    const hg2 = ctx.createRadialGradient(c - r * 0.1, c - r * 0.1, 0, c - r * 0.05, c - r * 0.05, r * 0.3);
+    hg2.addColorStop(0, 'rgba(255,255,255,0.6)');
+    hg2.addColorStop(1, 'rgba(255,255,255,0)');
+    ctx.fillStyle = hg2;
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+    ctx.lineWidth = r * 0.5;
+    ctx.stroke();
+    const edgeG = ctx.createRadialGradient(c, c, r * 0.5, c, c, r);
+    edgeG.addColorStop(0, 'rgba(0,0,0,0)');
+    edgeG.addColorStop(0.7, 'rgba(0,0,0,0.05)');
+    edgeG.addColorStop(0.9, 'rgba(0,0,0,0.15)');
+    edgeG.addColorStop(1, 'rgba(0,0,0,0.25)');
+    ctx.fillStyle = edgeG;
+    ctx.fill();
+    this._beadSprite = sprite;
+    return sprite;
+  }
+
+  // Draw drops between the previous and current simulation state (alpha 0..1)
+  renderInterpolated(alpha) {
+    if (alpha >= 1) {
+      this.render();
+      return;
+    }
+    const drops = this.drops;
+    for (const d of drops) {
+      d._simX = d.x;
+      d._simY = d.y;
+      if (typeof d.prevX === 'number' && typeof d.prevY === 'number') {
+        d.x = d.prevX + (d.x - d.prevX) * alpha;
+        d.y = d.prevY + (d.y - d.prevY) * alpha;
+      }
+    }
+    try {
+      this.render();
+    } finally {
+      for (const d of drops) {
+        d.x = d._simX;
+        d.y = d._simY;
+      }
+    }
+  }
+
   loop(t) {
     try {
     if (!this.running) return;
       
-      // Frame pacing: clamp dt and skip update when tab is throttled to reduce CPU
+      // Frame pacing: clamp frame time so a throttled tab does not trigger a burst of steps
       const dtRaw = (t - this.last) / 1000;
-      const dt = Math.min(Math.max(0, dtRaw), 0.08);
+      const frameDt = Math.min(Math.max(0, dtRaw), 0.25);
     this.last = t;
       
       // Debug logging every 60 frames (about once per second at 60fps)
       if (Math.floor(t / 1000) !== this._lastDebugSecond) {
         this._lastDebugSecond = Math.floor(t / 1000);
-        console.log(`RainOnGlass Debug - Drops: ${this.drops.length}, Condensation: ${this.condensation.length}, dt: ${dt.toFixed(3)}`);
+        console.log(`RainOnGlass Debug - Drops: ${this.drops.length}, Condensation: ${this.condensation.length}, dt: ${frameDt.toFixed(3)}`);
       }
       
-      // simple dynamic drop cap based on frame delta (coarse scaler)
-      const budgetScale = dt > 0.03 ? 0.85 : 1.0;
+      // simple dynamic drop cap when frames are genuinely slow (below ~20fps, not just a 30Hz display)
+      const budgetScale = frameDt > 0.05 ? 0.85 : 1.0;
       if (budgetScale < 1 && this.drops.length > 0) {
         const keep = Math.max(15, Math.floor(this.drops.length * budgetScale));
-        if (keep < this.drops.length) this.drops.length = keep;
+        if (keep < this.drops.length) this.trimDrops(keep);
       }
       
-    this.update(dt);
-    this.render();
+      this.accumulator += frameDt;
+      let steps = 0;
+      while (this.accumulator >= this.fixedDt && steps < this.maxSubSteps) {
+        this.tick();
+        this.accumulator -= this.fixedDt;
+        steps++;
+      }
+      // Drop the backlog rather than spiral when the device cannot keep up
+      if (steps === this.maxSubSteps) this.accumulator = Math.min(this.accumulator, this.fixedDt);
+      
+    this.renderInterpolated(this.accumulator / this.fixedDt);
     requestAnimationFrame(this.loop);
       
     } catch (error) {
@@ -1531,56 +2166,89 @@ class RainOnGlass {
   }
 }
 
+// Physics state and tuning are owned by the simulation; keep them reachable as plain
+// properties (rain.drops, rain.windX = ...) for the control panel, engines and tests
+[
+  'drops', 'condensation', 'rng', 'simTime', 'maxDrops', 'presets', '_spawnAcc', 'grid', 'fps',
+  'enableCollisions', 'collisionCell', 'gravityAngleRad', 'gravityBase', 'gravityVariance', 'gravityThreshold',
+  'enableSmudgeTrail', 'trailThresholdPx', 'microTrails', 'enableCondensation', 'condensationDensity',
+  'condensationSize', 'condensationSparkle', 'enableTrails', 'dragCoeff', 'windX', 'windY', 'windField', 'adhesionBase',
+  'slideThreshold', 'terminalVelocity', 'sizeVariance', 'trailDropDensity', 'trailDistance', 'trailDropSize',
+  'trailSpread', 'velocitySpread', 'evaporate', 'shrinkRate', 'xShifting', 'slipRate', 'breakupRadius',
+  'breakupSpeed', 'shedDistance', 'shedSize', 'enableWetness', 'wetnessSlip', 'wetnessSteer', 'enableSill',
+  'sillSides', 'sillInset', 'enableClimate', 'temperature', 'humidity', 'glassTemperature', 'nucleationRate',
+  'climateGrowth', 'climateDrying', 'precipitation', 'sleetIceShare', 'iceMeltTime', 'iceBounce', 'iceSlip',
+  'enableImpacts', 'splashBeads', 'splashReach', 'splashSize', 'testMode'
+].forEach(key => {
+  Object.defineProperty(RainOnGlass.prototype, key, {
+    get() { return this.sim[key]; },
+    set(value) { this.sim[key] = value; },
+    configurable: true
+  });
+});
+
+// LOW/realistic defaults so the menu opens subtly (shared with RainEngineManager)
+RainOnGlass.menuPreset = {
+  // Background + atmosphere
+  blur: 6,                 // modest backdrop blur for capture
+  fog: true,
+  fogStrength: 0.06,
+  saturation: 0.9,
+  refogTime: 10,           // wiped glass mists over slowly
+  obstacles: ['.menu-content a'], // drops run around the menu links, not across them
+
+  // Physics (slow, calm rain)
+  gravityDeg: 90,
+  gravity: 0.35,
+  gravityVariance: 0.0,
+  terminalVelocity: 10,
+  dragCoeff: 0.9,
+  windX: 0.0,
+  windY: 0.0,
+  slipRate: 0.08,
+  impacts: true,           // rain lands across the glass rather than sliding in from the top
+
+  // Appearance (small drops, subtle trails)
+  sizeVariance: 0.6,
+  trailIntensity: 0.25,
+  trailDropDensity: 0.15,
+  trailDropSize: [0.28, 0.42],
+  trailSpread: 0.4,
+  velocitySpread: 0.2,
+  evaporate: 8,
+  shrinkRate: 0.008,
+
+  // Subtle, realistic refraction
+  refractBase: 0.25,
+  refractScale: 0.35,
+  raindropDiffuseLight: [0.25, 0.25, 0.25],
+  raindropShadowOffset: 0.55,
+  raindropLightBump: 0.7,
+
+  // Mini refraction kept but tamed
+  useMiniRefraction: true,
+  miniBoost: false,
+  miniMagnification: 1.06,
+  miniOffsetScale: 1.1
+};
+
 // Wire to menu toggler
 // Initialization modes: menu-overlay (default) or standalone demo
 (function initRainIntegration(){
 const toggler = document.querySelector('.menu-wrap .toggler');
 const rainCanvas = document.getElementById('rain-glass');
 let rain;
+// A canvas marked data-engine="managed" belongs to RainEngineManager (weather-controller.js);
+// don't drive it from here, only point the helpers at the manager's instance
+const managed = rainCanvas?.dataset.engine === 'managed';
+
+function current() {
+  return managed ? window.__rainEngine?.currentEngine?.rainOnGlass : rain;
+}
 
 function ensureInstance() {
   if (!rain && rainCanvas) {
-    // Create with LOW/realistic defaults so the menu opens subtly
-    rain = new RainOnGlass(rainCanvas, {
-      // Background + atmosphere
-      blur: 6,                 // modest backdrop blur for capture
-      fog: true,
-      fogStrength: 0.06,
-      saturation: 0.9,
-
-      // Physics (slow, calm rain)
-      gravityDeg: 90,
-      gravity: 0.35,
-      gravityVariance: 0.0,
-      terminalVelocity: 10,
-      dragCoeff: 0.9,
-      windX: 0.0,
-      windY: 0.0,
-      slipRate: 0.08,
-
-      // Appearance (small drops, subtle trails)
-      sizeVariance: 0.6,
-      trailIntensity: 0.25,
-      trailDropDensity: 0.15,
-      trailDropSize: [0.28, 0.42],
-      trailSpread: 0.4,
-      velocitySpread: 0.2,
-      evaporate: 8,
-      shrinkRate: 0.008,
-
-      // Subtle, realistic refraction
-      refractBase: 0.25,
-      refractScale: 0.35,
-      raindropDiffuseLight: [0.25, 0.25, 0.25],
-      raindropShadowOffset: 0.55,
-      raindropLightBump: 0.7,
-
-      // Mini refraction kept but tamed
-      useMiniRefraction: true,
-      miniBoost: false,
-      miniMagnification: 1.06,
-      miniOffsetScale: 1.1
-    });
+    rain = new RainOnGlass(rainCanvas, RainOnGlass.menuPreset);
 
     // Very low density/spawn so it feels calm when the menu opens
     const isMobile = (typeof window !== 'undefined') && (window.matchMedia?.('(max-width: 768px)').matches || 'ontouchstart' in window.navigator || /Mobi|Android/i.test(window.navigator.userAgent));
@@ -1596,19 +2264,23 @@ function onOpen() {
 }
   function onClose() { if (rain) rain.stop(); }
 
-if (toggler) {
+if (toggler && !managed) {
     toggler.addEventListener('change', () => { if (toggler.checked) onOpen(); else onClose(); });
 }
 
   // Expose class and helpers globally for standalone demos
   window.RainOnGlass = RainOnGlass;
 window.__rainOnGlass = {
-    get instance(){ return rain; },
-  capture: () => rain?.captureBackground(),
-  start: () => rain?.start(),
-    stop: () => rain?.stop(),
-    clearAndRestart: () => { if (!rain) return; rain.drops = []; for (let i = 0; i < rain.initialDensity; i++) rain.spawn(); },
+    get instance(){ return current(); },
+  capture: () => current()?.captureBackground(),
+  start: () => current()?.start(),
+    stop: () => current()?.stop(),
+    step: (n) => current()?.step(n),
+    stepTo: (time) => current()?.stepTo(time),
+    write: (text, options) => current()?.writeOnGlass(text, options),
+    clearAndRestart: () => { const rain = current(); if (!rain) return; rain.drops = []; for (let i = 0; i < rain.initialDensity; i++) rain.spawn(); },
     set: (params = {}) => {
+      const rain = current();
       if (!rain) return;
       if (typeof params.gravityDeg === 'number') rain.gravityAngleRad = params.gravityDeg * Math.PI / 180;
       if (typeof params.gravity === 'number') rain.gravityBase = params.gravity;
@@ -1620,7 +2292,7 @@ window.__rainOnGlass = {
       if (typeof params.maxDrops === 'number') rain.maxDrops = Math.max(1, Math.floor(params.maxDrops));
       if (typeof params.spawn === 'number') rain.spawnChance = Math.min(1, Math.max(0, params.spawn));
     },
-    restart: async () => { if (!rain) return; rain.stop(); await rain.captureBackground(); for (let i = 0; i < rain.initialDensity; i++) rain.spawn(); rain.start(); }
+    restart: async () => { const rain = current(); if (!rain) return; rain.stop(); await rain.captureBackground(); for (let i = 0; i < rain.initialDensity; i++) rain.spawn(); rain.start(); }
   };
 })();
 
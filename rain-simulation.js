@@ -0,0 +1,1687 @@
+/**
+ * Rain Simulation Core
+ * DOM-free drop physics behind RainOnGlass: spawning, gravity, wind, evaporation,
+ * merging, trail droplets, condensation and (optionally) a climate that fogs the glass
+ * up on its own. Takes a plain config, keeps the drop
+ * state and advances with update(dt), so it runs the same in the browser and in Node:
+ *   const sim = new RainSimulation({ width: 800, height: 600, seed: 1 });
+ *   sim.spawn(400, 0, 12); sim.update(1 / 60);
+ * Rendering, background capture and trail drawing stay in RainOnGlass (rain-on-glass.js),
+ * which reads sim.drops and drains sim.takeTrailSegments() each frame.
+ * Drop state lives in a DropStore of Float32Array columns with recycled slots; sim.drops lists
+ * one reusable view per live drop, so steady rain allocates nothing per frame.
+ */
+
+// Organic helpers and the seeded PRNG; a global in the browser, required in Node
+const RainUtilsLib = (typeof window !== 'undefined' && window.RainUtils) ||
+  (typeof require === 'function' ? require('./rain-utils.js') : null);
+
+// Trail segments waiting for a renderer; bounded so headless runs do not grow forever
+const MAX_TRAIL_SEGMENTS = 2000;
+
+// Flicked drops: top speed (CSS px per frame) and how much momentum survives each frame
+const MAX_FLICK_SPEED = 40;
+const FLICK_FRICTION = 0.9;
+const MAX_MERGE_PASSES = 4;   // merge sweeps per step, enough for chains of drops
+
+// Climate: Magnus dew-point coefficients (°C), how firmly a condensed bead is held relative
+// to its weight, and the cap on how much faster than `evaporate` very dry glass dries
+const MAGNUS_B = 17.62;
+const MAGNUS_C = 243.12;
+const BEAD_PIN = 10;
+const MAX_DRYING_SCALE = 3;
+
+// Mass goes with volume (r³); a drop this many CSS px across the radius weighs r², what every
+// drop weighed when mass went with area, so grip and evaporation keep their tuning around it
+const MASS_RADIUS = 6;
+
+// Splash crowns: the least energy (0..1) that throws one, the drop radius (CSS px) that
+// strikes with full energy, the smallest bead (CSS px) and how long beads last (seconds)
+const SPLASH_MIN_ENERGY = 0.15;
+const SPLASH_FULL_RADIUS = 12;
+const SPLASH_MIN_BEAD = 0.8;
+const SPLASH_BEAD_LIFETIME = 20;
+
+// Ice: a hail pellet's first hop off the glass (CSS px per frame) and the pull back toward it
+// (per frame²), the hop below which it stops bouncing, a full strike's splash energy, how long
+// melted ice lasts as water (seconds) and how far above freezing the climate's glass melts ice
+// in iceMeltTime (°C)
+const ICE_HOP_SPEED = 3;
+const ICE_HOP_PULL = 0.6;
+const ICE_HOP_SETTLE = 0.5;
+const ICE_SPLASH_ENERGY = 0.5;
+const ICE_WATER_LIFETIME = 3;
+const ICE_MELT_DEGREES = 5;
+
+// Strikes queued for the renderer between takeImpacts() calls; more than this are not drawn
+const MAX_IMPACTS = 200;
+
+// Sill edges in update order, and the order beads sit in along one
+const SILL_EDGES = ['bottom', 'left', 'right'];
+const byPosition = (a, b) => a.pos - b.pos;
+
+// Distance from a point to the segment a drop travelled this step (prevX/prevY → x/y)
+function distanceToPath(d, px, py) {
+  const x0 = isFinite(d.prevX) ? d.prevX : d.x;
+  const y0 = isFinite(d.prevY) ? d.prevY : d.y;
+  const sx = d.x - x0;
+  const sy = d.y - y0;
+  const len2 = sx * sx + sy * sy;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - x0) * sx + (py - y0) * sy) / len2)) : 1;
+  return Math.hypot(x0 + sx * t - px, y0 + sy * t - py);
+}
+
+// How far a drop travelled this step
+function pathLength(d) {
+  return isFinite(d.prevX) && isFinite(d.prevY) ? Math.hypot(d.x - d.prevX, d.y - d.prevY) : 0;
+}
+
+// Per-drop numbers kept in the store's Float32Array columns, in column order
+const DROP_COLUMNS = [
+  'x', 'y', 'r', 'vx', 'vy', 'prevX', 'prevY', 'mass', 'stick', 'density', 'resistance', 'shifting',
+  'stretch', 'spreadX', 'spreadY', 'flickX', 'flickY', 'lastTrailX', 'lastTrailY', 'nextTrailDistance',
+  'nextRandomTime', 'adhesion', 'ice', 'born'
+];
+const MIN_DROP_CAPACITY = 64;
+
+// A drop as the rest of the code sees it: a reusable view onto one slot of a DropStore. The
+// numeric state reads and writes the columns; flags and renderer caches are plain fields that
+// reset() clears when the slot is handed out again
+class Drop {
+  constructor(store, slot) {
+    this._store = store;
+    this._slot = slot;
+    this.reset();
+  }
+
+  reset() {
+    const columns = this._store.columns;
+    for (let c = 0; c < columns.length; c++) columns[c][this._slot] = 0;
+    this.stretch = 1;
+    this.density = 1;
+    this.label = false;
+    this.shapePoints = null;
+    this._shapeDirty = false;
+    this._dead = false;
+    this._held = false;
+    this._testDrop = false;
+    this._splashBead = false;
+    this._beading = false;
+    this._isTrailDroplet = false;
+    this._dripped = false;
+    this._leaveTrail = false;
+    this._trailAccumulated = 0;
+    this._organicSeed = 0;
+    this._shedTravel = 0;
+    this._shedAt = undefined;
+    this._trailY = undefined;
+    this._lastTrailSpawnY = undefined;
+    this._simX = 0;
+    this._simY = 0;
+    this.hail = undefined;
+    this.hopZ = 0;
+    this.hopV = 0;
+  }
+}
+
+DROP_COLUMNS.forEach((key, column) => {
+  Object.defineProperty(Drop.prototype, key, {
+    get() { return this._store.columns[column][this._slot]; },
+    set(value) { this._store.columns[column][this._slot] = value; },
+    configurable: true
+  });
+});
+
+// Struct-of-arrays drop storage: preallocated columns, a free-list of slots and one Drop view
+// per slot, so spawning, merging and evaporating recycle instead of allocating. Grows by
+// doubling when every slot is taken, which a steady maxDrops never triggers after start-up
+class DropStore {
+  constructor(capacity) {
+    this.capacity = 0;
+    this.columns = DROP_COLUMNS.map(() => new Float32Array(0));
+    this.views = [];
+    this.free = new Int32Array(0); // stack of unused slots, lowest on top
+    this.freeCount = 0;
+    this.inUse = new Uint8Array(0);
+    this.listed = new Uint8Array(0); // scratch for reclaim()
+    this.grow(Math.max(MIN_DROP_CAPACITY, capacity || 0));
+  }
+
+  get size() {
+    return this.capacity - this.freeCount;
+  }
+
+  grow(capacity) {
+    if (capacity <= this.capacity) return;
+    const old = this.capacity;
+    this.columns = this.columns.map(column => {
+      const grown = new Float32Array(capacity);
+      grown.set(column);
+      return grown;
+    });
+    const inUse = new Uint8Array(capacity);
+    inUse.set(this.inUse);
+    this.inUse = inUse;
+    this.listed = new Uint8Array(capacity);
+    const free = new Int32Array(capacity);
+    // new slots go under the existing free ones, highest first so the lowest is popped first
+    let count = 0;
+    for (let slot = capacity - 1; slot >= old; slot--) free[count++] = slot;
+    free.set(this.free.subarray(0, this.freeCount), count);
+    this.free = free;
+    this.freeCount += count;
+    for (let slot = old; slot < capacity; slot++) this.views.push(new Drop(this, slot));
+    this.capacity = capacity;
+  }
+
+  // A cleared drop on a free slot
+  alloc() {
+    if (!this.freeCount) this.grow(this.capacity * 2);
+    const slot = this.free[--this.freeCount];
+    this.inUse[slot] = 1;
+    const drop = this.views[slot];
+    drop.reset();
+    return drop;
+  }
+
+  // Hand a drop's slot back; the view keeps its last state until the slot is reused
+  release(drop) {
+    const slot = drop._slot;
+    if (!this.inUse[slot]) return;
+    this.inUse[slot] = 0;
+    this.free[this.freeCount++] = slot;
+  }
+
+  // Free every slot whose drop is no longer in `drops` (a caller truncated or replaced the list)
+  reclaim(drops) {
+    const listed = this.listed;
+    listed.fill(0);
+    for (let i = 0; i < drops.length; i++) {
+      if (drops[i]._store === this) listed[drops[i]._slot] = 1;
+    }
+    for (let slot = 0; slot < this.capacity; slot++) {
+      if (this.inUse[slot] && !listed[slot]) this.release(this.views[slot]);
+    }
+  }
+}
+
+// Defaults match the RainOnGlass options of the same name (device pixels, per-1/fps-frame units)
+const SIM_DEFAULTS = {
+  width: 800,
+  height: 600,
+  dpr: 1,
+  fps: 60,                  // physics constants are tuned per 1/fps frame
+  maxDrops: 180,
+
+  // collisions
+  enableCollisions: true,
+  collisionCell: 40,        // px in device space
+
+  // gravity
+  gravityDeg: 90,           // 90 = down
+  gravityBase: 0.6,
+  gravityVariance: 0,       // 0..1 small randomness
+  gravityThreshold: 3,      // px
+
+  // trails
+  enableTrails: true,
+  enableSmudgeTrail: true,
+  trailThresholdPx: 50,     // distance to leave smudge
+  microTrails: true,        // micro-drops shed behind sliding drops
+  trailDropDensity: 0.2,
+  trailDistance: [20, 30],
+  trailDropSize: [0.3, 0.5],
+  trailSpread: 0.6,
+
+  // condensation
+  enableCondensation: true,
+  condensationDensity: 0.8,
+  condensationSize: 1.2,
+  condensationSparkle: 0.9,
+
+  // forces and drop behaviour
+  dragCoeff: 0.8,
+  windX: 0,
+  windY: 0,
+  windField: null,          // optional (x, y, out) → extra wind at a point, e.g. curl swirls
+  adhesionBase: 0.92,       // base adhesion (stickiness)
+  slideThreshold: 8,        // radius threshold for sliding
+  terminalVelocity: 15,     // max fall speed (CSS px per frame)
+  sizeVariance: 1.0,
+  velocitySpread: 0.3,
+  evaporate: 10,
+  shrinkRate: 0.01,
+  xShifting: [0, 0.1],      // horizontal drift range
+  slipRate: 0.1,
+
+  // breakup: drops over either limit shed beads behind them as they run (CSS px, per-frame speed)
+  breakupRadius: 24,
+  breakupSpeed: 12,
+  shedDistance: [12, 28],   // px travelled between sheds while over a limit
+  shedSize: [0.2, 0.4],     // bead radius as a share of the parent's
+
+  // wetness field: glass a drop has run over stays wet for a while, and later drops
+  // slide more easily there, so they tend to follow the old paths
+  enableWetness: true,
+  wetnessCell: 8,           // CSS px per field cell
+  wetnessDeposit: 0.8,      // how wet a passing drop leaves the glass (0..1)
+  wetnessDrying: 0.0003,    // share that dries per frame, per unit of evaporate
+  wetnessSlip: 0.7,         // share of a drop's resistance lost on fully wet glass
+  wetnessSteer: 0.25,       // sideways pull toward wetter glass, px per frame²
+
+  // sill: drops that reach the bottom edge (and optionally the sides) join a line of
+  // beads along it instead of leaving the glass
+  enableSill: false,
+  sillSides: false,         // left and right edges hold water too
+  sillInset: 0,             // CSS px between the canvas bottom and the sill line
+  sillMaxBead: 12,          // CSS px; beads this full start to drip off
+  sillDripChance: 0.02,     // per frame, for a bead at sillMaxBead
+
+  // climate: glass colder than the air's dew point condenses beads that grow, merge and run
+  // once they reach slideThreshold; warmer glass dries, faster the drier the air. Sets how
+  // fast evaporate and shrinkRate act, so with no presets the glass fogs up and runs by itself
+  enableClimate: false,
+  temperature: 20,          // °C, air on the viewer's side of the glass
+  humidity: 0.7,            // relative humidity 0..1
+  glassTemperature: 10,     // °C
+  nucleationRate: 8,        // new beads per second per CSS megapixel, per °C below the dew point
+  climateGrowth: 0.05,      // CSS px of radius per second, per °C below the dew point
+  climateDrying: 0.1,       // evaporate/shrinkRate multiplier per °C above the dew point
+
+  // impacts: new rain strikes random points across the glass instead of sliding in from the
+  // top, and each hit throws a crown of micro-beads that stay until a sliding drop sweeps them up
+  enableImpacts: false,
+  splashBeads: [4, 9],      // beads in a crown, at the least and at full energy
+  splashReach: [1.4, 2.6],  // crown radius as a multiple of the drop's
+  splashSize: [0.08, 0.2],  // bead radius as a share of the drop's
+
+  // precipitation: 'rain', 'hail' (opaque pellets that strike anywhere on the glass, bounce,
+  // splash a few beads and slide off as they melt) or 'sleet' (a share of the drops arrive as
+  // icy beads that stick and turn liquid)
+  precipitation: 'rain',
+  sleetIceShare: 0.5,
+  iceMeltTime: 6,           // seconds for a CSS-px-4 bead to melt; bigger ones take longer
+  iceBounce: 0.35,          // share of its hop a pellet keeps per bounce
+  iceSlip: 0.96,            // adhesion of a settled pellet: ice barely clings
+
+  testMode: false,          // skip generated rain and condensation
+  debugLabels: false
+};
+
+class RainSimulation {
+  constructor(config = {}) {
+    // Undefined entries fall back to the defaults so callers can pass parsed options straight in
+    const defined = Object.fromEntries(Object.entries(config).filter(([, v]) => v !== undefined));
+    const c = { ...SIM_DEFAULTS, ...defined };
+    
+    for (const key of Object.keys(SIM_DEFAULTS)) {
+      if (key !== 'gravityDeg') this[key] = c[key];
+    }
+    this.gravityAngleRad = c.gravityAngleRad ?? (c.gravityDeg * Math.PI) / 180;
+    
+    // Seeded randomness: an explicit generator, a seed, or the shared RainUtils stream
+    this.rng = c.rng || (RainUtilsLib ? RainUtilsLib.createRandom(c.seed ?? null, 'rain-on-glass') : { next: Math.random });
+    
+    this.drops = []; // live Drop views, in update order
+    this.store = new DropStore(this.maxDrops);
+    this.condensation = []; // Fine condensation droplets for sparkling effect
+    this.trailSegments = [];
+    this._takenSegments = []; // the batch the renderer last took, recycled on the next take
+    this._segmentPool = [];
+    this.impacts = []; // ice strikes { x, y, r, strength } since the renderer last took them
+    this._takenImpacts = []; // recycled like the trail segments
+    this._impactPool = [];
+    this.grid = null; // lazily created
+    this.simTime = 0; // seconds of simulated time
+    this.frame = 0;   // update() calls so far; drops remember the one they were born in
+    this.iceCount = 0; // drops with ice as of the last update, plus any frozen since
+    this.wetness = null; // Float32Array, row-major, 0 = dry .. 1 = soaked
+    // water held along the edges: beads { pos (px along the edge), r, vel, phase, wobble }
+    this.sill = { bottom: [], left: [], right: [] };
+    // zones in device px ({ x, y, width, height }): drops flow around obstacles and nothing
+    // spawns inside exclusions; the density mask thins spawns across the glass
+    this.obstacles = [];
+    this.exclusions = [];
+    this.densityMask = null;
+    this._windSample = { x: 0, y: 0 }; // reused by windField every drop, every frame
+    this.evaporationScale = 1; // set by the climate; 1 = evaporate and shrinkRate as given
+    this._nucleationAcc = 0;
+    this.wetnessCols = 0;
+    this.wetnessRows = 0;
+    this.resizeWetness();
+    
+    // preset-based spawner (min, base, ratePerSecond, count optional)
+    // Enhanced rates for more drops
+    this.presets = c.presets || [
+      { min: 1, base: 2.5, rate: 9 },   // micro beads (denser)
+      { min: 3, base: 4.5, rate: 7 },   // small
+      { min: 6, base: 8.5, rate: 4 },   // medium
+      { min: 12, base: 16, rate: 0.8 }  // big
+    ];
+    // accumulators for fractional spawning
+    this._spawnAcc = this.presets.map(() => 0);
+  }
+
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.resizeWetness();
+  }
+
+  // Match the wetness field to the glass; a new size starts dry
+  resizeWetness() {
+    const cell = this.wetnessCell * this.dpr;
+    const cols = Math.max(1, Math.ceil(this.width / cell));
+    const rows = Math.max(1, Math.ceil(this.height / cell));
+    if (this.wetness && cols === this.wetnessCols && rows === this.wetnessRows) return;
+    this.wetnessCols = cols;
+    this.wetnessRows = rows;
+    this.wetness = new Float32Array(cols * rows);
+  }
+
+  // Wetness (0..1) at a point in device px; off the glass counts as dry
+  wetnessAt(x, y) {
+    const cell = this.wetnessCell * this.dpr;
+    const cx = Math.floor(x / cell);
+    const cy = Math.floor(y / cell);
+    if (cx < 0 || cy < 0 || cx >= this.wetnessCols || cy >= this.wetnessRows) return 0;
+    return this.wetness[cy * this.wetnessCols + cx];
+  }
+
+  // Wet the cells a drop of radius r covered moving from (x0, y0) to (x1, y1)
+  wetPath(x0, y0, x1, y1, r) {
+    if (!this.enableWetness) return;
+    const cell = this.wetnessCell * this.dpr;
+    const cols = this.wetnessCols;
+    const rows = this.wetnessRows;
+    const reach = Math.floor((r * 0.7) / cell);
+    const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) / (cell * 0.5)));
+    for (let s = 0; s <= steps; s++) {
+      const cx = Math.floor((x0 + ((x1 - x0) * s) / steps) / cell);
+      const cy = Math.floor((y0 + ((y1 - y0) * s) / steps) / cell);
+      for (let oy = -reach; oy <= reach; oy++) {
+        const row = cy + oy;
+        if (row < 0 || row >= rows) continue;
+        for (let ox = -reach; ox <= reach; ox++) {
+          const col = cx + ox;
+          if (col < 0 || col >= cols) continue;
+          const idx = row * cols + col;
+          if (this.wetness[idx] < this.wetnessDeposit) this.wetness[idx] = this.wetnessDeposit;
+        }
+      }
+    }
+  }
+
+  setObstacles(rects) {
+    this.obstacles = rects || [];
+  }
+
+  setExclusions(rects) {
+    this.exclusions = rects || [];
+  }
+
+  // Spawn density (0..1) stretched over the glass: { cols, rows, data } row-major, or null
+  setDensityMask(mask) {
+    if (!mask) {
+      this.densityMask = null;
+      return;
+    }
+    // rain enters from the top edge, so it follows each column's average density
+    const columns = new Float32Array(mask.cols);
+    for (let c = 0; c < mask.cols; c++) {
+      let sum = 0;
+      for (let r = 0; r < mask.rows; r++) sum += mask.data[r * mask.cols + c];
+      columns[c] = sum / mask.rows;
+    }
+    this.densityMask = { cols: mask.cols, rows: mask.rows, data: mask.data, columns };
+  }
+
+  // Density at a point in device px; a y of null reads the column average
+  densityAt(x, y = null) {
+    const mask = this.densityMask;
+    if (!mask) return 1;
+    const c = Math.max(0, Math.min(mask.cols - 1, Math.floor((x / this.width) * mask.cols)));
+    if (y === null) return mask.columns[c];
+    const r = Math.max(0, Math.min(mask.rows - 1, Math.floor((y / this.height) * mask.rows)));
+    return mask.data[r * mask.cols + c];
+  }
+
+  // Whether a circle of radius r at (x, y) touches an exclusion zone
+  isExcluded(x, y, r = 0) {
+    for (const z of this.exclusions) {
+      if (x + r > z.x && x - r < z.x + z.width && y + r > z.y && y - r < z.y + z.height) return true;
+    }
+    return false;
+  }
+
+  // Roll against the density mask; draws from the rng only when a mask is set so seeded
+  // runs without one are unchanged
+  passesDensity(x, y = null) {
+    return !this.densityMask || this.rng.next() < this.densityAt(x, y);
+  }
+
+  // A drop that ran into an obstacle is pushed back out through the nearest face, loses the
+  // speed it hit with, and slides along the face toward the closer corner so it flows around
+  deflect(d) {
+    const gx = Math.cos(this.gravityAngleRad);
+    const gy = Math.sin(this.gravityAngleRad);
+    for (const o of this.obstacles) {
+      const pad = d.r * 0.5;
+      const left = o.x - pad;
+      const right = o.x + o.width + pad;
+      const top = o.y - pad;
+      const bottom = o.y + o.height + pad;
+      if (d.x <= left || d.x >= right || d.y <= top || d.y >= bottom) continue;
+      const outLeft = d.x - left;
+      const outRight = right - d.x;
+      const outTop = d.y - top;
+      const outBottom = bottom - d.y;
+      const least = Math.min(outLeft, outRight, outTop, outBottom);
+      let nx = 0;
+      let ny = 0;
+      if (least === outTop) { d.y = top; ny = -1; }
+      else if (least === outBottom) { d.y = bottom; ny = 1; }
+      else if (least === outLeft) { d.x = left; nx = -1; }
+      else { d.x = right; nx = 1; }
+      const into = -(d.vx * nx + d.vy * ny);
+      if (into > 0) {
+        d.vx += nx * into;
+        d.vy += ny * into;
+      }
+      const flickInto = -((d.flickX || 0) * nx + (d.flickY || 0) * ny);
+      if (flickInto > 0) {
+        d.flickX += nx * flickInto;
+        d.flickY += ny * flickInto;
+      }
+      // a face across gravity holds the drop: steer it off the nearer end
+      const tx = ny ? 1 : 0;
+      const ty = nx ? 1 : 0;
+      if (Math.abs(gx * tx + gy * ty) < 0.3) {
+        const toward = ny ? (d.x < o.x + o.width / 2 ? -1 : 1) : (d.y < o.y + o.height / 2 ? -1 : 1);
+        const push = Math.max(into, 0.5 * this.dpr);
+        if (ny) d.flickX = toward * Math.max(Math.abs(d.flickX || 0), push);
+        else d.flickY = toward * Math.max(Math.abs(d.flickY || 0), push);
+      }
+    }
+  }
+
+  // Sill line in device px (the bottom edge, lifted by sillInset)
+  get sillLine() {
+    return this.height - this.sillInset * this.dpr;
+  }
+
+  // Which sill edge, if any, a drop has run into
+  sillEdgeFor(d) {
+    if (d.y + d.r * 0.5 >= this.sillLine) return 'bottom';
+    if (this.sillSides && d.x - d.r * 0.5 <= 0) return 'left';
+    if (this.sillSides && d.x + d.r * 0.5 >= this.width) return 'right';
+    return null;
+  }
+
+  // Add water to an edge: a new bead at `pos`, with a ripple running out to its neighbours
+  collectOnSill(edge, pos, r) {
+    const line = this.sill[edge];
+    for (const bead of line) {
+      const reach = (bead.r + r) * 3;
+      const dist = Math.abs(bead.pos - pos);
+      if (dist < reach) bead.wobble = Math.min(1, bead.wobble + 1 - dist / reach);
+    }
+    line.push({ pos, r, vel: 0, phase: this.rng.next() * Math.PI * 2, wobble: 1 });
+  }
+
+  // Beads slide along their edge with gravity, ripple, merge with neighbours and drip off
+  updateSill(dtScale) {
+    const gx = Math.cos(this.gravityAngleRad);
+    const gy = Math.sin(this.gravityAngleRad);
+    const bottom = this.sillLine;
+    const maxBead = this.sillMaxBead * this.dpr;
+    for (const edge of SILL_EDGES) {
+      const line = this.sill[edge];
+      if (!line.length) continue;
+      const pull = edge === 'bottom' ? gx : gy; // gravity along the edge
+      const end = edge === 'bottom' ? this.width : bottom;
+      for (let i = line.length - 1; i >= 0; i--) {
+        const bead = line[i];
+        bead.phase += 0.15 * dtScale;
+        bead.wobble *= Math.pow(0.96, dtScale);
+        bead.vel = (bead.vel + pull * 0.02 * (bead.r / this.dpr) * dtScale) * Math.pow(0.9, dtScale); // heavier beads run faster
+        bead.pos += bead.vel * dtScale;
+        if (edge !== 'bottom' && bead.pos + bead.r >= end) {
+          // water running down a side ends up in the corner of the bottom sill
+          line.splice(i, 1);
+          this.collectOnSill('bottom', edge === 'left' ? bead.r : this.width - bead.r, bead.r);
+          continue;
+        }
+        bead.pos = Math.max(bead.r, Math.min(end - bead.r, bead.pos));
+      }
+      // neighbours that touch run together, conserving volume
+      line.sort(byPosition);
+      for (let i = line.length - 2; i >= 0; i--) {
+        const a = line[i];
+        const b = line[i + 1];
+        if (b.pos - a.pos >= (a.r + b.r) * 0.8) continue;
+        const va = a.r ** 3;
+        const vb = b.r ** 3;
+        a.pos = (a.pos * va + b.pos * vb) / (va + vb);
+        a.vel = (a.vel * va + b.vel * vb) / (va + vb);
+        a.r = Math.cbrt(va + vb);
+        a.wobble = 1;
+        line.splice(i + 1, 1);
+      }
+      if (edge !== 'bottom') continue;
+      // full beads drip off the sill now and then, giving up part of their water
+      for (const bead of line) {
+        if (bead.r < maxBead * 0.6) continue;
+        const chance = this.sillDripChance * (bead.r / maxBead) ** 3 * dtScale;
+        if (bead.r < maxBead * 1.5 && this.rng.next() >= chance) continue;
+        const r = bead.r * 0.6;
+        bead.r = Math.cbrt(bead.r ** 3 - r ** 3);
+        bead.wobble = 1;
+        const drip = this.spawn(bead.pos, bottom + r, r);
+        drip._dripped = true;
+        drip.vx = 0;
+        drip.vy = 1;
+        drip.stick = 1;
+        drip.nextRandomTime = Infinity;
+      }
+    }
+  }
+
+  // Wet glass dries at a rate tied to evaporate
+  dryWetness(dtScale) {
+    const keep = Math.pow(1 - Math.min(1, this.evaporate * this.evaporationScale * this.wetnessDrying), dtScale);
+    const field = this.wetness;
+    for (let i = 0; i < field.length; i++) {
+      if (field[i] === 0) continue;
+      field[i] = field[i] < 0.01 ? 0 : field[i] * keep;
+    }
+  }
+
+  spawn(x, y, r) {
+    // Organic size distribution using natural variations
+    let radius;
+    if (r) {
+      radius = r;
+    } else {
+      // Use natural drop size variations
+      const baseSize = 8; // Base medium drop size
+      const sizeVariation = 0.4; // 40% variation
+      radius = RainUtilsLib?.naturalDropSize(baseSize, sizeVariation, this.rng) || (baseSize + this.rng.next() * baseSize * sizeVariation);
+      
+      // More random size distribution with higher variation
+      const sizeCategory = this.rng.next();
+      if (sizeCategory < 0.4) {
+        // Small drops (40%) - 3-10px base with high variation
+        radius = RainUtilsLib?.naturalDropSize(6, 0.6, this.rng) || (6 + this.rng.next() * 4);
+      } else if (sizeCategory < 0.8) {
+        // Medium drops (40%) - 8-20px base with high variation
+        radius = RainUtilsLib?.naturalDropSize(14, 0.5, this.rng) || (14 + this.rng.next() * 6);
+      } else {
+        // Large drops (20%) - 15-30px base with high variation
+        radius = RainUtilsLib?.naturalDropSize(22, 0.4, this.rng) || (22 + this.rng.next() * 8);
+      }
+      radius *= this.dpr * this.sizeVariance; // Apply size variance multiplier
+    }
+    
+    // Ensure minimum radius to prevent rendering errors
+    radius = Math.max(0.5, radius);
+    
+    // Spread across the top (x) and stagger above the glass (y); plain arithmetic, so a spawn
+    // allocates nothing beyond its recycled slot
+    let spawnX, spawnY;
+    if (x !== undefined) {
+      spawnX = x;
+    } else {
+      spawnX = radius + this.rng.next() * (this.width - 2 * radius);
+      this.rng.next(); // the y a spawn rectangle used to draw; seeded runs stay the same
+    }
+    
+    if (y !== undefined) {
+      spawnY = y;
+    } else {
+      const baseY = -radius - 50;
+      const yVariation = this.rng.next() * 100;
+      spawnY = baseY - yVariation * this.dpr;
+    }
+    
+    const drop = this.store.alloc();
+    drop.x = drop.prevX = drop.lastTrailX = spawnX;
+    drop.y = drop.prevY = drop.lastTrailY = spawnY;
+    drop.r = radius;
+    // More random velocity variations
+    drop.vx = (this.rng.next() * 2 - 1) * 0.8;
+    // More random adhesion with higher variation
+    drop.stick = this.adhesionBase + 0.15 * (this.rng.next() * 2 - 1);
+    drop.label = this.debugLabels && this.rng.next() < 0.2;
+    drop.mass = this.massFor(radius);
+    drop.adhesion = this.adhesionBase;
+    drop.density = 1 + 0.1 * (this.rng.next() * 2 - 1); // Organic density variation
+    // Organic trail spacing with natural variation
+    drop.nextTrailDistance = 15 + this.rng.next() * 20;
+    drop.born = this.frame;
+    // Unique seed for organic variations
+    drop._organicSeed = Math.floor(this.rng.next() * 10000);
+    this.drops.push(drop);
+    return drop;
+  }
+
+
+  // Water in a fresh drop of radius r (device px): by volume, as merges, sheds and growth count it
+  massFor(r) {
+    return r ** 3 / (MASS_RADIUS * this.dpr);
+  }
+
+  // Random motion system inspired by RainDrop class
+  randomMotion(drop) {
+    try {
+      // Calculate maximum resistance based on drop size and slip rate
+      const maxResistance = (8 + this.rng.next() * 8) * (1 - this.slipRate) ** 2 * 4;
+      drop.resistance = this.rng.next() * this.gravityBase * maxResistance;
+      drop.shifting = this.rng.next() * (this.xShifting[0] + this.rng.next() * (this.xShifting[1] - this.xShifting[0]));
+    } catch (error) {
+      console.warn('Error in randomMotion:', error);
+    }
+  }
+
+  // Pointer interaction (positions in device px); RainOnGlass maps pointer events onto these
+
+  // Pick up the drop under (x, y), allowing `slop` px of forgiveness; returns it or null
+  grabDrop(x, y, slop = 0) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const d of this.drops) {
+      if (d._dead || d._held) continue;
+      const dist = Math.hypot(d.x - x, d.y - y);
+      if (dist < d.r + slop && dist < bestDist) {
+        best = d;
+        bestDist = dist;
+      }
+    }
+    if (best) {
+      best._held = true;
+      best.vx = 0;
+      best.vy = 0;
+      best.flickX = 0;
+      best.flickY = 0;
+    }
+    return best;
+  }
+
+  // Move a held drop, wetting the glass behind it
+  moveDrop(drop, x, y) {
+    const prevX = drop.x;
+    const prevY = drop.y;
+    drop.x = x;
+    drop.y = y;
+    if (Math.hypot(x - prevX, y - prevY) > 0.5) {
+      this.layTrail(drop, prevX, prevY);
+      this.wetPath(prevX, prevY, x, y, drop.r);
+    }
+    drop.lastTrailX = x;
+    drop.lastTrailY = y;
+  }
+
+  // Let go of a held drop; vx/vy (px per frame) fling it across the glass
+  releaseDrop(drop, vx = 0, vy = 0) {
+    drop._held = false;
+    const speed = Math.hypot(vx, vy);
+    const maxSpeed = MAX_FLICK_SPEED * this.dpr;
+    const scale = speed > maxSpeed ? maxSpeed / speed : 1;
+    drop.flickX = vx * scale;
+    drop.flickY = vy * scale;
+    // A drop that has been moved has broken its grip on the glass
+    drop.resistance = 0;
+    drop.stick = Math.max(drop.stick, 0.95);
+  }
+
+  // Tap on the glass: jolt drops within `radius` so sticky ones break loose; returns how many moved
+  impulse(x, y, radius, strength = 1) {
+    let count = 0;
+    for (const d of this.drops) {
+      if (d._dead || d._held) continue;
+      const dx = d.x - x;
+      const dy = d.y - y;
+      const dist = Math.hypot(dx, dy);
+      if (dist > radius) continue;
+      const falloff = 1 - dist / radius;
+      const kick = strength * falloff * this.dpr;
+      d.flickX = (d.flickX || 0) + (dist ? dx / dist : 0) * kick + (this.rng.next() - 0.5) * kick;
+      d.flickY = (d.flickY || 0) + Math.abs(dy / (dist || 1)) * kick;
+      d.resistance = 0;
+      d.stick = Math.max(d.stick, 0.96);
+      // stay loose for a moment before random motion can pin the drop again
+      d.nextRandomTime = this.simTime + 0.3 + falloff * 0.5;
+      count++;
+    }
+    return count;
+  }
+
+  spawnCondensation() {
+    if (!this.enableCondensation || this.testMode || this.condensation.length >= 3000) return; // Increased limit
+    
+    // Spawn dense micro-condensation like the reference implementation
+    const count = Math.floor(this.condensationDensity * 40 * this.rng.next()); // Much higher density
+    for (let i = 0; i < count; i++) {
+      const x = this.rng.next() * this.width;
+      const y = this.rng.next() * this.height;
+      const size = (0.2 + this.rng.next() * 1.8) * this.condensationSize * this.dpr; // More size variation
+      if (this.isExcluded(x, y, size) || !this.passesDensity(x, y)) continue;
+      
+      this.condensation.push({
+        x: x,
+        y: y,
+        r: size,
+        sparkle: this.rng.next() * this.condensationSparkle,
+        life: 0.6 + this.rng.next() * 0.8, // Longer life for dense coverage
+        age: 0,
+        twinkle: this.rng.next() * Math.PI * 2, // for sparkle animation
+        _isMicroCondensation: true // Mark for special rendering
+      });
+    }
+  }
+
+
+  // Dew point (°C) of the air at temperature/humidity (Magnus formula)
+  get dewPoint() {
+    const rh = Math.max(0.01, Math.min(1, this.humidity));
+    const gamma = Math.log(rh) + MAGNUS_B * this.temperature / (MAGNUS_C + this.temperature);
+    return MAGNUS_C * gamma / (MAGNUS_B - gamma);
+  }
+
+  // °C the glass sits below the dew point: positive condenses, negative dries
+  get supercooling() {
+    return this.dewPoint - this.glassTemperature;
+  }
+
+  // Climate step: below the dew point every drop grows, new beads nucleate and stay pinned
+  // until heavy enough to run; above it nothing grows and drying speeds up with the gap
+  updateClimate(dt) {
+    const below = this.supercooling;
+    this.evaporationScale = below > 0 ? 0 : Math.min(MAX_DRYING_SCALE, -below * this.climateDrying);
+    const dpr = this.dpr;
+    const slideRadius = this.slideThreshold * dpr;
+    const grow = below > 0 ? this.climateGrowth * below * dt * dpr : 0;
+    
+    for (const d of this.drops) {
+      if (d._dead || d._testDrop) continue;
+      if (grow && !d._held) {
+        // condensed water adds mass by volume, as merges, sheds and the sill count it
+        const r = d.r + grow;
+        d.mass *= (r / d.r) ** 3;
+        d.r = r;
+      }
+      if (!d._beading) continue;
+      if (d.r >= slideRadius) {
+        // heavy enough: from here on it moves like any other drop
+        d._beading = false;
+        d.resistance = 0;
+        d.nextRandomTime = this.simTime;
+      } else {
+        d.resistance = this.gravityBase * d.mass * BEAD_PIN;
+      }
+    }
+    
+    if (below > 0) {
+      const megapixels = (this.width / dpr) * (this.height / dpr) / 1e6;
+      this._nucleationAcc += this.nucleationRate * below * megapixels * dt;
+      while (this._nucleationAcc >= 1) {
+        this._nucleationAcc -= 1;
+        if (!this.nucleate()) {
+          this._nucleationAcc = 0;
+          break;
+        }
+      }
+    }
+  }
+
+  // One freshly condensed bead at a random spot, pinned while it grows; false once the glass is full
+  nucleate() {
+    if (this.drops.length >= this.maxDrops) return false;
+    const r = (1.2 + this.rng.next() * 0.8) * this.dpr;
+    const x = this.rng.next() * this.width;
+    const y = this.rng.next() * this.height;
+    if (this.isExcluded(x, y, r) || !this.passesDensity(x, y)) return true;
+    
+    const bead = this.spawn(x, y, r);
+    bead.vx = 0;
+    bead.resistance = this.gravityBase * bead.mass * BEAD_PIN;
+    bead.nextRandomTime = Infinity;
+    bead._beading = true;
+    return true;
+  }
+
+  // Hail and sleet: arriving drops may be frozen. They strike a random spot on the glass rather
+  // than running in from the top; hail bounces off it first, sleet beads stick where they land
+  freezeDrop(drop) {
+    const hail = this.precipitation === 'hail';
+    if (!hail && this.rng.next() >= this.sleetIceShare) return drop;
+    if (drop.y < 0) {
+      drop.y = drop.prevY = drop.r + this.rng.next() * Math.max(0, this.height - 2 * drop.r);
+      drop.lastTrailY = drop.y;
+    }
+    drop.vx = 0;
+    drop.ice = 1; // share still frozen
+    this.iceCount++;
+    if (hail) {
+      drop.hail = true;
+      drop.stick = this.iceSlip;
+      drop.hopZ = 0; // px off the glass
+      drop.hopV = ICE_HOP_SPEED * this.dpr * (0.6 + 0.4 * this.rng.next());
+    }
+    this.strike(drop, 1);
+    return drop;
+  }
+
+  // Ice ticks against the glass: the strike is queued for the renderer and hail splashes the
+  // meltwater on its surface around the spot
+  strike(drop, strength) {
+    if (this.impacts.length < MAX_IMPACTS) {
+      const hit = this._impactPool.pop() || {};
+      hit.x = drop.x;
+      hit.y = drop.y;
+      hit.r = drop.r;
+      hit.strength = strength;
+      this.impacts.push(hit);
+    }
+    if (drop.hail) this.splash(drop.x, drop.y, drop.r, strength * ICE_SPLASH_ENERGY);
+  }
+
+  // A raindrop striking the glass at a random visible spot (thinned by the density mask, never
+  // inside an exclusion); it stays there as a drop and throws a crown sized by its energy.
+  // Returns the drop, or null when the spot was turned down
+  impact(r) {
+    const x = r + this.rng.next() * Math.max(0, this.width - 2 * r);
+    const y = r + this.rng.next() * Math.max(0, this.height - 2 * r);
+    if (!this.passesDensity(x, y) || this.isExcluded(x, y, r)) return null;
+    const drop = this.spawn(x, y, r);
+    drop.vx = 0;
+    if (this.precipitation !== 'rain') this.freezeDrop(drop);
+    if (!drop.ice) this.splash(x, y, r, Math.min(1, r / (SPLASH_FULL_RADIUS * this.dpr)));
+    return drop;
+  }
+
+  // A crown of micro-beads around an impact: more, bigger and further out with energy (0..1).
+  // Each bead is flung from the drop's rim and coasts to its place on a flick, then sits pinned
+  // like a condensed bead until a sliding drop sweeps it up. Returns the number of beads
+  splash(x, y, r, energy) {
+    if (energy < SPLASH_MIN_ENERGY) return 0;
+    const [fewest, most] = this.splashBeads;
+    const count = Math.round(fewest + (most - fewest) * energy);
+    const phase = this.rng.next() * Math.PI * 2;
+    let made = 0;
+    for (let i = 0; i < count && this.drops.length < this.maxDrops; i++) {
+      // evenly round the crown, each bead a little off its slot
+      const angle = phase + (i + (this.rng.next() - 0.5) * 0.3) * Math.PI * 2 / count;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const reach = r * (this.splashReach[0] + this.rng.next() * (this.splashReach[1] - this.splashReach[0])) * (0.5 + 0.5 * energy);
+      const beadR = Math.max(SPLASH_MIN_BEAD * this.dpr, r * (this.splashSize[0] + this.rng.next() * (this.splashSize[1] - this.splashSize[0])));
+      if (this.isExcluded(x + cos * reach, y + sin * reach, beadR)) continue;
+      const bead = this.spawn(x + cos * r, y + sin * r, beadR);
+      bead.vx = 0;
+      // the flick fades by FLICK_FRICTION a frame, so in all it carries the bead reach - r
+      bead.flickX = cos * (reach - r) * (1 - FLICK_FRICTION);
+      bead.flickY = sin * (reach - r) * (1 - FLICK_FRICTION);
+      bead.mass += this.evaporate * this.fps * SPLASH_BEAD_LIFETIME;
+      bead.resistance = this.gravityBase * bead.mass * BEAD_PIN;
+      bead.nextRandomTime = Infinity;
+      bead._splashBead = true;
+      made++;
+    }
+    return made;
+  }
+
+  // Hand the strikes since the last call to the renderer; like takeTrailSegments, the batch
+  // handed out before is reused, so the renderer copies what it keeps
+  takeImpacts() {
+    const impacts = this.impacts;
+    const spent = this._takenImpacts;
+    for (let i = 0; i < spent.length; i++) this._impactPool.push(spent[i]);
+    spent.length = 0;
+    this.impacts = spent;
+    this._takenImpacts = impacts;
+    return impacts;
+  }
+
+  // Melt a frozen drop and fly an airborne pellet; true while it is off the glass, when the
+  // glass physics leaves it alone. Melted ice gets water to last like a fresh drip
+  updateIce(d, dt, dtScale) {
+    const warmth = this.enableClimate ? Math.max(0, this.glassTemperature) / ICE_MELT_DEGREES : 1;
+    d.ice -= warmth * dt / (this.iceMeltTime * Math.max(0.25, d.r / (4 * this.dpr)));
+    if (d.ice <= 0 && !d.hopV) {
+      d.ice = 0;
+      d.hail = false;
+      d.mass += this.evaporate * this.fps * ICE_WATER_LIFETIME;
+      d.resistance = 0;
+      d._shapeDirty = true;
+      return false;
+    }
+    if (d.hopV) d.ice = Math.max(d.ice, 0.01); // stays ice until it has landed
+    // mostly frozen sleet is slush frozen to the glass; hail has nothing to grip with
+    if (!d.hail) d.resistance = d.ice > 0.5 ? this.gravityBase * d.mass * BEAD_PIN : 0;
+    if (!d.hopV) return false;
+
+    d.hopZ += d.hopV * dtScale;
+    d.hopV -= ICE_HOP_PULL * this.dpr * dtScale;
+    // off the glass it just falls
+    const gx = Math.cos(this.gravityAngleRad);
+    const gy = Math.sin(this.gravityAngleRad);
+    const fall = Math.min(this.terminalVelocity * this.dpr, (d.vx * gx + d.vy * gy) + this.gravityBase * dtScale);
+    d.vx = gx * fall;
+    d.vy = gy * fall;
+    d.x += d.vx * dtScale;
+    d.y += d.vy * dtScale;
+    if (d.hopZ > 0) return true;
+
+    // back on the glass: tick, and bounce again or settle
+    d.hopZ = 0;
+    const landing = -d.hopV;
+    d.hopV = landing * this.iceBounce;
+    this.strike(d, Math.min(1, landing / (ICE_HOP_SPEED * this.dpr)));
+    if (d.hopV < ICE_HOP_SETTLE * this.dpr) d.hopV = 0;
+    return d.hopV > 0;
+  }
+
+  // Record a trail segment for the renderer and occasionally shed a trail droplet
+  layTrail(drop, prevX, prevY) {
+    if (!this.enableTrails) return;
+    
+    if (this.trailSegments.length < MAX_TRAIL_SEGMENTS) {
+      const seg = this._segmentPool.pop() || {};
+      seg.x0 = prevX;
+      seg.y0 = prevY;
+      seg.x1 = drop.x;
+      seg.y1 = drop.y;
+      seg.r = drop.r;
+      seg.speed = Math.hypot(drop.vx, drop.vy);
+      this.trailSegments.push(seg);
+    }
+    
+    // Spawn trail droplets occasionally (inspired by RaindropFX)
+    if (this.rng.next() < this.trailDropDensity * 0.1) {
+      this.spawnTrailDroplet(drop, prevX, prevY);
+    }
+  }
+
+  // Hand the segments laid since the last call to the renderer. The batch handed out the time
+  // before is done with by now, so it becomes the next buffer and its segments are reused
+  takeTrailSegments() {
+    const segments = this.trailSegments;
+    const spent = this._takenSegments;
+    for (let i = 0; i < spent.length; i++) this._segmentPool.push(spent[i]);
+    spent.length = 0;
+    this.trailSegments = spent;
+    this._takenSegments = segments;
+    return segments;
+  }
+
+  spawnTrailDroplet(parentDrop, prevX, prevY) {
+    try {
+      if (!this.enableTrails) return;
+      
+      // Create small trail droplet
+      const trailSize = this.trailDropSize[0] + this.rng.next() * (this.trailDropSize[1] - this.trailDropSize[0]);
+      const trailRadius = Math.max(0.5, parentDrop.r * trailSize); // Ensure minimum radius
+      
+      // Position along the trail path
+      const t = this.rng.next();
+      const x = prevX + (parentDrop.x - prevX) * t;
+      const y = prevY + (parentDrop.y - prevY) * t;
+      
+      // Add some spread
+      const spreadX = (this.rng.next() - 0.5) * this.trailSpread * 2;
+      const spreadY = (this.rng.next() - 0.5) * this.trailSpread * 2;
+      if (this.isExcluded(x + spreadX, y + spreadY, trailRadius)) return;
+      
+      const drop = this.store.alloc();
+      drop.x = drop.prevX = drop.lastTrailX = x + spreadX;
+      drop.y = drop.prevY = drop.lastTrailY = y + spreadY;
+      drop.r = trailRadius;
+      drop.vx = parentDrop.vx * 0.5 + (this.rng.next() - 0.5) * 0.2;
+      drop.vy = parentDrop.vy * 0.5 + (this.rng.next() - 0.5) * 0.2;
+      drop.stick = this.adhesionBase + this.rng.next() * 0.06;
+      drop.mass = this.massFor(trailRadius);
+      drop.adhesion = this.adhesionBase;
+      drop.nextRandomTime = Infinity; // trail droplets never get random motion
+      drop.born = this.frame;
+      drop._isTrailDroplet = true; // Mark as trail droplet
+      this.drops.push(drop);
+    } catch (error) {
+      console.warn('Error in spawnTrailDroplet:', error);
+    }
+  }
+
+
+  // One step of motion for drop d (index i, for warnings): gravity against its grip, wetness,
+  // wind, drag and flick momentum, then the new position
+  advance(d, acceleration, dtScale, i) {
+    // Work in the gravity frame: `fall` runs along gravityAngleRad and `drift` across it;
+    // with gravity pointing straight down they are simply vy and vx
+    const gx = Math.cos(this.gravityAngleRad);
+    const gy = Math.sin(this.gravityAngleRad);
+    let fall = d.vx * gx + d.vy * gy;
+    fall += acceleration * dtScale;
+    if (fall < 0) fall = 0; // Prevent movement against gravity
+    if (fall > this.terminalVelocity * this.dpr) fall = this.terminalVelocity * this.dpr;
+    let drift = Math.abs(fall) * d.shifting; // Sideways drift based on fall speed
+    
+    // Validate velocities are finite
+    if (!isFinite(fall) || !isFinite(drift)) {
+      console.warn('Invalid velocities for drop', i, 'fall:', fall, 'drift:', drift);
+      fall = 0;
+      drift = 0;
+    }
+    
+    // Steer toward wetter glass on either side, just ahead of the drop
+    if (this.enableWetness && fall > 0) {
+      const side = d.r + this.wetnessCell * this.dpr;
+      const aheadX = d.x + gx * d.r;
+      const aheadY = d.y + gy * d.r;
+      const wetPlus = this.wetnessAt(aheadX + gy * side, aheadY - gx * side);
+      const wetMinus = this.wetnessAt(aheadX - gy * side, aheadY + gx * side);
+      drift += (wetPlus - wetMinus) * this.wetnessSteer * dtScale;
+    }
+    
+    // Add wind effect (wind blows in screen space, whatever the tilt)
+    let windX = this.windX;
+    let windY = this.windY;
+    if (this.windField) {
+      const local = this.windField(d.x, d.y, this._windSample);
+      windX += local.x;
+      windY += local.y;
+    }
+    fall += (windX * gx + windY * gy) * dtScale;
+    drift += (windX * gy - windY * gx) * dtScale;
+    d.vx = gx * fall + gy * drift;
+    d.vy = gy * fall - gx * drift;
+    
+    // Velocity-based spread (inspired by RainDrop class)
+    const currentDropSpeed = Math.hypot(d.vx, d.vy);
+    if (currentDropSpeed > 5 && d.r > 0) {
+      const spreadByVelocity = this.velocitySpread * 2 * Math.atan(Math.abs(d.vy * 0.005)) / Math.PI;
+      d.spreadY = Math.max(d.spreadY, spreadByVelocity);
+    }
+    
+    // Shrink spread over time
+    d.spreadX *= Math.pow(this.shrinkRate, dtScale);
+    d.spreadY *= Math.pow(this.shrinkRate, dtScale);
+    
+    if (!d.nextTrailDistance) {
+      d.nextTrailDistance = 20 + this.rng.next() * 20;
+    }
+    
+    // Distance-based trail generation (inspired by RainDrop class)
+    const distanceMoved = Math.hypot(d.x - d.lastTrailX, d.y - d.lastTrailY);
+    if (distanceMoved > d.nextTrailDistance) {
+      this.layTrail(d, d.lastTrailX, d.lastTrailY);
+      d.lastTrailX = d.x;
+      d.lastTrailY = d.y;
+      d.nextTrailDistance = 20 + this.rng.next() * 20; // New random distance
+    }
+    
+    // variance (wind jitter)
+    if (this.gravityVariance) d.vx += (this.rng.next() * 2 - 1) * this.gravityVariance * dtScale * 0.1;
+    
+    // Apply drag and adhesion: adhesion brakes the fall, drag the sideways drift
+    fall = (d.vx * gx + d.vy * gy) * Math.pow(d.stick, dtScale);
+    drift = (d.vx * gy - d.vy * gx) * Math.pow(0.985, dtScale);
+    d.vx = gx * fall + gy * drift;
+    d.vy = gy * fall - gx * drift;
+    
+    // Flick momentum from the pointer, bled off by friction with the glass
+    const flickX = d.flickX || 0;
+    const flickY = d.flickY || 0;
+    if (flickX || flickY) {
+      const flickDamp = Math.pow(FLICK_FRICTION, dtScale);
+      d.flickX = Math.abs(flickX * flickDamp) < 0.01 ? 0 : flickX * flickDamp;
+      d.flickY = Math.abs(flickY * flickDamp) < 0.01 ? 0 : flickY * flickDamp;
+    }
+    
+    // Update position once per step, after all forces (semi-implicit Euler)
+    const newX = d.x + (d.vx + flickX) * dtScale;
+    const newY = d.y + (d.vy + flickY) * dtScale;
+    
+    // Validate new positions are finite
+    if (isFinite(newX) && isFinite(newY)) {
+      d.x = newX;
+      d.y = newY;
+    } else {
+      console.warn('Invalid position update for drop', i, 'newX:', newX, 'newY:', newY, 'vx:', d.vx, 'vy:', d.vy, 'dtScale:', dtScale);
+      // Reset to safe values
+      d.x = Math.max(0, Math.min(this.width, d.x || 0));
+      d.y = Math.max(0, Math.min(this.height, d.y || 0));
+      d.vx = 0;
+      d.vy = 0;
+    }
+  }
+
+  update(dt) {
+    try {
+      this.frame++;
+      const g = this.gravityBase;
+      const downX = Math.cos(this.gravityAngleRad);
+      const downY = Math.sin(this.gravityAngleRad);
+      if (this.enableClimate) {
+        this.updateClimate(dt);
+      } else {
+        this.evaporationScale = 1;
+      }
+      this.iceCount = 0;
+    for (let i = this.drops.length - 1; i >= 0; i--) {
+      const d = this.drops[i];
+        
+        // Validate drop data
+        if (!d || typeof d.x !== 'number' || typeof d.y !== 'number' || typeof d.r !== 'number') {
+          console.warn('Invalid drop data at index', i, d);
+          // flagged so compactDrops() frees its slot; anything that isn't a drop has none
+          if (d && typeof d === 'object') d._dead = true;
+          else this.drops.splice(i, 1);
+          continue;
+        }
+      if (d.ice > 0) this.iceCount++;
+      
+      // Store previous position for trail rendering
+      const prevX = d.x;
+      const prevY = d.y;
+      
+      // Drops under a finger follow the pointer, not gravity
+      if (d._held) {
+        d.prevX = prevX;
+        d.prevY = prevY;
+        continue;
+      }
+      
+      // Advanced physics system inspired by RainDrop class
+      const dtScale = dt * this.fps; // normalize to configured fps
+      
+      // Validate dtScale is finite
+      if (!isFinite(dtScale) || dtScale <= 0) {
+        console.warn('Invalid dtScale for drop', i, 'dtScale:', dtScale, 'dt:', dt, 'fps:', this.fps);
+        continue; // Skip this drop's update
+      }
+      
+      // Frozen drops melt first; a pellet in mid-bounce skips the glass physics entirely
+      if (d.ice > 0 && this.updateIce(d, dt, dtScale)) {
+        d.prevX = prevX;
+        d.prevY = prevY;
+        if (d.y - d.r > this.height + 5) d._dead = true;
+        continue;
+      }
+      const frozen = d.ice > 0;
+      // splash beads skid to their spot without wetting a path, and their mass alone times them out
+      const beaded = d._splashBead;
+      
+      // Random motion intervals (inspired by RainDrop class); ice keeps the grip updateIce gave it
+      if (d.nextRandomTime <= this.simTime && !frozen) {
+        d.nextRandomTime = this.simTime + (0.1 + this.rng.next() * 0.4); // motionInterval
+        this.randomMotion(d);
+      }
+      
+      // Evaporation (mass decreases over time) - prevent negative mass (skip for test drops and ice)
+      if (!d._testDrop && !frozen) {
+        d.mass = Math.max(0, d.mass - this.evaporate * this.evaporationScale * dtScale);
+        if (d.mass <= 0) {
+          d._dead = true;
+        }
+      }
+      
+      // Skip physics calculations for dead drops
+      if (d._dead || d.mass <= 0) {
+        continue;
+      }
+      
+      // Initialize resistance and shifting if they don't exist (for backward compatibility)
+      if (!d.resistance || !isFinite(d.resistance)) {
+        d.resistance = 0;
+      }
+      if (!d.shifting || !isFinite(d.shifting)) {
+        d.shifting = 0;
+      }
+      
+      // Wet glass holds a drop less firmly
+      const wet = this.enableWetness ? this.wetnessAt(d.x, d.y) : 0;
+      
+      // Advanced physics calculation with validation
+      const grip = d.resistance * (1 - wet * this.wetnessSlip);
+      const force = this.gravityBase * d.mass - grip;
+      const acceleration = force / d.mass;
+      
+      // Validate physics calculations (skip for test drops)
+      if (!d._testDrop && (!isFinite(force) || !isFinite(acceleration) || !isFinite(d.mass) || d.mass <= 0)) {
+        console.warn('Invalid physics values for drop', i, 'force:', force, 'acceleration:', acceleration, 'mass:', d.mass);
+        d._dead = true; // Mark as dead instead of trying to fix
+        continue;
+      }
+      
+      // A still drop whose grip beats gravity and the wind together stays put, so a glass
+      // covered in resting beads costs little more than their evaporation. Pinned beads (no
+      // random motion) don't feel gravityVariance's jitter
+      let resting = force <= 0 && !d.vx && !d.vy && !d.flickX && !d.flickY &&
+        (d.nextRandomTime === Infinity || !this.gravityVariance);
+      if (resting && (this.windX || this.windY || this.windField)) {
+        let windX = this.windX;
+        let windY = this.windY;
+        if (this.windField) {
+          const local = this.windField(d.x, d.y, this._windSample);
+          windX += local.x;
+          windY += local.y;
+        }
+        resting = d.mass * Math.hypot(g * downX + windX, g * downY + windY) <= grip;
+      }
+      if (resting) {
+        const shrink = Math.pow(this.shrinkRate, dtScale);
+        d.spreadX *= shrink;
+        d.spreadY *= shrink;
+      } else {
+        this.advance(d, acceleration, dtScale, i);
+      }
+      
+      if (this.obstacles.length) this.deflect(d);
+      
+      // Advanced physics: evaporation and shrinking (inspired by RaindropFX) (skip for test drops and ice)
+      if (!d._testDrop && !frozen && !beaded) {
+        if (d._isTrailDroplet) {
+          // Trail droplets evaporate faster
+          d.r = Math.max(0, d.r - this.evaporate * this.evaporationScale * dtScale * 0.1);
+          if (d.r <= 0.5) {
+            d._dead = true;
+          }
+        } else {
+          // Regular droplets shrink slowly
+          d.r = Math.max(0, d.r - this.shrinkRate * this.evaporationScale * dtScale);
+          if (d.r <= 1) {
+            d._dead = true;
+          }
+        }
+      }
+      
+      // Breakup: over the size or speed limit, shed a bead every few px of travel
+      if (!d._testDrop && !d._dead && !frozen && (d.r > this.breakupRadius * this.dpr || Math.hypot(d.vx, d.vy) > this.breakupSpeed * this.dpr)) {
+        d._shedTravel = (d._shedTravel || 0) + Math.hypot(d.x - prevX, d.y - prevY);
+        if (d._shedAt === undefined) d._shedAt = (this.shedDistance[0] + this.rng.next() * (this.shedDistance[1] - this.shedDistance[0])) * this.dpr;
+        if (d._shedTravel > d._shedAt && this.drops.length < this.maxDrops) {
+          this.shedDroplet(d);
+          d._shedTravel = 0;
+          d._shedAt = undefined;
+        }
+      }
+      
+      // Velocity-based stretch (inspired by RaindropFX)
+      const stretchSpeed = Math.hypot(d.vx, d.vy);
+      if (stretchSpeed > 5 && d.r > 0) {
+        d.stretch = 1 + Math.min(stretchSpeed / (10 * d.r), 1.1) * this.velocitySpread;
+      } else {
+        d.stretch = 1;
+      }
+      
+      // Lay trail if drop moved significantly (ice leaves the glass dry)
+      if (!frozen && !beaded && (Math.abs(d.x - prevX) > 0.5 || Math.abs(d.y - prevY) > 0.5)) {
+        this.layTrail(d, prevX, prevY);
+        this.wetPath(prevX, prevY, d.x, d.y, d.r);
+      }
+      
+      // Update previous position
+      d.prevX = prevX;
+      d.prevY = prevY;
+      const alongGravity = d.vx * Math.cos(this.gravityAngleRad) + d.vy * Math.sin(this.gravityAngleRad);
+      d.stretch = 1 + Math.min(alongGravity / (10 * d.r), 1.1);
+      // mark shape dirty when speed low or very low acceleration
+      const speed = Math.hypot(d.vx, d.vy);
+      d._shapeDirty = speed < 1.5 * this.dpr;
+      // Position already updated in the new physics system above
+      
+      // the sill catches drops that reach it (drips falling off it pass through)
+      if (this.enableSill && !d._testDrop && !d._dripped) {
+        const edge = this.sillEdgeFor(d);
+        if (edge) {
+          this.collectOnSill(edge, edge === 'bottom' ? d.x : d.y, d.r);
+          d._dead = true;
+          continue;
+        }
+      }
+      
+      // remove only when fully off-screen; allow reach to bottom (skip for test drops)
+      // flicked drops can also leave through the sides
+      if (!d._testDrop && (d.y - d.r > this.height + 5 || d.x + d.r < -5 || d.x - d.r > this.width + 5)) {
+        d._dead = true;
+        continue;
+      }
+      // mark for smudge trail if moved enough
+      if (this.enableSmudgeTrail) {
+        if (d._trailY === undefined) d._trailY = d.y;
+        if (Math.abs(d.y - d._trailY) > this.trailThresholdPx) {
+          d._leaveTrail = true;
+          d._trailY = d.y;
+        }
+      }
+      // TRAIL_DROPS-like micro-drop trail: probabilistic and size-scaled
+      if (this.microTrails && this.enableSmudgeTrail && !frozen && !beaded) {
+        if (!d._lastTrailSpawnY) d._lastTrailSpawnY = d.y;
+        const dist = Math.abs(d.y - d._lastTrailSpawnY);
+        const threshold = Math.max(10 * this.dpr, d.r * 0.6);
+        if (dist > threshold && this.rng.next() < 0.25 && this.drops.length < this.maxDrops) {
+          const microR = Math.max(1.5 * this.dpr, Math.ceil(d.r / 6));
+          if (!this.isExcluded(d.x, d.y - d.r - 4 * this.dpr, microR)) this.spawn(d.x, d.y - d.r - 4 * this.dpr, microR);
+          d._lastTrailSpawnY = d.y;
+        }
+      }
+    }
+
+    // merging: repeat while anything merged so a chain of touching drops settles this frame
+    // instead of creeping together one pair per frame
+    for (let pass = 0; pass < MAX_MERGE_PASSES && this.mergePass(); pass++);
+    // drops that merged away, dried up or left the glass are flagged, not spliced
+    this.compactDrops();
+
+    // Update condensation droplets (skip in test mode)
+    if (this.enableCondensation && !this.testMode) {
+      for (let i = this.condensation.length - 1; i >= 0; i--) {
+        const c = this.condensation[i];
+        c.age += dt;
+        c.twinkle += dt * 3; // sparkle animation
+        
+        // Fade out over time
+        c.life -= dt * 0.1;
+        if (c.life <= 0) {
+          this.condensation.splice(i, 1);
+        }
+      }
+      
+      // Spawn new condensation occasionally
+      if (this.rng.next() < 0.01) { // 1% chance per frame (reduced from 2%)
+        this.spawnCondensation();
+      }
+    }
+
+    if (this.enableWetness) this.dryWetness(dt * this.fps);
+    if (this.enableSill) this.updateSill(dt * this.fps);
+
+    // keep population (preset-based spawn)
+    this.spawnFromPresets(dt);
+    
+    this.simTime += dt;
+    
+    } catch (error) {
+      console.error('Error in RainSimulation.update():', error);
+      console.error('Stack trace:', error.stack);
+      // Try to recover by clearing problematic drops
+      this.drops = this.drops.filter(d => d && typeof d.x === 'number' && typeof d.y === 'number' && typeof d.r === 'number');
+      this.store.reclaim(this.drops);
+    }
+  }
+
+  // Keep the first `count` drops; the rest are flagged and leave, slots freed, at the next step
+  trimDrops(count) {
+    for (let i = Math.max(0, count); i < this.drops.length; i++) this.drops[i]._dead = true;
+  }
+
+  // Drop flagged drops from the list in place and recycle their slots. Slots of drops a caller
+  // cut from the list itself (drops.length = n, drops = []) are found and freed here too
+  compactDrops() {
+    const drops = this.drops;
+    let kept = 0;
+    for (let i = 0; i < drops.length; i++) {
+      const d = drops[i];
+      if (d._dead) this.store.release(d);
+      else drops[kept++] = d;
+    }
+    drops.length = kept;
+    if (this.store.size !== kept) this.store.reclaim(drops);
+  }
+
+
+  // One sweep over touching pairs; returns how many drops were absorbed
+  mergePass() {
+    let merged = 0;
+    if (this.enableCollisions) {
+      const drops = this.drops;
+      const n = drops.length;
+      const cell = this.collisionCell * this.dpr;
+      if (!isFinite(cell) || cell <= 0) {
+        console.warn('Invalid collision cell size', cell);
+        return 0;
+      }
+      const cols = Math.max(1, Math.ceil(this.width / cell));
+      const rows = Math.max(1, Math.ceil(this.height / cell));
+      const cells = cols * rows;
+      const grid = this.collisionGrid(cols, rows, n);
+      const { start, next, items, scan, shape } = grid;
+      // bin drops: count them per cell, turn the counts into offsets, then lay the indices
+      // out cell by cell (ascending within a cell, so pairs are visited in a stable order)
+      start.fill(0);
+      for (let i = 0; i < n; i++) {
+        const d = drops[i];
+        const o = i * 6;
+        scan[o] = -1;
+        if (d._dead) continue;
+        
+        // Validate drop coordinates
+        if (!isFinite(d.x) || !isFinite(d.y)) {
+          console.warn('Invalid drop coordinates for drop', i, 'x:', d.x, 'y:', d.y);
+          continue;
+        }
+        
+        const cx = Math.min(cols - 1, Math.max(0, Math.floor(d.x / cell)));
+        const cy = Math.min(rows - 1, Math.max(0, Math.floor(d.y / cell)));
+        start[cy * cols + cx + 1]++;
+        // cells to search: the 3x3 block around the drop (wider for drops bigger than a
+        // cell), stretched over the path it travelled this step so a fast drop finds
+        // every bead it ran through
+        const px = isFinite(d.prevX) ? d.prevX : d.x;
+        const py = isFinite(d.prevY) ? d.prevY : d.y;
+        const pcx = Math.floor(px / cell);
+        const pcy = Math.floor(py / cell);
+        const margin = 1 + Math.floor(d.r * 1.5 / cell);
+        scan[o] = cx;
+        scan[o + 1] = cy;
+        scan[o + 2] = Math.max(0, Math.min(cx, pcx) - margin);
+        scan[o + 3] = Math.min(cols - 1, Math.max(cx, pcx) + margin);
+        scan[o + 4] = Math.max(0, Math.min(cy, pcy) - margin);
+        scan[o + 5] = Math.min(rows - 1, Math.max(cy, pcy) + margin);
+        this.recordShape(shape, i, d);
+      }
+      for (let c = 0; c < cells; c++) start[c + 1] += start[c];
+      next.set(start.subarray(0, cells));
+      for (let i = 0; i < n; i++) {
+        if (scan[i * 6] >= 0) items[next[scan[i * 6 + 1] * cols + scan[i * 6]]++] = i;
+      }
+      // check each drop's scan range; a pair is tested once, by whichever drop's range
+      // covers the other (the lower index when both do)
+      for (let iA = 0; iA < n; iA++) {
+        const a = drops[iA];
+        const oA = iA * 6;
+        if (a._dead || scan[oA] < 0) continue;
+        const ax = scan[oA];
+        const ay = scan[oA + 1];
+        for (let gy = scan[oA + 4]; gy <= scan[oA + 5] && !a._dead; gy++) {
+          for (let gx = scan[oA + 2]; gx <= scan[oA + 3] && !a._dead; gx++) {
+            const c = gy * cols + gx;
+            for (let k = start[c]; k < start[c + 1] && !a._dead; k++) {
+              const iB = items[k];
+              if (iB === iA) continue;
+              const b = drops[iB];
+              if (b._dead) continue; // already merged this step
+              const oB = iB * 6;
+              if (iB < iA && ax >= scan[oB + 2] && ax <= scan[oB + 3] &&
+                  ay >= scan[oB + 4] && ay <= scan[oB + 5]) continue; // b already tested this pair
+              // cheap bound first: further apart than either ran plus the contact reach means
+              // touching() is false, and most neighbours in a dense field of beads are
+              const sA = iA * 4;
+              const sB = iB * 4;
+              const dx = shape[sA] - shape[sB];
+              const dy = shape[sA + 1] - shape[sB + 1];
+              const bound = (shape[sA + 2] + shape[sB + 2]) * 0.75 + Math.max(shape[sA + 3], shape[sB + 3]);
+              if (dx * dx + dy * dy >= bound * bound) continue;
+              if (this.touching(a, b)) {
+                if (this.mergeDrops(a, b)) {
+                  merged++;
+                  // the survivor moved and grew
+                  this.recordShape(shape, iA, a);
+                  this.recordShape(shape, iB, b);
+                }
+              }
+            }
+          }
+        }
+      }
+    } else {
+      // fallback O(n^2)
+      for (let i = 0; i < this.drops.length; i++) {
+        for (let j = i + 1; j < this.drops.length; j++) {
+          const a = this.drops[i], b = this.drops[j];
+          if (a._dead || b._dead) continue;
+          if (this.touching(a, b)) {
+            if (this.mergeDrops(a, b)) merged++;
+          }
+        }
+      }
+    }
+    return merged;
+  }
+
+  // Typed-array spatial hash for mergePass, reused while the grid size holds and the drops fit:
+  // start[c]..start[c + 1] indexes the slice of `items` holding cell c's drops, `next` is the
+  // fill cursor, `scan` holds six ints per drop (cell x/y, then the x0, x1, y0, y1 it searches)
+  // and `shape` four floats (see recordShape)
+  collisionGrid(cols, rows, count) {
+    const grid = this.grid;
+    if (grid && grid.cols === cols && grid.rows === rows && grid.items.length >= count) return grid;
+    const capacity = Math.max(count, MIN_DROP_CAPACITY, grid ? grid.items.length * 2 : 0);
+    this.grid = {
+      cols,
+      rows,
+      start: new Int32Array(cols * rows + 1),
+      next: new Int32Array(cols * rows),
+      items: new Int32Array(capacity),
+      scan: new Int32Array(capacity * 6),
+      shape: new Float32Array(capacity * 4)
+    };
+    return this.grid;
+  }
+
+  // x, y, r and distance travelled this step of drop i, packed for mergePass's bound check
+  recordShape(shape, i, d) {
+    shape[i * 4] = d.x;
+    shape[i * 4 + 1] = d.y;
+    shape[i * 4 + 2] = d.r;
+    shape[i * 4 + 3] = pathLength(d);
+  }
+
+  // Contact test, swept: besides overlapping now, a drop touches a bead that sat anywhere
+  // along the path it travelled this step, so fast drops can't tunnel through beads
+  touching(a, b) {
+    if (a.hail || b.hail) return false; // pellets roll past water instead of coalescing
+    const reach = (a.r + b.r) * 0.75;
+    const apart = Math.hypot(a.x - b.x, a.y - b.y);
+    if (apart < reach) return true;
+    // beads born this step (trail droplets, shed beads) lie on their parent's path on purpose
+    if (a.born === this.frame || b.born === this.frame) return false;
+    // a path ends at its drop, so it can't pass within reach of a drop further off than it ran
+    if (apart - Math.max(pathLength(a), pathLength(b)) >= reach) return false;
+    return distanceToPath(a, b.x, b.y) < reach || distanceToPath(b, a.x, a.y) < reach;
+  }
+
+  // Coalesce two touching drops; a drop held by the pointer absorbs the other and stays put.
+  // Returns the absorbed drop (flagged _dead), or null when both are held.
+  // Volume (r³) and momentum are conserved and the position is the centre of mass, so a chain
+  // of merges in one step ends in the same drop whatever order the pairs are visited in.
+  mergeDrops(a, b) {
+    if (a._held && b._held) return null; // two fingers: keep their drops apart
+    const ma = (a.density || 1) * a.r ** 3;
+    const mb = (b.density || 1) * b.r ** 3;
+    // the heavier drop lives on (its path and trail state carry over) unless a finger holds the other
+    const keep = b._held || (!a._held && mb > ma) ? b : a;
+    const gone = keep === a ? b : a;
+    const total = ma + mb;
+    const wa = ma / total;
+    const wb = mb / total;
+    if (!keep._held) {
+      keep.x = a.x * wa + b.x * wb;
+      keep.y = a.y * wa + b.y * wb;
+      keep.vx = a.vx * wa + b.vx * wb;
+      keep.vy = a.vy * wa + b.vy * wb;
+      keep.flickX = (a.flickX || 0) * wa + (b.flickX || 0) * wb;
+      keep.flickY = (a.flickY || 0) * wa + (b.flickY || 0) * wb;
+      keep.shifting = (a.shifting || 0) * wa + (b.shifting || 0) * wb;
+    }
+    keep.r = Math.cbrt(a.r ** 3 + b.r ** 3);
+    keep.density = total / keep.r ** 3;
+    keep.mass = (a.mass || 0) + (b.mass || 0); // water left before evaporation takes the drop
+    keep.stick = a.stick * wa + b.stick * wb;
+    // the coalescence jolt breaks the contact line; random motion may pin the drop again later.
+    // Two splash beads just make a bigger bead
+    keep._splashBead = a._splashBead && b._splashBead;
+    keep.resistance = keep._splashBead ? this.gravityBase * keep.mass * BEAD_PIN : 0;
+    keep._isTrailDroplet = a._isTrailDroplet && b._isTrailDroplet;
+    if (keep._beading && keep.r >= this.slideThreshold * this.dpr) {
+      // beads that coalesce past slideThreshold run from here on, as updateClimate lets them
+      keep._beading = false;
+      keep.nextRandomTime = this.simTime;
+    }
+    if (a.ice || b.ice) keep.ice = ((a.ice || 0) * ma + (b.ice || 0) * mb) / total; // slush
+    keep._shapeDirty = true;
+    gone._dead = true;
+    return gone;
+  }
+
+  // Breakup: a heavy or fast drop leaves a bead behind, giving up that bead's volume and water
+  shedDroplet(parent) {
+    const share = this.shedSize[0] + this.rng.next() * (this.shedSize[1] - this.shedSize[0]);
+    const r = parent.r * share;
+    if (r < this.dpr) return null;
+    const speed = Math.hypot(parent.vx, parent.vy);
+    // behind the drop: against its motion, or against gravity when it barely moves
+    const bx = speed > 0.1 ? -parent.vx / speed : -Math.cos(this.gravityAngleRad);
+    const by = speed > 0.1 ? -parent.vy / speed : -Math.sin(this.gravityAngleRad);
+    const offset = parent.r * 0.9 + r;
+    if (this.isExcluded(parent.x + bx * offset, parent.y + by * offset, r)) return null;
+    const bead = this.spawn(parent.x + bx * offset, parent.y + by * offset, r);
+    const volume = parent.r ** 3;
+    const shed = r ** 3 / volume;
+    bead.vx = 0;
+    bead.vy = 0;
+    bead.mass = parent.mass * shed;
+    bead.stick = this.adhesionBase + this.rng.next() * 0.06; // beads cling where they are left
+    parent.mass -= bead.mass;
+    parent.r = Math.cbrt(volume - r ** 3);
+    parent._shapeDirty = true;
+    return bead;
+  }
+
+  spawnFromPresets(dt) {
+    if (this.drops.length >= this.maxDrops) return;
+    const limit = this.maxDrops - this.drops.length;
+    for (let p = 0; p < this.presets.length; p++) {
+      const preset = this.presets[p];
+      // expected spawns this frame
+      this._spawnAcc[p] += (preset.rate || 0) * dt;
+      while (this._spawnAcc[p] >= 1 && this.drops.length < this.maxDrops) {
+        this._spawnAcc[p] -= 1;
+        // Skip normal rain generation during test mode
+        if (this.testMode) {
+          break;
+        }
+        const r = (preset.min + this.rng.next() * (preset.base || 1)) * this.dpr;
+        if (this.enableImpacts) {
+          this.impact(r);
+          continue;
+        }
+        const drop = this.spawn(undefined, undefined, r);
+        if (!this.passesDensity(drop.x)) {
+          this.drops.pop();
+          this.store.release(drop);
+        } else if (this.precipitation !== 'rain') {
+          this.freezeDrop(drop);
+        }
+      }
+    }
+  }
+
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RainSimulation, SIM_DEFAULTS };
+} else {
+  window.RainSimulation = RainSimulation;
+}
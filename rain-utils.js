@@ -64,6 +64,87 @@ class Rect {
   }
 }
 
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * Without a seed it defers to Math.random(), so unseeded runs behave as before.
+ * Two generators with the same seed produce the same sequence.
+ */
+class SeededRandom {
+  constructor(seed = null) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reset the sequence
+   * @param {number|string|null} seed - Any number or string; null/'' disables seeding
+   */
+  setSeed(seed) {
+    this.seed = (seed === null || seed === undefined || seed === '') ? null : seed;
+    this.state = this.seed === null ? 0 : hashSeed(this.seed);
+  }
+
+  /**
+   * @returns {number} - Value in [0, 1)
+   */
+  next() {
+    if (this.seed === null) return Math.random();
+    this.state = (this.state + 0x6D2B79F5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Independent stream derived from this seed, e.g. one per consumer
+   * @param {string} label - Stream name
+   * @returns {SeededRandom}
+   */
+  fork(label) {
+    return new SeededRandom(this.seed === null ? null : `${this.seed}:${label}`);
+  }
+}
+
+/**
+ * Hash a number or string seed to a 32-bit integer (FNV-1a)
+ * @param {number|string} seed - Seed value
+ * @returns {number} - 32-bit state
+ */
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Shared generator, seeded from ?seed= when present
+const rng = new SeededRandom(
+  typeof window !== 'undefined' ? new URLSearchParams(window.location.search).get('seed') : null
+);
+
+/**
+ * Reseed the shared generator
+ * @param {number|string|null} seed - Seed value, null for Math.random()
+ */
+function setSeed(seed) {
+  rng.setSeed(seed);
+}
+
+/**
+ * Create a generator for one consumer: a stream forked from the explicit seed if given,
+ * otherwise from the shared generator (deterministic whenever ?seed= is set)
+ * @param {number|string|null} seed - Optional seed
+ * @param {string} label - Stream name, keeps consumers sharing a seed independent
+ * @returns {SeededRandom}
+ */
+function createRandom(seed = null, label = 'default') {
+  const base = (seed === null || seed === undefined || seed === '') ? rng : new SeededRandom(seed);
+  return base.fork(label);
+}
+
 // Jitter option interface
 class JitterOption {
   constructor(base, jitter) {
@@ -75,23 +156,24 @@ class JitterOption {
 /**
  * Generate jittered values with natural variation
  * @param {JitterOption} option - Object with base and jitter values
+ * @param {SeededRandom} [source] - Generator to draw from (defaults to the shared one)
  * @returns {number|Vec2} - Jittered value
  */
-function randomJittered(option) {
+function randomJittered(option, source = rng) {
   if (typeof option.base === 'number') {
     // For numbers: base ± jitter
-    return option.base + option.jitter * (Math.random() * 2 - 1);
+    return option.base + option.jitter * (source.next() * 2 - 1);
   } else if (option.base instanceof Vec2) {
     // For Vec2: jitter each component
     return new Vec2(
-      option.base.x + option.jitter.x * (Math.random() * 2 - 1),
-      option.base.y + option.jitter.y * (Math.random() * 2 - 1)
+      option.base.x + option.jitter.x * (source.next() * 2 - 1),
+      option.base.y + option.jitter.y * (source.next() * 2 - 1)
     );
   } else if (Array.isArray(option.base)) {
     // For arrays: jitter each element
     return [
-      option.base[0] + option.jitter[0] * (Math.random() * 2 - 1),
-      option.base[1] + option.jitter[1] * (Math.random() * 2 - 1)
+      option.base[0] + option.jitter[0] * (source.next() * 2 - 1),
+      option.base[1] + option.jitter[1] * (source.next() * 2 - 1)
     ];
   }
   return option.base;
@@ -100,12 +182,13 @@ function randomJittered(option) {
 /**
  * Generate random point within a rectangle
  * @param {Rect} rect - Rectangle to sample from
+ * @param {SeededRandom} [source] - Generator to draw from (defaults to the shared one)
  * @returns {Vec2} - Random point within rectangle
  */
-function randomInRect(rect) {
+function randomInRect(rect, source = rng) {
   return new Vec2(
-    rect.x + Math.random() * rect.width,
-    rect.y + Math.random() * rect.height
+    rect.x + source.next() * rect.width,
+    rect.y + source.next() * rect.height
   );
 }
 
@@ -149,20 +232,22 @@ function tentNoise(t, seed) {
 
 /**
  * Generate random value in (-1, 1)
+ * @param {SeededRandom} [source] - Generator to draw from (defaults to the shared one)
  * @returns {number} - Random value
  */
-function random() {
-  return Math.random() * 2 - 1;
+function random(source = rng) {
+  return source.next() * 2 - 1;
 }
 
 /**
  * Generate random value in range [min, max]
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {SeededRandom} [source] - Generator to draw from (defaults to the shared one)
  * @returns {number} - Random value in range
  */
-function randomRange(min, max) {
-  return Math.random() * (max - min) + min;
+function randomRange(min, max, source = rng) {
+  return source.next() * (max - min) + min;
 }
 
 /**
@@ -181,10 +266,11 @@ function organicShapeVariation(position, seed) {
  * Generate natural drop size variation
  * @param {number} baseSize - Base drop size
  * @param {number} variation - Variation amount
+ * @param {SeededRandom} [source] - Generator to draw from (defaults to the shared one)
  * @returns {number} - Varied drop size
  */
-function naturalDropSize(baseSize, variation = 0.3) {
-  const jittered = randomJittered(new JitterOption(baseSize, baseSize * variation));
+function naturalDropSize(baseSize, variation = 0.3, source = rng) {
+  const jittered = randomJittered(new JitterOption(baseSize, baseSize * variation), source);
   return Math.max(0.5, jittered); // Ensure minimum size
 }
 
@@ -192,10 +278,11 @@ function naturalDropSize(baseSize, variation = 0.3) {
  * Generate natural drop speed variation
  * @param {number} baseSpeed - Base drop speed
  * @param {number} variation - Variation amount
+ * @param {SeededRandom} [source] - Generator to draw from (defaults to the shared one)
  * @returns {number} - Varied drop speed
  */
-function naturalDropSpeed(baseSpeed, variation = 0.2) {
-  const jittered = randomJittered(new JitterOption(baseSpeed, baseSpeed * variation));
+function naturalDropSpeed(baseSpeed, variation = 0.2, source = rng) {
+  const jittered = randomJittered(new JitterOption(baseSpeed, baseSpeed * variation), source);
   return Math.max(0.1, jittered); // Ensure minimum speed
 }
 
@@ -212,10 +299,14 @@ function organicTrailIntensity(age, seed) {
 }
 
 // Export all utilities
-window.RainUtils = {
+const rainUtilsExports = {
   Vec2,
   Rect,
   JitterOption,
+  SeededRandom,
+  rng,
+  setSeed,
+  createRandom,
   randomJittered,
   randomInRect,
   goldNoise,
@@ -230,4 +321,10 @@ window.RainUtils = {
   PHI
 };
 
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = rainUtilsExports;
+} else {
+  window.RainUtils = rainUtilsExports;
+}
+
 console.log('🌧️ Rain Utils loaded - Organic enhancement functions available!');
@@ -40,6 +40,8 @@ function initThreeJS() {
   renderer.setSize(window.innerWidth, window.innerHeight);
   renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
   
+  setupContextGuard();
+  
   console.log('✅ SHADER 3: Three.js initialized');
   
   // Handle window resize
@@ -60,12 +62,43 @@ function onWindowResize() {
   }
 }
 
+// Context loss handling: pause on loss, rebuild the plane on restore, CSS droplets on failure
+let contextGuard = null;
+
+function setupContextGuard() {
+  if (typeof window.GLContextGuard === 'undefined') return;
+  
+  contextGuard = new window.GLContextGuard(waterCanvas, renderer.getContext(), {
+    name: 'water',
+    onLost: () => {
+      stopAnimation();
+    },
+    onRestored: async () => {
+      // three.js re-initialises its own GL state first; recreate geometry and shaders on top
+      disposeWaterPlane();
+      await createWaterShaderPlane();
+      animate();
+      console.log('✅ Water shader plane rebuilt after context restore');
+    },
+    onFailed: () => {
+      // Fallback: CSS droplet system in menu.css
+      stopAnimation();
+      disposeWaterPlane();
+      waterCanvas.remove();
+      console.log('🌊 Water shader disabled - using CSS layer');
+    }
+  });
+}
+
 // SHADER 7: Test basic shader material loads correctly
 let waterPlane;
 let waterMaterial;
 let startTime = Date.now();
+let animationId = null;
+let shaderSources = null; // fetched once, reused when rebuilding after context restore
 
 async function loadShaderFiles() {
+  if (shaderSources) return shaderSources;
   console.log('🌊 SHADER 7: Loading shader files...');
   
   try {
@@ -78,7 +111,8 @@ async function loadShaderFiles() {
     const fragmentShader = await fragmentResponse.text();
     
     console.log('✅ SHADER 7: Shader files loaded successfully');
-    return { vertexShader, fragmentShader };
+    shaderSources = { vertexShader, fragmentShader };
+    return shaderSources;
   } catch (error) {
     console.error('❌ SHADER 7: Failed to load shader files:', error);
     return null;
@@ -134,8 +168,25 @@ function createFallbackPlane() {
   console.log('✅ SHADER 7: Fallback plane added to scene');
 }
 
+function disposeWaterPlane() {
+  if (!waterPlane) return;
+  scene.remove(waterPlane);
+  waterPlane.geometry.dispose();
+  waterPlane.material.dispose();
+  waterPlane = null;
+  waterMaterial = null;
+}
+
+function stopAnimation() {
+  if (animationId) {
+    cancelAnimationFrame(animationId);
+    animationId = null;
+  }
+}
+
 function animate() {
-  requestAnimationFrame(animate);
+  if (contextGuard?.isLost || contextGuard?.hasFailed) return;
+  animationId = requestAnimationFrame(animate);
   
   // Update time uniform for shader animation
   if (waterMaterial && waterMaterial.uniforms && waterMaterial.uniforms.uTime) {
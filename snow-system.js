@@ -6,8 +6,17 @@ console.log('Snow system - initializing...');
 
 import * as THREE from 'three';
 
+// Falling particles per precipitation type: the share that falls as ice pellets, how much
+// faster than flakes they fall and how big they look. Pellets barely sway in the wind
+const PRECIPITATION = {
+  snow: { iceShare: 0, iceFall: 1, iceSize: 1 },
+  sleet: { iceShare: 0.5, iceFall: 3, iceSize: 0.5 },
+  hail: { iceShare: 1, iceFall: 5, iceSize: 0.6 }
+};
+
 class SnowSystem {
-  constructor(containerId) {
+  // options.seed (or ?seed=) makes flake positions and the intensity schedule reproducible
+  constructor(containerId, options = {}) {
     this.container = document.getElementById(containerId);
     if (!this.container) {
       console.error(`Snow container #${containerId} not found`);
@@ -28,6 +37,8 @@ class SnowSystem {
       speedH: 0.8,            // Horizontal wind speed
       radiusX: 3.0,           // Balanced drift radius
       radiusZ: 3.0,           // Balanced drift radius
+      windDrift: 6.0,         // world units per second the flakes travel per unit of shared wind
+      windSway: 0.5,          // extra drift radius per unit of wind (gusts whip the flakes about)
       size: this.isMobile ? 80.0 : 100.0,            // Smaller particles on mobile
       scale: 4.0,             // Distance scale for perspective
       opacity: 0.4,           // Lower opacity for atmospheric depth
@@ -42,15 +53,28 @@ class SnowSystem {
     
     console.log(`Snow system - ${this.isMobile ? 'Mobile' : 'Desktop'} mode (${this.config.particleCount} particles)`);
     
+    // Seeded randomness shared with the rain (RainUtils); plain Math.random() without it
+    this.rng = window.RainUtils ? window.RainUtils.createRandom(options.seed, 'snow') : { next: Math.random };
+
     // Dynamic state
     this.currentIntensity = 0.5;  // Start at medium
     this.targetIntensity = 0.5;
     this.intensityChangeTimer = 0;
+    this.nextChangeInterval = this.pickChangeInterval();
+
+    // Shared wind (weather-controller.js); the offset is integrated so gusts carry the flakes along
+    this.wind = { x: 0, y: 0 };
+    this.windOffset = 0;
+    this.lastWindTime = 0;
+
+    // Snow, or sleet and hail pellets mixed in (setPrecipitation)
+    this.precipitation = PRECIPITATION[options.precipitation] ? options.precipitation : 'snow';
 
     this.scene = null;
     this.camera = null;
     this.renderer = null;
     this.particleSystem = null;
+    this.flakes = null; // positions, speeds and ice shares, kept across context restores
     this.clock = new THREE.Clock();
     this.isRunning = false;
     this.animationId = null;
@@ -79,6 +103,9 @@ class SnowSystem {
     this.renderer.setPixelRatio(window.devicePixelRatio);
     this.container.appendChild(this.renderer.domElement);
 
+    // Pause on GPU reset and rebuild particles on restore
+    this.setupContextGuard();
+
     // Create particle system with custom shaders
     this.createParticleSystem();
 
@@ -88,26 +115,42 @@ class SnowSystem {
     console.log('Snow system initialized with', this.config.particleCount, 'particles');
   }
 
+  setupContextGuard() {
+    if (typeof window.GLContextGuard === 'undefined') return;
+
+    this.contextGuard = new window.GLContextGuard(this.renderer.domElement, this.renderer.getContext(), {
+      name: 'snow',
+      onLost: () => {
+        this.resumeAfterRestore = this.isRunning;
+        this.stop();
+      },
+      onRestored: () => {
+        // three.js re-initialises its own GL state first; recreate our buffers, shaders and texture
+        this.disposeParticleSystem();
+        this.createParticleSystem();
+        if (this.resumeAfterRestore) this.start();
+        console.log('Snow system - rebuilt after context restore');
+      },
+      onFailed: (reason) => {
+        // Hide the dead canvas so the CSS page background shows through
+        this.stop();
+        this.renderer.domElement.style.display = 'none';
+        this.container.dispatchEvent(new CustomEvent('snowfallback', { detail: { reason } }));
+      }
+    });
+  }
+
   createParticleSystem() {
-    const { particleCount, width, height, depth } = this.config;
+    const { width, height } = this.config;
 
-    // Geometry - create random positions (VARIED Y for natural distribution)
+    // Geometry - the flakes are drawn once; a rebuild after context loss reuses them so it
+    // takes nothing from the seeded rng (the intensity schedule stays reproducible)
     const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(particleCount * 3);
-    const speeds = new Float32Array(particleCount); // Per-particle speed variation
-
-    for (let i = 0; i < particleCount; i++) {
-      const i3 = i * 3;
-      positions[i3] = (Math.random() - 0.5) * width;        // x: random horizontal
-      positions[i3 + 1] = Math.random() * height;           // y: FULL random height (0 to height)
-      positions[i3 + 2] = (Math.random() - 0.5) * depth;    // z: random depth
-      
-      // Each particle has unique speed (0.5x to 1.5x base speed)
-      speeds[i] = 0.5 + Math.random();
-    }
+    const { positions, speeds, ice } = this.flakes || (this.flakes = this.createFlakes());
 
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
     geometry.setAttribute('speed', new THREE.BufferAttribute(speeds, 1)); // Custom attribute
+    geometry.setAttribute('ice', new THREE.BufferAttribute(ice, 1));
 
     // Load snowflake texture
     const textureLoader = new THREE.TextureLoader();
@@ -122,12 +165,17 @@ class SnowSystem {
         uSpeedH: { value: this.config.speedH },
         uRadiusX: { value: this.config.radiusX },
         uRadiusZ: { value: this.config.radiusZ },
+        uWidth: { value: width },
+        uWindOffset: { value: 0.0 },
         uSize: { value: this.config.size },
         uScale: { value: this.config.scale },
         uOpacity: { value: this.config.opacity },
         uColor: { value: new THREE.Color(0xffffff) },
         uTexture: { value: snowflakeTexture },
         uIntensity: { value: 1.0 }, // Dynamic intensity multiplier
+        uIceShare: { value: 0.0 },
+        uIceFall: { value: 1.0 },
+        uIceSize: { value: 1.0 },
       },
       vertexShader: `
         uniform float uTime;
@@ -136,14 +184,28 @@ class SnowSystem {
         uniform float uSpeedH;
         uniform float uRadiusX;
         uniform float uRadiusZ;
+        uniform float uWidth;
+        uniform float uWindOffset;
         uniform float uSize;
         uniform float uScale;
         uniform float uIntensity;
+        uniform float uIceShare;
+        uniform float uIceFall;
+        uniform float uIceSize;
         
         attribute float speed; // Per-particle speed variation
+        attribute float ice;
+
+        varying float vIcy;
 
         void main() {
           vec3 pos = position;
+          float icy = step(ice, uIceShare - 0.0001);
+          vIcy = icy;
+          float sway = 1.0 - 0.8 * icy;
+          
+          // Carried along by the shared wind, wrapping around the box like the fall does
+          pos.x = mod(position.x + uWindOffset + uWidth * 0.5, uWidth) - uWidth * 0.5;
           
           // BALANCED MOVEMENT: Gentle turbulence using multiple sine waves
           float turbulence = sin(uTime * 0.5 + position.x * 0.1) * 0.2 
@@ -151,21 +213,22 @@ class SnowSystem {
           
           // Horizontal sine/cosine drift for natural wind movement
           // Using position.z and position.x as phase offset creates unique paths per particle
-          pos.x += cos((uTime + position.z) * 0.25 * uSpeedH) * uRadiusX * uIntensity;
-          pos.x += turbulence * 1.5; // Add gentle turbulence to x
+          pos.x += cos((uTime + position.z) * 0.25 * uSpeedH) * uRadiusX * uIntensity * sway;
+          pos.x += turbulence * 1.5 * sway; // Add gentle turbulence to x
           
-          pos.z += sin((uTime + position.x) * 0.25 * uSpeedH) * uRadiusZ * uIntensity;
-          pos.z += turbulence * 1.2; // Add gentle turbulence to z
+          pos.z += sin((uTime + position.x) * 0.25 * uSpeedH) * uRadiusZ * uIntensity * sway;
+          pos.z += turbulence * 1.2 * sway; // Add gentle turbulence to z
           
           // Vertical falling with seamless looping via mod()
           // Each particle falls at its own speed, modified by intensity
-          pos.y = mod(pos.y - uTime * uSpeedV * speed * uIntensity, uHeight);
+          // Ice pellets drop straight through at uIceFall times the flakes' speed
+          pos.y = mod(pos.y - uTime * uSpeedV * speed * uIntensity * mix(1.0, uIceFall, icy), uHeight);
           
           // Transform to clip space
           vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
           
           // Perspective-based size (closer = larger, more dramatic with scale=4.0)
-          gl_PointSize = uSize * (uScale / length(mvPosition.xyz));
+          gl_PointSize = uSize * (uScale / length(mvPosition.xyz)) * mix(1.0, uIceSize, icy);
           
           gl_Position = projectionMatrix * mvPosition;
         }
@@ -175,9 +238,14 @@ class SnowSystem {
         uniform float uOpacity;
         uniform sampler2D uTexture;
 
+        varying float vIcy;
+
         void main() {
           // Sample texture at particle coordinate
           vec4 texColor = texture2D(uTexture, gl_PointCoord);
+          // Pellets are hard-edged and brighter than the soft flakes
+          texColor.a = mix(texColor.a, smoothstep(0.25, 0.45, texColor.a), vIcy);
+          texColor.a *= 1.0 + vIcy;
           
           // Apply color tint and opacity
           gl_FragColor = texColor * vec4(uColor, uOpacity);
@@ -196,6 +264,29 @@ class SnowSystem {
     this.particleSystem = new THREE.Points(geometry, material);
     this.particleSystem.position.y = -height / 2;
     this.scene.add(this.particleSystem);
+    this.setPrecipitation(this.precipitation); // survives a rebuild after context loss
+  }
+
+  createFlakes() {
+    const { particleCount, width, height, depth } = this.config;
+
+    // Random positions (VARIED Y for natural distribution)
+    const positions = new Float32Array(particleCount * 3);
+    const speeds = new Float32Array(particleCount); // Per-particle speed variation
+    const ice = new Float32Array(particleCount);    // below uIceShare the particle is a pellet
+
+    for (let i = 0; i < particleCount; i++) {
+      const i3 = i * 3;
+      positions[i3] = (this.rng.next() - 0.5) * width;        // x: random horizontal
+      positions[i3 + 1] = this.rng.next() * height;           // y: FULL random height (0 to height)
+      positions[i3 + 2] = (this.rng.next() - 0.5) * depth;    // z: random depth
+      
+      // Each particle has unique speed (0.5x to 1.5x base speed)
+      speeds[i] = 0.5 + this.rng.next();
+      ice[i] = this.rng.next();
+    }
+
+    return { positions, speeds, ice };
   }
 
   createSnowflakeTexture() {
@@ -229,8 +320,15 @@ class SnowSystem {
 
   start() {
     if (this.isRunning) return;
+    if (this.contextGuard?.isLost) {
+      // Resume once the context is back
+      this.resumeAfterRestore = true;
+      return;
+    }
+    if (this.contextGuard?.hasFailed) return;
     this.isRunning = true;
     this.clock.start();
+    this.lastWindTime = 0; // the clock restarts from zero
     console.log('Snow system - started');
     this.animate();
   }
@@ -245,6 +343,12 @@ class SnowSystem {
     console.log('Snow system - stopped');
   }
 
+  // Seconds until the next intensity change (rolled once per change)
+  pickChangeInterval() {
+    return this.config.minChangeInterval +
+           this.rng.next() * (this.config.maxChangeInterval - this.config.minChangeInterval);
+  }
+
   animate() {
     if (!this.isRunning) return;
 
@@ -261,14 +365,12 @@ class SnowSystem {
       this.intensityChangeTimer += delta;
       
       // Change target intensity every 5-15 seconds (FAST transitions)
-      const changeInterval = this.config.minChangeInterval + 
-                            Math.random() * (this.config.maxChangeInterval - this.config.minChangeInterval);
-      
-      if (this.intensityChangeTimer > changeInterval) {
+      if (this.intensityChangeTimer > this.nextChangeInterval) {
         this.intensityChangeTimer = 0;
+        this.nextChangeInterval = this.pickChangeInterval();
         // Pick new random intensity (subtle flurries to full blizzard)
         this.targetIntensity = this.config.minIntensity + 
-                              Math.random() * (this.config.maxIntensity - this.config.minIntensity);
+                              this.rng.next() * (this.config.maxIntensity - this.config.minIntensity);
         
         const intensityLabel = this.targetIntensity < 0.6 ? '🌨️ Light flurries' :
                               this.targetIntensity < 1.2 ? '❄️ Steady snow' :
@@ -283,6 +385,7 @@ class SnowSystem {
       
       // Update shader uniform
       this.particleSystem.material.uniforms.uIntensity.value = this.currentIntensity;
+      this.applyWind(elapsedTime);
     }
 
     // Subtle camera rotation for dynamic feel
@@ -292,6 +395,33 @@ class SnowSystem {
     this.renderer.render(this.scene, this.camera);
   }
 
+  // Wind vector from the shared wind service (+x blows right); only the horizontal part
+  // moves the flakes, the fall itself stays on uSpeedV
+  setWind(x, y = 0) {
+    this.wind.x = x;
+    this.wind.y = y;
+  }
+
+  applyWind(elapsedTime) {
+    const { uniforms } = this.particleSystem.material;
+    const dt = Math.max(0, elapsedTime - this.lastWindTime);
+    this.lastWindTime = elapsedTime;
+    this.windOffset = (this.windOffset + this.wind.x * this.config.windDrift * dt) % this.config.width;
+    uniforms.uWindOffset.value = this.windOffset;
+    uniforms.uRadiusX.value = this.config.radiusX * (1 + Math.abs(this.wind.x) * this.config.windSway);
+  }
+
+  // 'snow', 'sleet' or 'hail'; unknown types fall back to snow
+  setPrecipitation(type) {
+    const settings = PRECIPITATION[type] || PRECIPITATION.snow;
+    this.precipitation = PRECIPITATION[type] ? type : 'snow';
+    if (!this.particleSystem) return;
+    const { uniforms } = this.particleSystem.material;
+    uniforms.uIceShare.value = settings.iceShare;
+    uniforms.uIceFall.value = settings.iceFall;
+    uniforms.uIceSize.value = settings.iceSize;
+  }
+
   onWindowResize() {
     const width = window.innerWidth;
     const height = window.innerHeight;
@@ -302,14 +432,20 @@ class SnowSystem {
     this.renderer.setSize(width, height);
   }
 
+  disposeParticleSystem() {
+    if (!this.particleSystem) return;
+    this.particleSystem.geometry.dispose();
+    this.particleSystem.material.uniforms.uTexture.value?.dispose();
+    this.particleSystem.material.dispose();
+    this.scene.remove(this.particleSystem);
+    this.particleSystem = null;
+  }
+
   destroy() {
     this.stop();
     
-    if (this.particleSystem) {
-      this.particleSystem.geometry.dispose();
-      this.particleSystem.material.dispose();
-      this.scene.remove(this.particleSystem);
-    }
+    this.disposeParticleSystem();
+    this.contextGuard?.dispose();
 
     if (this.renderer) {
       this.renderer.dispose();
@@ -0,0 +1,82 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { GlassSnow } = require('../glass-snow.js');
+
+const run = (snow, steps) => {
+  for (let i = 0; i < steps; i++) snow.update(1 / 60);
+};
+
+test.describe('Snow on glass', () => {
+  test('flakes settle with the snowfall and keep while the glass is frozen', () => {
+    const snow = new GlassSnow({ seed: 3, width: 1000, height: 1000, landingRate: 30, temperature: -2 });
+    run(snow, 60);
+    expect(snow.flakes.length).toBeGreaterThan(20);
+    expect(snow.flakes.length).toBeLessThan(40);
+
+    snow.snowfall = 0;
+    const settled = snow.flakes.length;
+    run(snow, 600);
+    expect(snow.flakes).toHaveLength(settled);
+    expect(snow.flakes.every(f => f.melt === 0)).toBe(true);
+  });
+
+  test('flakes melt into drops, faster on warmer glass', () => {
+    const meltTime = (temperature) => {
+      const melted = [];
+      const snow = new GlassSnow({ seed: 3, snowfall: 0, temperature, onMelt: (x, y, r) => melted.push({ x, y, r }) });
+      snow.land(100, 200, 4);
+      let frames = 0;
+      while (!melted.length && frames < 10000) {
+        run(snow, 1);
+        frames++;
+      }
+      return { frames, drop: melted[0] };
+    };
+
+    const mild = meltTime(2);
+    const warm = meltTime(8);
+    expect(mild.drop).toMatchObject({ x: 100, y: 200 });
+    expect(mild.drop.r).toBeGreaterThan(1);
+    expect(mild.drop.r).toBeLessThan(4);
+    expect(warm.frames * 3).toBeLessThan(mild.frames);
+  });
+
+  test('hail pellets land at hailfall and melt into nearly their own size', () => {
+    const melted = [];
+    const snow = new GlassSnow({ seed: 3, width: 1000, height: 1000, snowfall: 0, hailfall: 1, hailRate: 60, temperature: -2, onMelt: (x, y, r) => melted.push(r) });
+    run(snow, 60);
+    expect(snow.flakes.length).toBeGreaterThan(40);
+    expect(snow.flakes.every(f => f.pellet)).toBe(true);
+
+    snow.hailfall = 0;
+    snow.temperature = 10;
+    const pellets = snow.flakes.map(f => f.r);
+    run(snow, 600);
+    expect(snow.flakes).toHaveLength(0);
+    expect(Math.max(...melted)).toBeCloseTo(Math.max(...pellets) * 0.9, 5);
+  });
+
+  test('RainOnGlass turns melted flakes into drops', async ({ page }) => {
+    await page.goto('http://localhost:8080/?testMode=1');
+    await page.waitForFunction(() => window.RainOnGlass && window.GlassSnow);
+    const result = await page.evaluate(() => {
+      const canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      const rain = new window.RainOnGlass(canvas, { seed: 3, snowOnGlass: { snowfall: 0, temperature: -5 } });
+      rain.testMode = true; // no generated rain, only the meltwater
+      rain.glassSnow.land(200, 150, 5);
+      rain.step(120);
+      const frozen = { flakes: rain.glassSnow.flakes.length, drops: rain.drops.length };
+
+      rain.setSnowOnGlass({ temperature: 20 });
+      rain.step(120);
+      const thawed = { flakes: rain.glassSnow.flakes.length, drops: rain.drops.length };
+      rain.destroy();
+      canvas.remove();
+      return { frozen, thawed };
+    });
+
+    expect(result.frozen).toEqual({ flakes: 1, drops: 0 });
+    expect(result.thawed).toEqual({ flakes: 0, drops: 1 });
+  });
+});
@@ -0,0 +1,68 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { PerformanceMonitor } = require('../rain-engine-manager.js');
+
+// Pure timing logic: runs in Node against a hand-driven clock
+test.describe('PerformanceMonitor', () => {
+  let clock = 0;
+  const realNow = performance.now;
+
+  test.beforeEach(() => {
+    clock = 0;
+    performance.now = () => clock;
+  });
+
+  test.afterEach(() => {
+    performance.now = realNow;
+  });
+
+  // Render `seconds` of frames at a steady `fps`
+  const frames = (monitor, fps, seconds) => {
+    for (let i = 0; i < fps * seconds; i++) {
+      clock += 1000 / fps;
+      monitor.update();
+    }
+  };
+
+  test('falls back only once minSamples readings average below targetFPS', () => {
+    const monitor = new PerformanceMonitor({ targetFPS: 30, minSamples: 3 });
+    frames(monitor, 20, 2);
+    expect(monitor.fpsHistory).toHaveLength(2);
+    expect(monitor.shouldSwitchToFallback()).toBe(false); // slow, but not for long enough yet
+
+    frames(monitor, 20, 1);
+    expect(monitor.getAverageFPS()).toBeCloseTo(20, 5);
+    expect(monitor.shouldSwitchToFallback()).toBe(true);
+
+    // a recovery pulls the recent average back over budget
+    frames(monitor, 60, 2);
+    expect(monitor.shouldSwitchToFallback()).toBe(false);
+  });
+
+  test('the budget and sample count come from the options', () => {
+    const defaults = new PerformanceMonitor();
+    frames(defaults, 40, 5);
+    expect(defaults.shouldSwitchToFallback()).toBe(false);
+
+    const strict = new PerformanceMonitor({ targetFPS: 50, minSamples: 1 });
+    frames(strict, 40, 1);
+    expect(strict.shouldSwitchToFallback()).toBe(true);
+  });
+
+  test('a gap over two seconds (a background tab) restarts the reading instead of counting', () => {
+    const monitor = new PerformanceMonitor({ targetFPS: 30, minSamples: 1 });
+    frames(monitor, 60, 1);
+    frames(monitor, 60, 0.5);
+    clock += 5000; // rAF paused
+    monitor.update();
+
+    expect(monitor.fpsHistory).toHaveLength(1);
+    expect(monitor.frameCount).toBe(0);
+    expect(monitor.lastTime).toBe(clock);
+    expect(monitor.shouldSwitchToFallback()).toBe(false);
+
+    frames(monitor, 60, 1);
+    expect(monitor.fpsHistory).toHaveLength(2);
+    expect(monitor.fpsHistory[1]).toBeCloseTo(60, 5);
+  });
+});
@@ -0,0 +1,152 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Menu rain engine fallback chain', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8080/?testMode=1');
+    await page.waitForFunction(() => window.__rainEngine?.currentEngine, null, { timeout: 10000 });
+  });
+
+  test('exposes the chosen tier through getEngineInfo()', async ({ page }) => {
+    const info = await page.evaluate(() => window.__rainEngine.getEngineInfo());
+
+    expect(info.fallbackChain).toEqual(['webgl', 'canvas2d', 'svg']);
+    expect(info.tier).toBeGreaterThanOrEqual(0);
+    expect(info.engine).toBeTruthy();
+  });
+
+  test('engines report capabilities and share the normalized parameter space', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const manager = window.__rainEngine;
+      const capabilities = manager.getCapabilities();
+      const params = manager.setParams({ intensity: 0.5, wind: 1.4, blur: -1 });
+      return { capabilities, params };
+    });
+
+    expect(Object.keys(result.capabilities.features)).toEqual(['mist', 'trails', 'collisions', 'liveBackground']);
+    expect(Object.keys(result.capabilities.ranges)).toEqual(['intensity', 'wind', 'condensation', 'refraction', 'blur']);
+    expect(result.params).toMatchObject({ intensity: 0.5, wind: 1, blur: 0 });
+
+    // Parameters survive a switch down the chain
+    const carried = await page.evaluate(async () => {
+      await window.__rainEngine.switchEngine('svg');
+      return window.__rainEngine.getParams();
+    });
+    expect(carried).toMatchObject({ intensity: 0.5, wind: 1, blur: 0 });
+  });
+
+  test('the precipitation type carries over to a replacement engine', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = window.__rainEngine;
+      manager.setPrecipitation('hail');
+      await manager.switchEngine('canvas2d');
+      const engine = manager.currentEngine;
+      if (!engine.rainOnGlass) await engine.initializeRainOnGlass();
+      const rain = engine.rainOnGlass;
+      const pellet = rain.sim.freezeDrop(rain.spawn(100, 100, 8 * rain.dpr));
+      return { engine: engine.precipitation, sim: rain.sim.precipitation, hail: pellet.hail };
+    });
+
+    expect(result).toEqual({ engine: 'hail', sim: 'hail', hail: true });
+  });
+
+  test('the Canvas2D engine takes wind, refraction and blur from its params over the menu preset', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      const engine = new window.RainOnGlassEngine(canvas, {
+        params: { wind: 1, refraction: 1, blur: 1 },
+        rainOnGlass: window.RainOnGlass.menuPreset
+      });
+      await engine.initializeRainOnGlass();
+      const rain = engine.rainOnGlass;
+      const settings = { windX: rain.windX, refractBase: rain.refractBase, refractScale: rain.refractScale, blur: rain.blurPx };
+      engine.destroy();
+      return settings;
+    });
+
+    expect(result).toEqual({ windX: 0.5, refractBase: 1.5, refractScale: 2, blur: 16 });
+  });
+
+  test('full intensity lets the Canvas2D glass hold thousands of beads', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      const engine = new window.RainOnGlassEngine(canvas, { params: { intensity: 1 } });
+      await engine.initializeRainOnGlass();
+      const { maxDrops, initialDensity } = engine.rainOnGlass;
+      engine.destroy();
+      const capped = new window.RainOnGlassEngine(canvas, { params: { intensity: 1 }, rainOnGlass: { maxDrops: 800 } });
+      return { maxDrops, initialDensity, capped: capped.calibrate('intensity').maxDrops };
+    });
+
+    expect(result.maxDrops).toBeGreaterThanOrEqual(5000);
+    expect(result.initialDensity).toBe(45);
+    expect(result.capped).toBe(800);
+  });
+
+  test('the WebGL engine takes its normalized params over the RaindropFX preset', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      let engine;
+      try {
+        engine = new window.RaindropFXEngine(document.createElement('canvas'), {
+          params: { intensity: 1, condensation: 0 },
+          raindropFx: { dropletsPerSeconds: 40, spawnLimit: 800, mist: true, refractBase: 0.3 }
+        });
+      } catch (error) {
+        return null; // no WebGL or no RaindropFX in this browser
+      }
+      const { dropletsPerSeconds, spawnLimit, mist } = engine.buildRaindropFXOptions();
+      const ranges = engine.getCapabilities().ranges.intensity;
+      return { dropletsPerSeconds, spawnLimit, mist, expected: [ranges.dropletsPerSeconds[1], ranges.spawnLimit[1]] };
+    });
+    test.skip(!result, 'RaindropFX engine unavailable in this browser');
+
+    expect([result.dropletsPerSeconds, result.spawnLimit]).toEqual(result.expected);
+    expect(result.mist).toBe(false);
+  });
+
+  test('a forced fallback hands the drops to the next tier and announces it', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      canvas.style.width = '400px';
+      canvas.style.height = '300px';
+      document.body.appendChild(canvas);
+      const manager = new window.RainEngineManager(canvas, { fallbackChain: ['canvas2d', 'static'], autoFallback: false });
+      manager.createEngine('canvas2d');
+      await manager.currentEngine.initializeRainOnGlass();
+      const rain = manager.currentEngine.rainOnGlass;
+      for (let i = 0; i < 3; i++) rain.spawn((60 + i * 100) * rain.dpr, 120 * rain.dpr, 6 * rain.dpr);
+
+      const before = manager.currentEngine.exportDrops();
+      const events = [];
+      manager.addEventListener('fallback', event => events.push({ from: event.detail.from, to: event.detail.to, reason: event.detail.reason }));
+      await manager.fallback('test');
+      const after = manager.currentEngine.exportDrops();
+      const engine = manager.engineType;
+      manager.destroy();
+      canvas.remove();
+      return { before, after, events, engine };
+    });
+
+    expect(result.before).toHaveLength(3);
+    expect(result.after).toEqual(result.before);
+    expect(result.engine).toBe('static');
+    expect(result.events).toEqual([{ from: 'canvas2d', to: 'static', reason: 'test' }]);
+  });
+
+  test('SVG tier reveals the droplet markup and keeps menu links usable', async ({ page }) => {
+    await page.evaluate(() => window.__rainEngine.switchEngine('svg'));
+    await page.locator('.menu-wrap .toggler').check({ force: true });
+    await page.evaluate(() => window.__rainEngine.start());
+
+    const info = await page.evaluate(() => window.__rainEngine.getEngineInfo());
+    expect(info.type).toBe('svg');
+    expect(info.tier).toBe(2);
+
+    await expect(page.locator('.menu .droplets')).toBeVisible();
+    await expect(page.locator('.menu-content a[href="#secondContainer"]')).toBeVisible();
+
+    await page.locator('.menu-wrap .toggler').uncheck({ force: true });
+    await page.evaluate(() => window.__rainEngine.stop());
+    await expect(page.locator('.menu .droplets')).toBeHidden();
+  });
+});
@@ -0,0 +1,92 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Frost on the glass', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8080/?testMode=1');
+    await page.waitForFunction(() => window.RainOnGlass);
+  });
+
+  test('crystals grow in from the edges and leave the middle clear', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      const rain = new window.RainOnGlass(canvas, { seed: 4, standalone: true, frost: true, frostTime: 2 });
+      rain.testMode = true;
+      // the mask stays on the GPU; read a copy of it
+      const snapshot = () => {
+        const copy = document.createElement('canvas');
+        copy.width = rain.frostMask.width;
+        copy.height = rain.frostMask.height;
+        const copyCtx = copy.getContext('2d');
+        copyCtx.drawImage(rain.frostMask, 0, 0);
+        return copyCtx;
+      };
+      // mean mask alpha over a box in CSS px: 255 = frozen solid
+      const ice = (x, y, w, h) => {
+        const s = rain.frostMask.width / canvas.getBoundingClientRect().width;
+        const data = snapshot().getImageData(Math.floor(x * s), Math.floor(y * s), Math.ceil(w * s), Math.ceil(h * s)).data;
+        let sum = 0;
+        for (let i = 3; i < data.length; i += 4) sum += data[i];
+        return sum / (data.length / 4);
+      };
+
+      rain.step(6);
+      const early = ice(0, 0, 60, 60);
+      rain.step(60 * 2);
+      const corner = ice(0, 0, 60, 60);
+      const middle = ice(window.innerWidth / 2 - 40, window.innerHeight / 2 - 40, 80, 80);
+      rain.destroy();
+      canvas.remove();
+      return { early, corner, middle };
+    });
+
+    expect(result.corner).toBeGreaterThan(40);
+    expect(result.corner).toBeGreaterThan(result.early);
+    expect(result.middle).toBeLessThan(5);
+  });
+
+  test('a resting cursor and a passing drop melt the frost', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      const rain = new window.RainOnGlass(canvas, { seed: 4, standalone: true, frost: true, frostTime: 1, frostReach: 0.5 });
+      rain.testMode = true;
+      rain.evaporate = 0;
+      rain.step(90); // let the frost settle
+      const rect = canvas.getBoundingClientRect();
+      const s = rain.frostMask.width / rect.width;
+      // the mask stays on the GPU; read a copy of it
+      const alpha = (x, y) => {
+        const copy = document.createElement('canvas');
+        copy.width = copy.height = 1;
+        const copyCtx = copy.getContext('2d');
+        copyCtx.drawImage(rain.frostMask, -Math.floor(x * s), -Math.floor(y * s));
+        return copyCtx.getImageData(0, 0, 1, 1).data[3];
+      };
+      // paint solid ice over the probe spots so the test doesn't depend on where arms landed
+      rain.frostMaskCtx.fillStyle = '#fff';
+      rain.frostMaskCtx.fillRect(0, 0, 120 * s, rain.frostMask.height);
+
+      canvas.dispatchEvent(new PointerEvent('pointermove', { pointerId: 1, clientX: rect.left + 60, clientY: rect.top + 60 }));
+      rain.step(60);
+      const underCursor = alpha(60, 60);
+
+      const drop = rain.spawn(30 * rain.dpr, 200 * rain.dpr, 14 * rain.dpr);
+      drop.stick = 1;
+      drop.resistance = 0;
+      drop.nextRandomTime = Infinity;
+      rain.step(30);
+      const behindDrop = alpha(drop.prevX / rain.dpr, drop.prevY / rain.dpr);
+      const untouched = alpha(100, 400);
+
+      rain.destroy();
+      canvas.remove();
+      return { underCursor, behindDrop, untouched };
+    });
+
+    expect(result.underCursor).toBeLessThan(20);
+    expect(result.behindDrop).toBeLessThan(60);
+    expect(result.untouched).toBeGreaterThan(200);
+  });
+});
@@ -0,0 +1,131 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Rain mist layer', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8080/?testMode=1');
+    await page.waitForFunction(() => window.RainOnGlass);
+  });
+
+  test('a finger drag wipes the mist and it fogs back over refogTime', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      const rain = new window.RainOnGlass(canvas, { seed: 5, refogTime: 4 });
+      const rect = canvas.getBoundingClientRect();
+      const fire = (type, x, y) => canvas.dispatchEvent(new PointerEvent(type, { pointerId: 1, clientX: rect.left + x, clientY: rect.top + y }));
+      // mask alpha at a CSS-pixel point: 255 = wiped clear, 0 = fogged
+      const clearness = (x, y) => {
+        const s = rain.mistMask.width / rect.width;
+        return rain.mistMaskCtx.getImageData(Math.floor(x * s), Math.floor(y * s), 1, 1).data[3];
+      };
+
+      fire('pointerdown', 100, 200);
+      fire('pointermove', 300, 200);
+      fire('pointerup', 300, 200);
+      const wiped = { start: clearness(100, 200), middle: clearness(200, 200), untouched: clearness(200, 400) };
+
+      rain.refogMist(2);
+      const halfway = clearness(200, 200);
+      rain.refogMist(2);
+      const refogged = clearness(200, 200);
+
+      rain.destroy();
+      canvas.remove();
+      return { wiped, halfway, refogged };
+    });
+
+    expect(result.wiped.start).toBeGreaterThan(200);
+    expect(result.wiped.middle).toBeGreaterThan(200);
+    expect(result.wiped.untouched).toBe(0);
+    expect(result.halfway).toBeLessThan(result.wiped.middle);
+    expect(result.halfway).toBeGreaterThan(result.refogged);
+    expect(result.refogged).toBeLessThan(10);
+  });
+
+  test('sliding drops carve streaks through the mist', async ({ page }) => {
+    const carved = await page.evaluate(() => {
+      const canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      const rain = new window.RainOnGlass(canvas, { seed: 5 });
+      rain.testMode = true; // only our drop
+      rain.evaporate = 0;
+      const drop = rain.spawn(200 * rain.dpr, 100 * rain.dpr, 14 * rain.dpr);
+      drop.stick = 1;
+      drop.resistance = 0;
+      drop.nextRandomTime = Infinity;
+      rain.step(30);
+
+      const s = rain.mistMask.width / canvas.width;
+      const alpha = rain.mistMaskCtx.getImageData(Math.floor(drop.prevX * s), Math.floor(drop.prevY * s), 1, 1).data[3];
+      rain.destroy();
+      canvas.remove();
+      return alpha;
+    });
+
+    expect(carved).toBeGreaterThan(100);
+  });
+
+  test('with the climate model the mist builds below the dew point and clears above it', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      const rain = new window.RainOnGlass(canvas, { seed: 5, refogTime: 4, climate: true, temperature: 20, humidity: 0.5 });
+      const clearness = () => rain.mistMaskCtx.getImageData(10, 10, 1, 1).data[3];
+
+      rain.glassTemperature = 25; // warmer than the room: nothing condenses
+      const fogged = clearness();
+      rain.refogMist(2);
+      const cleared = clearness();
+
+      rain.glassTemperature = 0; // well below the ~9 °C dew point
+      rain.refogMist(1);
+      const refogged = clearness();
+
+      rain.destroy();
+      canvas.remove();
+      return { fogged, cleared, refogged };
+    });
+
+    expect(result.fogged).toBe(0);
+    expect(result.cleared).toBeGreaterThan(200);
+    expect(result.refogged).toBeLessThan(result.cleared / 2);
+  });
+
+  test('writeOnGlass clears the lettering and drips the same way for the same seed', async ({ page }) => {
+    const [first, second] = await page.evaluate(() => {
+      const run = () => {
+        const canvas = document.createElement('canvas');
+        document.body.appendChild(canvas);
+        const rain = new window.RainOnGlass(canvas, { seed: 'greeting' });
+        rain.testMode = true; // no generated rain, only the drips
+        rain.gravityBase = 0.05; // slow drips so they are still on the glass at the end
+        const job = rain.writeOnGlass('Hello', { font: '80px sans-serif', x: 300, y: 200, duration: 1 });
+        rain.step(30);
+        const half = job.revealed / job.glyphs.width;
+        rain.step(120); // drips are due within writing time + 1.2s
+
+        // fraction of the text box that has been wiped clear
+        const s = rain.mistMask.width / canvas.width;
+        const box = rain.mistMaskCtx.getImageData(Math.floor(job.left * s), Math.floor(job.top * s),
+          Math.ceil(job.glyphs.width * s), Math.ceil(job.glyphs.height * s)).data;
+        let clear = 0;
+        for (let i = 3; i < box.length; i += 4) if (box[i] > 128) clear++;
+
+        const drops = rain.drops.map(d => [d.x, d.y, d.r]);
+        const result = { half, done: job.done, clear: clear / (box.length / 4), drops };
+        rain.destroy();
+        canvas.remove();
+        return result;
+      };
+      return [run(), run()];
+    });
+
+    expect(first.half).toBeGreaterThan(0.3);
+    expect(first.half).toBeLessThan(0.7);
+    expect(first.done).toBe(true);
+    expect(first.clear).toBeGreaterThan(0.05);
+    expect(first.drops.length).toBeGreaterThan(0);
+    expect(first).toEqual(second);
+  });
+});
@@ -0,0 +1,78 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Rain pointer interaction', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8080/?testMode=1');
+    await page.waitForFunction(() => window.RainOnGlass && window.RainSimulation);
+  });
+
+  test('dragging a drop moves it and releasing with speed flicks it', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      const rain = new window.RainOnGlass(canvas, { seed: 3 });
+      const rect = canvas.getBoundingClientRect();
+      const scale = canvas.width / rect.width;
+      const fire = (type, x, y) => canvas.dispatchEvent(new PointerEvent(type, { pointerId: 7, clientX: rect.left + x, clientY: rect.top + y }));
+      const frame = () => new Promise(resolve => setTimeout(resolve, 16));
+      const drop = rain.spawn(100 * scale, 100 * scale, 10 * scale);
+
+      fire('pointerdown', 100, 100);
+      await frame();
+      fire('pointermove', 130, 100);
+      await frame();
+      fire('pointermove', 160, 100);
+      const dragged = { x: drop.x / scale, held: drop._held };
+      fire('pointerup', 160, 100);
+      const released = { held: drop._held, flickX: drop.flickX };
+      rain.destroy();
+      canvas.remove();
+      return { dragged, released };
+    });
+
+    expect(result.dragged.held).toBe(true);
+    expect(result.dragged.x).toBeCloseTo(160, 0);
+    expect(result.released.held).toBe(false);
+    expect(result.released.flickX).toBeGreaterThan(0);
+  });
+
+  test('two pointers drag two drops independently', async ({ page }) => {
+    const positions = await page.evaluate(() => {
+      const canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      const rain = new window.RainOnGlass(canvas, { seed: 3 });
+      const rect = canvas.getBoundingClientRect();
+      const scale = canvas.width / rect.width;
+      const fire = (type, id, x, y) => canvas.dispatchEvent(new PointerEvent(type, { pointerId: id, clientX: rect.left + x, clientY: rect.top + y }));
+      const a = rain.spawn(100 * scale, 100 * scale, 8 * scale);
+      const b = rain.spawn(300 * scale, 100 * scale, 8 * scale);
+
+      fire('pointerdown', 1, 100, 100);
+      fire('pointerdown', 2, 300, 100);
+      fire('pointermove', 1, 100, 200);
+      fire('pointermove', 2, 300, 250);
+      const result = [a.y / scale, b.y / scale];
+      fire('pointerup', 1, 100, 200);
+      fire('pointerup', 2, 300, 250);
+      rain.destroy();
+      canvas.remove();
+      return result;
+    });
+
+    expect(positions[0]).toBeCloseTo(200, 0);
+    expect(positions[1]).toBeCloseTo(250, 0);
+  });
+
+  test('the rain canvas does not block menu links', async ({ page }) => {
+    await page.locator('.menu-wrap .toggler').check({ force: true });
+    const link = page.locator('.menu-content a[href="#secondContainer"]');
+    await expect(link).toBeVisible();
+
+    const hit = await link.evaluate(el => {
+      const box = el.getBoundingClientRect();
+      return document.elementFromPoint(box.left + box.width / 2, box.top + box.height / 2) === el;
+    });
+    expect(hit).toBe(true);
+  });
+});
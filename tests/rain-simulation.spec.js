@@ -0,0 +1,506 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { RainSimulation } = require('../rain-simulation.js');
+
+// Pure physics: no page, no canvas — the simulation runs straight in Node
+const createSim = (config = {}) => new RainSimulation({
+  seed: 7,
+  testMode: true,          // no preset rain or condensation, only the drops we place
+  microTrails: false,
+  enableCondensation: false,
+  evaporate: 0.0001,
+  shrinkRate: 0.0001,
+  ...config
+});
+
+const run = (sim, steps) => {
+  for (let i = 0; i < steps; i++) sim.update(1 / 60);
+};
+
+test.describe('RainSimulation core', () => {
+  test('a fresh drop weighs what a merged drop of its size does', () => {
+    const sim = createSim();
+    const a = sim.spawn(100, 100, 4);
+    const b = sim.spawn(300, 100, 5);
+    sim.mergeDrops(a, b);
+    const merged = a._dead ? b : a;
+    const fresh = sim.spawn(500, 100, merged.r);
+    expect(merged.mass / fresh.mass).toBeCloseTo(1, 4);
+  });
+
+  test('overlapping drops merge conserving volume and momentum', () => {
+    const sim = createSim();
+    const big = sim.spawn(100, 100, 10);
+    const small = sim.spawn(108, 100, 5);
+    big.density = small.density = 1;
+    big.vx = big.vy = 0;
+    small.vx = 0;
+    small.vy = 9;
+    // merge directly so no physics step changes the inputs
+    sim.mergeDrops(big, small);
+
+    const m1 = 1000, m2 = 125;
+    expect(small._dead).toBe(true);
+    // drop state is stored as Float32, good to about seven significant digits
+    expect(big.r).toBeCloseTo(Math.cbrt(1125), 4);
+    expect(big.x).toBeCloseTo((100 * m1 + 108 * m2) / (m1 + m2), 4);
+    expect(big.vy * (m1 + m2)).toBeCloseTo(9 * m2, 3);
+  });
+
+  test('a coalescence chain resolves to one drop in a single step', () => {
+    const sim = createSim();
+    sim.spawn(116, 100, 8);
+    sim.spawn(100, 100, 8);
+    sim.spawn(108, 100, 8);
+    run(sim, 1);
+
+    expect(sim.drops).toHaveLength(1);
+    expect(sim.drops[0].r).toBeCloseTo(Math.cbrt(3 * 512), 0);
+  });
+
+  test('heavy drops shed beads and give up their volume', () => {
+    const sim = createSim({ breakupRadius: 20, shedDistance: [5, 5], xShifting: [0, 0], enableTrails: false });
+    const drop = sim.spawn(100, 50, 30);
+    drop.stick = 1;
+    drop.nextRandomTime = Infinity;
+    const before = drop.r ** 3;
+    run(sim, 30);
+
+    const beads = sim.drops.filter(d => d !== drop);
+    expect(beads.length).toBeGreaterThan(0);
+    expect(beads.every(b => b.y < drop.y)).toBe(true); // left behind the running drop
+    const after = drop.r ** 3 + beads.reduce((sum, b) => sum + b.r ** 3, 0);
+    expect(after / before).toBeCloseTo(1, 2); // only shrinkRate nibbles at the radii
+  });
+
+  test('drops in diagonal grid cells merge', () => {
+    const sim = createSim({ collisionCell: 40 });
+    sim.spawn(38, 38, 6);  // cell (0, 0)
+    sim.spawn(43, 43, 6);  // cell (1, 1)
+    run(sim, 1);
+
+    expect(sim.drops).toHaveLength(1);
+  });
+
+  test('a fast drop sweeps up the beads along its path', () => {
+    const sim = createSim({ xShifting: [0, 0], enableTrails: false, breakupSpeed: 1000, terminalVelocity: 400 });
+    const beads = [160, 220, 280].map(y => sim.spawn(100, y, 3));
+    for (const bead of beads) {
+      bead.vx = 0;
+      bead.resistance = 1e6; // pinned: they stay where the runner passes
+    }
+    const runner = sim.spawn(100, 100, 8);
+    runner.stick = 1;
+    runner.nextRandomTime = Infinity;
+    runner.vx = 0;
+    runner.vy = 250; // far more than a bead's diameter per step
+    run(sim, 1);
+
+    expect(runner.y).toBeGreaterThan(300);
+    expect(sim.drops).toEqual([runner]);
+    expect(runner.r).toBeCloseTo(Math.cbrt(512 + 3 * 27), 1);
+  });
+
+  test('drops are drawn along wet paths left by earlier drops', () => {
+    const sim = createSim({ xShifting: [0, 0], enableTrails: false });
+    sim.wetPath(120, 0, 120, 600, 16); // an earlier rivulet, just right of the new drop
+    const drop = sim.spawn(100, 100, 6);
+    drop.vx = 0;
+    drop.stick = 1;
+    drop.resistance = 0;
+    drop.nextRandomTime = Infinity;
+    run(sim, 30);
+
+    expect(drop.x).toBeGreaterThan(105);
+  });
+
+  test('wet glass lowers resistance and dries with evaporate', () => {
+    const sim = createSim({ evaporate: 10 });
+    const dry = sim.spawn(100, 100, 30);
+    const wet = sim.spawn(300, 100, 30);
+    sim.wetPath(300, 100, 300, 100, 30);
+    for (const d of [dry, wet]) {
+      d.vx = 0;
+      d.stick = 1;
+      d.nextRandomTime = Infinity;
+      d.resistance = sim.gravityBase * d.mass * 0.9;
+    }
+    const soaked = sim.wetnessAt(300, 100);
+    run(sim, 10);
+
+    expect(wet.y - 100).toBeGreaterThan((dry.y - 100) * 2);
+    expect(sim.wetnessAt(300, 100)).toBeLessThan(soaked);
+    expect(sim.wetnessAt(100, 600)).toBe(0);
+  });
+
+  test('the sill catches drops, merges its beads and drips when full', () => {
+    const sim = createSim({ enableSill: true, sillMaxBead: 12, height: 200 });
+    const drop = sim.spawn(100, 195, 8);
+    drop.vy = 4;
+    drop.stick = 1;
+    sim.collectOnSill('bottom', 110, 8);
+    run(sim, 2);
+
+    expect(sim.drops).toHaveLength(0);
+    expect(sim.sill.bottom).toHaveLength(1); // joined its neighbour
+    expect(sim.sill.bottom[0].r).toBeCloseTo(Math.cbrt(2 * 512), 0);
+
+    sim.collectOnSill('bottom', 112, 20); // far past sillMaxBead: drips right away
+    run(sim, 1);
+    const drips = sim.drops.filter(d => d._dripped);
+    expect(drips).toHaveLength(1);
+    expect(drips[0].y).toBeGreaterThan(200);
+    run(sim, 5);
+    expect(sim.sill.bottom).toHaveLength(1); // the drip fell through instead of rejoining
+  });
+
+  test('side sills drain into the bottom corner', () => {
+    const sim = createSim({ enableSill: true, sillSides: true, xShifting: [0, 0] });
+    const drop = sim.spawn(4, 300, 6);
+    drop.flickX = -3; // pushed into the left frame
+    run(sim, 1);
+    expect(sim.sill.left).toHaveLength(1);
+
+    run(sim, 400);
+    expect(sim.sill.left).toHaveLength(0);
+    expect(sim.sill.bottom[0].pos).toBeLessThan(20);
+  });
+
+  test('drops flow around obstacles instead of crossing them', () => {
+    const sim = createSim({ xShifting: [0, 0], enableTrails: false });
+    sim.setObstacles([{ x: 80, y: 200, width: 60, height: 30 }]);
+    const drop = sim.spawn(100, 150, 6);
+    drop.vx = 0;
+    drop.stick = 1;
+    drop.nextRandomTime = Infinity;
+    let inside = 0;
+    for (let i = 0; i < 120; i++) {
+      run(sim, 1);
+      if (drop.x > 80 && drop.x < 140 && drop.y > 200 && drop.y < 230) inside++;
+    }
+
+    expect(inside).toBe(0);
+    expect(drop.y).toBeGreaterThan(230); // got past it
+    expect(drop.x).toBeLessThan(80);     // around the nearer (left) end
+  });
+
+  test('nothing spawns in exclusion zones and the density mask thins rain', () => {
+    const sim = createSim({ testMode: false, enableCondensation: true, condensationDensity: 1 });
+    sim.setExclusions([{ x: 0, y: 0, width: 400, height: 600 }]);
+    for (let i = 0; i < 20; i++) sim.spawnCondensation();
+    expect(sim.condensation.length).toBeGreaterThan(0);
+    expect(sim.condensation.every(c => c.x - c.r >= 400)).toBe(true);
+
+    // left half dense, right half dry
+    sim.setDensityMask({ cols: 2, rows: 1, data: new Float32Array([1, 0]) });
+    sim.presets = [{ min: 2, base: 2, rate: 600 }];
+    sim._spawnAcc = [0];
+    sim.maxDrops = 10000;
+    sim.spawnFromPresets(1);
+    expect(sim.drops.length).toBeGreaterThan(100);
+    expect(sim.drops.every(d => d.x < 400)).toBe(true);
+    expect(sim.store.size).toBe(sim.drops.length); // turned-down drops gave their slots back
+  });
+
+  test('cold glass fogs up with beads that grow, merge and start to run', () => {
+    const sim = createSim({
+      enableClimate: true, temperature: 20, humidity: 0.8, glassTemperature: 5,
+      nucleationRate: 100, climateGrowth: 0.3, width: 400, height: 300
+    });
+    expect(sim.dewPoint).toBeCloseTo(16.4, 1);
+    run(sim, 60);
+    expect(sim.drops.length).toBeGreaterThan(50);
+    expect(sim.drops.every(d => d._beading && d.vy === 0)).toBe(true); // still pinned
+
+    // growth adds water by volume, as a merge does: mass keeps pace with r³
+    const bead = sim.drops[0];
+    const r = bead.r;
+    const before = bead.mass / r ** 3;
+    sim.updateClimate(1 / 60);
+    expect(bead.r).toBeGreaterThan(r);
+    expect(bead.mass / bead.r ** 3).toBeCloseTo(before, 4);
+
+    const running = new Set();
+    for (let i = 0; i < 600; i++) {
+      run(sim, 1);
+      for (const d of sim.drops) if (!d._beading && d.vy > 0) running.add(d);
+    }
+    expect(running.size).toBeGreaterThan(0);
+    // the runners are the beads that grew past slideThreshold (plus the trail beads they shed)
+    expect(Math.max(...[...running].map(d => d.r))).toBeGreaterThanOrEqual(sim.slideThreshold);
+    expect(sim.drops.filter(d => d._beading).every(d => d.r < sim.slideThreshold)).toBe(true);
+  });
+
+  test('the climate sets how fast drops dry off', () => {
+    const drying = (humidity) => {
+      const sim = createSim({ enableClimate: true, temperature: 20, glassTemperature: 20, humidity, evaporate: 1 });
+      const drop = sim.spawn(100, 100, 10);
+      drop.nextRandomTime = Infinity;
+      const mass = drop.mass;
+      run(sim, 30);
+      return mass - drop.mass;
+    };
+
+    expect(drying(0.3)).toBeGreaterThan(drying(0.9) * 5);
+    expect(drying(1)).toBe(0); // saturated air: the glass sits at the dew point
+  });
+
+  test('evaporation removes drops once their mass is gone', () => {
+    const sim = createSim({ evaporate: 4 });
+    const drop = sim.spawn(100, 100, 6);
+    expect(drop.mass).toBeCloseTo(36, 4); // mass goes with r³, and is r² at 6 px → gone after 9 frames at 4/frame
+    run(sim, 8);
+    expect(sim.drops).toHaveLength(1);
+    run(sim, 1);
+    expect(sim.drops).toHaveLength(0);
+  });
+
+  test('falling speed is clamped to terminal velocity', () => {
+    const sim = createSim({ gravityBase: 5, terminalVelocity: 2 });
+    const drop = sim.spawn(100, 100, 12);
+    for (let i = 0; i < 30; i++) {
+      drop.stick = 1; // no adhesion damping, only the clamp limits speed
+      run(sim, 1);
+    }
+    expect(drop.vy).toBe(2);
+  });
+
+  test('wind pushes drops sideways', () => {
+    const calm = createSim();
+    const windy = createSim({ windX: 0.5 });
+    const still = calm.spawn(100, 100, 6);
+    const blown = windy.spawn(100, 100, 6);
+    run(calm, 30);
+    run(windy, 30);
+
+    expect(blown.x - still.x).toBeGreaterThan(10);
+    expect(windy.simTime).toBeCloseTo(0.5, 5);
+  });
+
+  test('a wind field pushes drops by where they are on the glass', () => {
+    const sim = createSim({ xShifting: [0, 0], enableTrails: false });
+    sim.windField = (x, y, out) => {
+      out.x = x < 400 ? -0.5 : 0.5; // left half blows left, right half blows right
+      out.y = 0;
+      return out;
+    };
+    const left = sim.spawn(200, 100, 6);
+    const right = sim.spawn(600, 100, 6);
+    left.vx = right.vx = 0;
+    run(sim, 30);
+
+    expect(left.x).toBeLessThan(190);
+    expect(right.x).toBeGreaterThan(610);
+  });
+
+  test('drops fall along gravityAngleRad', () => {
+    const sim = createSim({ gravityBase: 1, xShifting: [0, 0] });
+    sim.gravityAngleRad = 0; // gravity pointing right, as with the phone on its side
+    const drop = sim.spawn(100, 100, 12);
+    drop.stick = 1;
+    run(sim, 20);
+
+    expect(drop.x - 100).toBeGreaterThan(50);
+    expect(Math.abs(drop.y - 100)).toBeLessThan(1);
+  });
+
+  test('a grabbed drop follows the pointer, leaves a trail and flicks on release', () => {
+    const sim = createSim();
+    sim.spawn(100, 100, 8);
+    const drop = sim.grabDrop(104, 103, 0);
+    expect(drop).toBeTruthy();
+
+    sim.moveDrop(drop, 160, 100);
+    run(sim, 5);
+    expect(drop.x).toBe(160); // held drops ignore gravity
+    expect(sim.takeTrailSegments().length).toBeGreaterThan(0);
+
+    sim.releaseDrop(drop, 10, 0);
+    run(sim, 5);
+    expect(drop.x).toBeGreaterThan(180);
+  });
+
+  test('a held drop absorbs drops dragged into it', () => {
+    const sim = createSim();
+    sim.spawn(100, 100, 8);
+    const held = sim.grabDrop(100, 100);
+    sim.spawn(104, 100, 8);
+    run(sim, 1);
+
+    expect(sim.drops).toEqual([held]);
+    expect(held.x).toBe(100);
+  });
+
+  test('a tap shakes loose drops near the impact only', () => {
+    const sim = createSim();
+    const near = sim.spawn(120, 100, 4);
+    const far = sim.spawn(600, 100, 4);
+    near.resistance = far.resistance = 1e6; // pinned to the glass
+
+    expect(sim.impulse(100, 100, 90, 3)).toBe(1);
+    expect(near.resistance).toBe(0);
+    expect(far.resistance).toBe(1e6);
+    expect(near.flickX).toBeGreaterThan(0);
+  });
+});
+
+test.describe('RainSimulation hail and sleet', () => {
+  test('hail strikes the glass, bounces, splashes beads and melts into a drop', () => {
+    const sim = createSim({ height: 5000, precipitation: 'hail', iceMeltTime: 1 });
+    const pellet = sim.freezeDrop(sim.spawn(200, -30, 8));
+    expect(pellet.hail).toBe(true);
+    expect(pellet.y).toBeGreaterThan(0);
+    expect(sim.takeImpacts()).toHaveLength(1);
+    expect(sim.drops.length).toBeGreaterThan(1); // the first strike's splash
+    pellet.y = 50; // near the top, so it melts before sliding off the glass
+
+    run(sim, 40);
+    const ticks = sim.takeImpacts();
+    expect(ticks.length).toBeGreaterThanOrEqual(1); // landing again after the hop
+    expect(ticks.every(t => t.strength < 1)).toBe(true);
+    expect(pellet.hopV).toBe(0);
+    expect(pellet.ice).toBeGreaterThan(0);
+
+    run(sim, 120);
+    expect(pellet.ice).toBe(0);
+    expect(pellet.hail).toBe(false);
+    expect(sim.drops).toContain(pellet);
+  });
+
+  test('sleet beads stick as ice and only melt on glass above freezing', () => {
+    const sim = createSim({ precipitation: 'sleet', sleetIceShare: 1, iceMeltTime: 0.5, enableClimate: true, glassTemperature: -2, nucleationRate: 0 });
+    const bead = sim.freezeDrop(sim.spawn(100, -10, 3));
+    expect(bead.ice).toBe(1);
+    expect(bead.hail).toBeUndefined();
+    const landed = { x: bead.x, y: bead.y };
+
+    run(sim, 60);
+    expect(bead.ice).toBe(1);
+    expect(Math.hypot(bead.x - landed.x, bead.y - landed.y)).toBeLessThan(2);
+
+    sim.glassTemperature = 5;
+    run(sim, 30);
+    expect(bead.ice).toBe(0);
+  });
+});
+
+test.describe('RainSimulation impacts', () => {
+  test('new rain strikes all over the glass instead of entering at the top', () => {
+    const sim = createSim({ testMode: false, enableImpacts: true, presets: [{ min: 2, base: 1, rate: 120 }] });
+    run(sim, 30);
+    const ys = sim.drops.map(d => d.y);
+
+    expect(sim.drops.length).toBeGreaterThan(40);
+    expect(Math.min(...ys)).toBeGreaterThan(0);
+    expect(ys.filter(y => y > sim.height / 2).length).toBeGreaterThan(10);
+  });
+
+  test('a hit throws a crown of pinned beads that a sliding drop sweeps up', () => {
+    const sim = createSim({ evaporate: 10, shrinkRate: 0 });
+    expect(sim.splash(300, 200, 12, 0.05)).toBe(0); // too feeble for a crown
+    const count = sim.splash(300, 200, 12, 1);
+    expect(count).toBe(9);
+
+    run(sim, 60);
+    const beads = sim.drops.slice();
+    expect(beads).toHaveLength(9);
+    for (const bead of beads) {
+      const reach = Math.hypot(bead.x - 300, bead.y - 200);
+      expect(reach).toBeGreaterThan(12 * 1.4 * 0.9);
+      expect(reach).toBeLessThan(12 * 2.6 * 1.1);
+      expect(bead.r).toBeLessThan(12 * 0.2 + 0.01);
+    }
+    const settled = beads.map(b => ({ x: b.x, y: b.y }));
+    run(sim, 120); // long past the plain evaporation budget of a bead this small
+    expect(sim.drops).toHaveLength(9);
+    expect(beads.every((b, i) => b.x === settled[i].x && b.y === settled[i].y)).toBe(true);
+
+    const sweeper = sim.spawn(300, 120, 20);
+    sweeper.stick = 1;
+    sweeper.nextRandomTime = Infinity;
+    sweeper.mass += 1e6;
+    run(sim, 40);
+    expect(beads.filter(b => b._dead).length).toBeGreaterThan(0);
+  });
+});
+
+test.describe('RainSimulation drop store', () => {
+  test('drops recycle typed-array slots instead of piling up new ones', () => {
+    const sim = createSim({ evaporate: 1 });
+    const first = sim.spawn(100, 100, 4);
+    expect(sim.store.columns[0]).toBeInstanceOf(Float32Array);
+    first.mass = 1; // dries up in one step
+    run(sim, 1);
+    expect(sim.drops).toHaveLength(0);
+
+    const next = sim.spawn(200, 100, 4);
+    expect(next).toBe(first); // same slot, same view, fresh state
+    expect(next.x).toBe(200);
+    expect(next._dead).toBe(false);
+
+    // callers that cut the list themselves get their slots back too
+    for (let i = 0; i < 20; i++) sim.spawn(20 + i * 30, 300, 3);
+    const capacity = sim.store.capacity;
+    sim.trimDrops(5);
+    run(sim, 1);
+    expect(sim.drops).toHaveLength(5);
+    expect(sim.store.size).toBe(5);
+    for (let i = 0; i < 100; i++) {
+      sim.drops.length = 0;
+      for (let k = 0; k < 20; k++) sim.spawn(20 + k * 30, 300, 3);
+      run(sim, 1);
+    }
+    expect(sim.store.capacity).toBe(capacity);
+  });
+
+  test('five thousand resting beads stay put without growing the store', () => {
+    const sim = createSim({ width: 1920, height: 1080, maxDrops: 6000, shrinkRate: 0 });
+    for (let i = 0; i < 5000; i++) {
+      const bead = sim.spawn(10 + (i % 100) * 19, 10 + Math.floor(i / 100) * 21, 2);
+      bead.vx = 0;
+      bead.resistance = sim.gravityBase * bead.mass * 10;
+      bead.nextRandomTime = Infinity;
+    }
+    const capacity = sim.store.capacity;
+    run(sim, 30);
+
+    expect(sim.drops).toHaveLength(5000);
+    expect(sim.store.capacity).toBe(capacity);
+    expect(sim.drops.every(d => d.vy === 0)).toBe(true);
+  });
+
+  test('pinned beads rest without physics while their grip beats the wind, and blow away when it does not', () => {
+    const sim = createSim({ width: 1920, height: 1080, maxDrops: 6000, windX: 0.4, gravityVariance: 0.2 });
+    sim.windField = (x, y, out) => {
+      out.x = 0.1;
+      out.y = 0;
+      return out;
+    };
+    for (let i = 0; i < 5000; i++) {
+      const bead = sim.spawn(10 + (i % 100) * 19, 10 + Math.floor(i / 100) * 21, 2);
+      bead.vx = 0;
+      bead.resistance = sim.gravityBase * bead.mass * 10;
+      bead.nextRandomTime = Infinity;
+    }
+    let advanced = 0;
+    const advance = sim.advance;
+    sim.advance = function(...args) {
+      advanced++;
+      return advance.apply(this, args);
+    };
+    const capacity = sim.store.capacity;
+    run(sim, 30);
+
+    // a breeze well under their grip: no physics step for any bead
+    expect(advanced).toBe(0);
+    expect(sim.drops).toHaveLength(5000);
+    expect(sim.store.capacity).toBe(capacity);
+    expect(sim.drops.every(d => d.vx === 0 && d.vy === 0)).toBe(true);
+
+    // a gale stronger than their grip blows them along the glass
+    sim.windX = sim.gravityBase * 12;
+    run(sim, 1);
+    expect(advanced).toBe(5000);
+    expect(sim.drops.every(d => d.vx > 0)).toBe(true);
+  });
+});
@@ -0,0 +1,71 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('RainOnGlass fixed-timestep stepping', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8080/?testMode=1');
+    await page.waitForFunction(() => window.RainUtils && window.RainOnGlass);
+  });
+
+  test('step() and stepTo() advance the same simulation regardless of batching', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const run = (advance) => {
+        const rain = new window.RainOnGlass(document.createElement('canvas'), { seed: 7 });
+        for (let i = 0; i < 12; i++) rain.spawn();
+        advance(rain);
+        const state = { simTime: rain.simTime, drops: rain.drops.map(d => [d.x, d.y, d.r]) };
+        rain.destroy();
+        return state;
+      };
+      return {
+        single: run(rain => rain.step(60)),
+        batched: run(rain => { for (let i = 0; i < 60; i++) rain.step(); }),
+        target: run(rain => rain.stepTo(1))
+      };
+    });
+
+    expect(result.single.simTime).toBeCloseTo(1, 5);
+    expect(result.batched).toEqual(result.single);
+    expect(result.target).toEqual(result.single);
+  });
+});
+
+test.describe('RainOnGlass drop shape', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8080/?testMode=1');
+    await page.waitForFunction(() => window.RainUtils && window.RainOnGlass);
+  });
+
+  test('a fast drop renders taller than a resting one', async ({ page }) => {
+    const heights = await page.evaluate(() => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 400;
+      canvas.height = 300;
+      const rain = new window.RainOnGlass(canvas, { seed: 7, standalone: true, testMode: true });
+      // a plain background is enough for the lens pass, which is sized by the drop's radii
+      rain.bgSharp.width = rain.bgBlur.width = canvas.width;
+      rain.bgSharp.height = rain.bgBlur.height = canvas.height;
+      rain.hasBackground = true;
+      const slow = rain.spawn(100 * rain.dpr, 100 * rain.dpr, 10 * rain.dpr);
+      const fast = rain.spawn(300 * rain.dpr, 100 * rain.dpr, 10 * rain.dpr);
+      slow.vx = slow.vy = 0;
+      fast.vx = 0;
+      fast.vy = 12 * rain.dpr;
+      fast.spreadY = 0.4;
+      fast.stretch = 1.5;
+      const radii = [];
+      const lensFor = rain.lensFor.bind(rain);
+      rain.lensFor = (rx, ry) => {
+        radii.push(ry);
+        return lensFor(rx, ry);
+      };
+      rain.render();
+      rain.destroy();
+      return radii;
+    });
+
+    expect(heights).toHaveLength(2);
+    const [slow, fast] = heights;
+    expect(fast).toBeGreaterThan(slow * 1.5);
+  });
+});
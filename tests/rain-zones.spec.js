@@ -0,0 +1,52 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Rain obstacles and density', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8080/?testMode=1');
+    await page.waitForFunction(() => window.RainOnGlass);
+  });
+
+  test('selector obstacles follow their element on scroll', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      const block = document.createElement('div');
+      block.style.cssText = 'position:fixed;left:100px;top:200px;width:120px;height:40px';
+      block.id = 'rain-obstacle';
+      document.body.appendChild(block);
+      const rain = new window.RainOnGlass(canvas, { seed: 2, obstacles: ['#rain-obstacle'] });
+      const scale = canvas.width / canvas.getBoundingClientRect().width;
+      const first = { ...rain.sim.obstacles[0] };
+
+      block.style.top = '300px';
+      window.dispatchEvent(new Event('scroll'));
+      await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      const moved = { ...rain.sim.obstacles[0] };
+
+      rain.destroy();
+      canvas.remove();
+      block.remove();
+      return { first, moved, scale };
+    });
+
+    expect(result.first.width).toBeCloseTo(120 * result.scale, 0);
+    expect(result.moved.y - result.first.y).toBeCloseTo(100 * result.scale, 0);
+  });
+
+  test('a gradient density mask thins spawns toward the bottom', async ({ page }) => {
+    const density = await page.evaluate(() => {
+      const canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      const rain = new window.RainOnGlass(canvas, { seed: 2, densityMask: { stops: [[0, 1], [1, 0]] } });
+      const h = rain.sim.height;
+      const result = { top: rain.sim.densityAt(10, h * 0.05), bottom: rain.sim.densityAt(10, h * 0.95) };
+      rain.destroy();
+      canvas.remove();
+      return result;
+    });
+
+    expect(density.top).toBeGreaterThan(0.85);
+    expect(density.bottom).toBeLessThan(0.15);
+  });
+});
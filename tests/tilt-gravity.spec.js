@@ -0,0 +1,87 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Device tilt gravity', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8080/?testMode=1');
+    await page.waitForFunction(() => window.TiltGravity && window.RainOnGlass);
+  });
+
+  test('orientation events steer the gravity angle with smoothing', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const tilt = new window.TiltGravity({ smoothing: 0.5 });
+      const state = tilt.enable();
+      const orient = (beta, gamma) => window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { alpha: 0, beta, gamma }));
+
+      orient(0, 90); // lying on its left edge: gravity points right
+      const firstSample = tilt.angle;
+      for (let i = 0; i < 20; i++) orient(0, 90);
+      const settled = tilt.angle;
+      for (let i = 0; i < 20; i++) orient(90, 0); // upright again
+      const upright = tilt.angle;
+      tilt.disable();
+      return { state, firstSample, settled, upright };
+    });
+
+    expect(result.state).toBe('active');
+    expect(result.firstSample).toBeGreaterThan(0.1);            // only part of the way there
+    expect(result.firstSample).toBeLessThan(Math.PI / 2 - 0.1);
+    expect(result.settled).toBeCloseTo(0, 2);
+    expect(result.upright).toBeCloseTo(Math.PI / 2, 2);
+  });
+
+  test('RainOnGlass drops run sideways when tilted', async ({ page }) => {
+    const moved = await page.evaluate(() => {
+      const tilt = window.TiltGravity.shared();
+      tilt.smoothing = 1;
+      const canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      const rain = new window.RainOnGlass(canvas, { seed: 9, tilt: true });
+      rain.testMode = true;
+      window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { alpha: 0, beta: 0, gamma: 90 }));
+
+      const drop = rain.spawn(200, 200, 14 * rain.dpr);
+      drop.stick = 1;
+      drop.resistance = 0;
+      drop.nextRandomTime = Infinity;
+      rain.step(20);
+      const result = { dx: drop.x - 200, dy: drop.y - 200 };
+      rain.destroy();
+      canvas.remove();
+      tilt.disable();
+      return result;
+    });
+
+    expect(moved.dx).toBeGreaterThan(20);
+    expect(Math.abs(moved.dy)).toBeLessThan(moved.dx / 10);
+  });
+
+  test('mouse position emulates tilt on desktop', async ({ page }) => {
+    const angle = await page.evaluate(() => {
+      const tilt = new window.TiltGravity({ smoothing: 1, maxEmulatedTilt: 60 });
+      tilt.enable({ emulatePointer: true });
+      window.dispatchEvent(new PointerEvent('pointermove', { clientX: window.innerWidth, clientY: 10 }));
+      const result = tilt.angle;
+      tilt.disable();
+      return result;
+    });
+
+    expect(angle).toBeCloseTo(Math.PI / 6, 2); // 90° - 60°: gravity leaning right
+  });
+
+  test('iOS-style permission is requested on the next user gesture', async ({ page }) => {
+    const states = await page.evaluate(async () => {
+      DeviceOrientationEvent.requestPermission = async () => 'granted';
+      const tilt = new window.TiltGravity();
+      const before = tilt.enable();
+      document.dispatchEvent(new PointerEvent('pointerup'));
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const after = tilt.state;
+      tilt.disable();
+      delete DeviceOrientationEvent.requestPermission;
+      return { before, after };
+    });
+
+    expect(states).toEqual({ before: 'prompt', after: 'active' });
+  });
+});
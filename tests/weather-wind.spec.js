@@ -0,0 +1,102 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Shared wind', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8080/?testMode=1');
+    await page.waitForFunction(() => window.__wind && window.RainOnGlassEngine);
+  });
+
+  test('gusts build up and die away, the same way for the same seed', async ({ page }) => {
+    const [first, second] = await page.evaluate(async () => {
+      const { WindService } = await import('/weather-controller.js');
+      const run = () => {
+        const wind = new WindService({ seed: 'gusty', gustRate: 5, turbulence: 0 });
+        const samples = [];
+        for (let i = 0; i < 200; i++) {
+          wind.update(1 / 30);
+          samples.push(wind.x);
+        }
+        return samples;
+      };
+      return [run(), run()];
+    });
+
+    expect(first).toEqual(second);
+    expect(Math.max(...first)).toBeGreaterThan(0.8);     // a gust blew through
+    expect(Math.min(...first)).toBeCloseTo(0.2, 5);      // and calm base wind in between
+  });
+
+  test('the curl field swirls without sources or sinks', async ({ page }) => {
+    const divergence = await page.evaluate(async () => {
+      const { WindService } = await import('/weather-controller.js');
+      const wind = new WindService({ seed: 4, curl: true });
+      const e = 0.001;
+      let worst = 0;
+      let strongest = 0;
+      for (let i = 0; i < 20; i++) {
+        const u = (i % 5) / 5 + 0.1;
+        const v = Math.floor(i / 5) / 4 + 0.1;
+        const div = (wind.curlAt(u + e, v).x - wind.curlAt(u - e, v).x + wind.curlAt(u, v + e).y - wind.curlAt(u, v - e).y) / (2 * e);
+        const here = wind.curlAt(u, v);
+        worst = Math.max(worst, Math.abs(div));
+        strongest = Math.max(strongest, Math.hypot(here.x, here.y));
+      }
+      return { worst, strongest };
+    });
+
+    expect(divergence.strongest).toBeGreaterThan(0.05);
+    expect(divergence.worst).toBeLessThan(divergence.strongest);
+  });
+
+  test('the rain only follows the wind while the menu is open', async ({ page }) => {
+    await page.waitForFunction(() => window.__rainEngine?.currentEngine);
+    const pushes = () => page.evaluate(() => {
+      const wind = window.__wind;
+      wind.stop();
+      let calls = 0;
+      const manager = window.__rainEngine;
+      const setWindVector = manager.setWindVector;
+      manager.setWindVector = (...args) => {
+        calls++;
+        return setWindVector.apply(manager, args);
+      };
+      for (let i = 0; i < 5; i++) wind.update(1 / 30);
+      manager.setWindVector = setWindVector;
+      return calls;
+    });
+
+    expect(await pushes()).toBe(0);
+
+    await page.locator('.menu-wrap .toggler').check({ force: true });
+    await page.waitForFunction(() => window.__rainEngine.currentEngine?.isRunning);
+    expect(await pushes()).toBe(5);
+
+    await page.locator('.menu-wrap .toggler').uncheck({ force: true });
+    await page.waitForFunction(() => !window.__rainEngine.currentEngine?.isRunning);
+    expect(await page.evaluate(() => window.__rainEngine.windVector)).toEqual({ x: 0, y: 0, field: null });
+    expect(await pushes()).toBe(0);
+  });
+
+  test('a gust pushes RainOnGlass drops the way it blows', async ({ page }) => {
+    const windX = await page.evaluate(async () => {
+      window.__wind.stop();
+      const canvas = document.createElement('canvas');
+      document.body.appendChild(canvas);
+      const engine = new window.RainOnGlassEngine(canvas, { background: document.createElement('canvas'), wind: 0.5 });
+      await engine.initializeRainOnGlass();
+      const steady = engine.rainOnGlass.windX;
+      engine.setWindVector(1.5, 0);
+      const right = engine.rainOnGlass.windX;
+      engine.setWindVector(-1.5, 0);
+      const left = engine.rainOnGlass.windX;
+      engine.destroy();
+      canvas.remove();
+      return { steady, right, left };
+    });
+
+    expect(windX.right).toBeGreaterThan(windX.steady);
+    expect(windX.left).toBeLessThan(windX.steady);
+    expect(windX.right - windX.steady).toBeCloseTo(windX.steady - windX.left, 6);
+  });
+});
@@ -0,0 +1,41 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('WebGL context loss handling', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('http://localhost:8080/?testMode=1');
+    await page.waitForLoadState('domcontentloaded');
+  });
+
+  test('snow layer pauses on context loss and rebuilds on restore', async ({ page }) => {
+    let jsErrors = [];
+    page.on('pageerror', error => jsErrors.push(error));
+
+    // Snow registers its guard once the Three.js renderer exists
+    await page.waitForFunction(() => window.__glContext?.names.includes('snow'), null, { timeout: 10000 });
+
+    const lost = await page.evaluate(() => window.__glContext.lose('snow'));
+    test.skip(!lost, 'WEBGL_lose_context not available in this browser');
+
+    await page.waitForFunction(() => window.__glContext.isLost('snow'));
+    await page.evaluate(() => window.__glContext.restore('snow'));
+    await page.waitForFunction(() => !window.__glContext.isLost('snow'));
+
+    // Canvas is still shown after a successful restore
+    const display = await page.locator('#snow-container canvas').evaluate(el => getComputedStyle(el).display);
+    expect(display).not.toBe('none');
+    expect(jsErrors).toHaveLength(0);
+  });
+
+  test('snow canvas is hidden when the context never comes back', async ({ page }) => {
+    await page.waitForFunction(() => window.__glContext?.names.includes('snow'), null, { timeout: 10000 });
+
+    const lost = await page.evaluate(() => {
+      window.__glContext.get('snow').restoreTimeout = 200;
+      return window.__glContext.lose('snow');
+    });
+    test.skip(!lost, 'WEBGL_lose_context not available in this browser');
+
+    await expect(page.locator('#snow-container canvas')).toBeHidden({ timeout: 5000 });
+  });
+});
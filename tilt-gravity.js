@@ -0,0 +1,180 @@
+/**
+ * Tilt Gravity
+ * Steers the rain layers' gravity from DeviceOrientation/DeviceMotion so drops run
+ * sideways when a phone tilts. Opt-in: RainOnGlass and RainEngineManager take a `tilt`
+ * option (or ?tilt=1, ?tilt=mouse for the desktop emulation that maps the cursor to tilt).
+ * iOS 13+ only grants sensor access from a user gesture; enable() arms a one-shot
+ * gesture listener for that. Samples are smoothed, so tests can drive it with synthetic
+ * events and read back the angle:
+ *   window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { beta: 90, gamma: 0 }));
+ *   TiltGravity.shared().angle // radians, screen space: 0 = right, PI/2 = down
+ */
+
+const DEFAULT_GRAVITY_ANGLE = Math.PI / 2;
+const STANDARD_GRAVITY = 9.81; // m/s², DeviceMotion units
+
+let sharedTilt = null;
+
+class TiltGravity {
+  constructor(options = {}) {
+    this.smoothing = options.smoothing ?? 0.2;   // share of the way to each new sample (1 = no smoothing)
+    this.deadZone = options.deadZone ?? 0.2;     // below this in-plane strength (device near flat) keep the last direction
+    this.maxEmulatedTilt = options.maxEmulatedTilt ?? 60; // degrees at the viewport edges in pointer emulation
+    this.state = 'off'; // off | prompt | active | denied | unsupported
+
+    // smoothed gravity direction in screen space (unit-ish vector), starts straight down
+    this.x = 0;
+    this.y = 1;
+    this.strength = 1;
+    this.hasOrientation = false;
+    this.emulating = false;
+
+    this.handleOrientation = this.handleOrientation.bind(this);
+    this.handleMotion = this.handleMotion.bind(this);
+    this.handlePointer = this.handlePointer.bind(this);
+    this.handleGesture = this.handleGesture.bind(this);
+  }
+
+  static shared(options) {
+    if (!sharedTilt) sharedTilt = new TiltGravity(options);
+    return sharedTilt;
+  }
+
+  // Screen-space gravity angle in radians
+  get angle() {
+    return Math.atan2(this.y, this.x);
+  }
+
+  get active() {
+    return this.state === 'active';
+  }
+
+  // iOS exposes requestPermission() and rejects calls made outside a user gesture
+  get needsPermission() {
+    return typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function';
+  }
+
+  // Start listening; returns the resulting state. With emulatePointer the cursor position stands in for tilt.
+  enable({ emulatePointer = false } = {}) {
+    if (emulatePointer && !this.emulating) {
+      this.emulating = true;
+      window.addEventListener('pointermove', this.handlePointer);
+    }
+    if (this.state === 'active' || this.state === 'prompt') return this.state;
+
+    if (typeof window === 'undefined' || (!('DeviceOrientationEvent' in window) && !('DeviceMotionEvent' in window))) {
+      this.state = emulatePointer ? 'active' : 'unsupported';
+      return this.state;
+    }
+    if (this.needsPermission) {
+      // Wait for the next tap or click anywhere (the menu toggle counts) to ask
+      this.state = 'prompt';
+      document.addEventListener('pointerup', this.handleGesture, { once: true });
+      return this.state;
+    }
+    this.listen();
+    return this.state;
+  }
+
+  disable() {
+    window.removeEventListener('deviceorientation', this.handleOrientation);
+    window.removeEventListener('devicemotion', this.handleMotion);
+    window.removeEventListener('pointermove', this.handlePointer);
+    document.removeEventListener('pointerup', this.handleGesture, { once: true });
+    this.emulating = false;
+    this.state = 'off';
+    this.reset();
+  }
+
+  reset() {
+    this.x = 0;
+    this.y = 1;
+    this.strength = 1;
+  }
+
+  listen() {
+    window.addEventListener('deviceorientation', this.handleOrientation);
+    window.addEventListener('devicemotion', this.handleMotion);
+    this.state = 'active';
+  }
+
+  // Must run inside a user gesture on iOS; resolves 'granted' | 'denied' | 'unsupported'
+  async requestPermission() {
+    if (!this.needsPermission) {
+      this.listen();
+      return 'granted';
+    }
+    try {
+      const result = await DeviceOrientationEvent.requestPermission();
+      if (result === 'granted') {
+        // Motion has its own prompt on some iOS versions; orientation alone is enough
+        if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+          DeviceMotionEvent.requestPermission().catch(() => {});
+        }
+        this.listen();
+      } else {
+        this.state = this.emulating ? 'active' : 'denied';
+      }
+      return result;
+    } catch (error) {
+      console.warn('Tilt permission request failed:', error);
+      this.state = this.emulating ? 'active' : 'denied';
+      return 'denied';
+    }
+  }
+
+  handleGesture() {
+    this.requestPermission();
+  }
+
+  // beta: front-back tilt, gamma: left-right tilt (degrees); gravity on the screen plane
+  // is (cos β · sin γ, sin β) in the device's natural orientation
+  handleOrientation(event) {
+    if (event.beta == null || event.gamma == null) return;
+    this.hasOrientation = true;
+    const beta = event.beta * Math.PI / 180;
+    const gamma = event.gamma * Math.PI / 180;
+    this.sample(Math.cos(beta) * Math.sin(gamma), Math.sin(beta));
+  }
+
+  // Fallback for devices that only report motion: accelerationIncludingGravity is the
+  // reaction to gravity, so it points the other way along x
+  handleMotion(event) {
+    if (this.hasOrientation) return;
+    const a = event.accelerationIncludingGravity;
+    if (!a || a.x == null || a.y == null) return;
+    this.sample(-a.x / STANDARD_GRAVITY, a.y / STANDARD_GRAVITY);
+  }
+
+  // Desktop emulation: cursor at the left edge tilts gravity left, right edge tilts it right
+  handlePointer(event) {
+    if (this.hasOrientation || !window.innerWidth) return;
+    const offset = Math.max(-1, Math.min(1, (event.clientX / window.innerWidth) * 2 - 1));
+    const angle = DEFAULT_GRAVITY_ANGLE - offset * this.maxEmulatedTilt * Math.PI / 180;
+    this.sample(Math.cos(angle), Math.sin(angle), false);
+  }
+
+  // Blend a device-space gravity sample into the smoothed screen-space direction
+  sample(gx, gy, fromDevice = true) {
+    let sx = gx;
+    let sy = gy;
+    if (fromDevice) {
+      // Rotate into the current screen orientation (landscape etc.)
+      const turn = ((screen.orientation?.angle ?? window.orientation ?? 0) * Math.PI) / 180;
+      sx = gx * Math.cos(turn) + gy * Math.sin(turn);
+      sy = -gx * Math.sin(turn) + gy * Math.cos(turn);
+    }
+    const strength = Math.hypot(sx, sy);
+    this.strength += (Math.min(1, strength) - this.strength) * this.smoothing;
+    if (strength < this.deadZone) return; // lying flat: direction is noise
+    this.x += (sx / strength - this.x) * this.smoothing;
+    this.y += (sy / strength - this.y) * this.smoothing;
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TiltGravity };
+} else {
+  window.TiltGravity = TiltGravity;
+}
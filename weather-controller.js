@@ -10,10 +10,175 @@ const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/
                  || window.innerWidth <= 768;
 console.log(`Weather controller - ${isMobile ? 'Mobile' : 'Desktop'} mode`);
 
+// 🌬️ SHARED WIND - one gusty wind for the snow outside and the drops on the glass
+// The vector is in "gust" units (1 ≈ a strong gust, +x blows right, +y down); each system
+// scales it into its own units, so a gust leans the snow and the rain the same way at the
+// same moment. Gusts are seeded (RainUtils, ?seed=) and reproducible.
+const GUST_ATTACK = [0.4, 1.0];  // seconds a gust takes to build up
+const GUST_DECAY = [1.5, 3.5];   // seconds it takes to die away
+const MAX_WIND_STEP = 0.1;       // seconds; longer frames (background tabs) are clamped
+const CURL_EPSILON = 0.01;       // finite-difference step for the curl, in field units
+
+// Smooth 2D value noise for the curl field (hashed lattice, no state)
+function latticeValue(ix, iy) {
+  const h = Math.sin(ix * 127.1 + iy * 311.7) * 43758.5453;
+  return h - Math.floor(h);
+}
+
+function valueNoise(x, y) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+  const top = latticeValue(ix, iy) + (latticeValue(ix + 1, iy) - latticeValue(ix, iy)) * sx;
+  const bottom = latticeValue(ix, iy + 1) + (latticeValue(ix + 1, iy + 1) - latticeValue(ix, iy + 1)) * sx;
+  return top + (bottom - top) * sy;
+}
+
+class WindService {
+  constructor(options = {}) {
+    this.base = { x: options.x ?? 0.2, y: options.y ?? 0 }; // steady breeze
+    this.turbulence = options.turbulence ?? 0.25;   // how far the noise wanders around the base
+    this.noisePeriod = options.noisePeriod ?? 3;    // seconds between noise knots
+    this.gustRate = options.gustRate ?? 0.12;       // gusts per second on average
+    this.gustStrength = options.gustStrength ?? 1.5;
+    this.curl = options.curl ?? false;              // swirling field on top of the global vector
+    this.curlScale = options.curlScale ?? 3;        // swirls across the viewport
+    this.curlStrength = options.curlStrength ?? 0.5;
+
+    this.rng = window.RainUtils ? window.RainUtils.createRandom(options.seed, 'wind') : { next: Math.random };
+    this.time = 0;
+    this.knotPhase = 0;
+    this.knotFrom = this.randomKnot();
+    this.knotTo = this.randomKnot();
+    this.noiseOffset = this.rng.next() * 1000; // decorrelates the curl field between seeds
+    this.activeGust = null;
+    this.gust = 0; // strength of the gust blowing right now
+    this.x = this.base.x;
+    this.y = this.base.y;
+
+    this.subscribers = new Set();
+    this.frameId = null;
+    this.lastFrame = 0;
+    // Handed to subscribers as the field sampler, so keep it bound
+    this.curlAt = this.curlAt.bind(this);
+  }
+
+  randomKnot() {
+    return { x: this.rng.next() * 2 - 1, y: this.rng.next() * 2 - 1 };
+  }
+
+  between([min, max]) {
+    return min + this.rng.next() * (max - min);
+  }
+
+  // fn(wind) runs after every update; returns the unsubscribe function
+  subscribe(fn) {
+    this.subscribers.add(fn);
+    fn(this);
+    return () => this.subscribers.delete(fn);
+  }
+
+  // Advance by dt seconds and notify subscribers
+  update(dt) {
+    dt = Math.max(0, Math.min(MAX_WIND_STEP, dt));
+    this.time += dt;
+
+    // Slow wander: eased blend between random knots noisePeriod apart
+    this.knotPhase += dt / this.noisePeriod;
+    while (this.knotPhase >= 1) {
+      this.knotPhase -= 1;
+      this.knotFrom = this.knotTo;
+      this.knotTo = this.randomKnot();
+    }
+    const s = this.knotPhase * this.knotPhase * (3 - 2 * this.knotPhase);
+    const wanderX = this.knotFrom.x + (this.knotTo.x - this.knotFrom.x) * s;
+    const wanderY = this.knotFrom.y + (this.knotTo.y - this.knotFrom.y) * s;
+
+    // Gusts arrive at random, swell over the attack and fade out over the decay
+    if (!this.activeGust && this.rng.next() < this.gustRate * dt) {
+      this.activeGust = {
+        age: 0,
+        peak: this.gustStrength * (0.6 + this.rng.next() * 0.4),
+        attack: this.between(GUST_ATTACK),
+        decay: this.between(GUST_DECAY),
+        lift: (this.rng.next() * 2 - 1) * 0.2 // a little updraft or downdraft
+      };
+    }
+    this.gust = 0;
+    let lift = 0;
+    if (this.activeGust) {
+      const g = this.activeGust;
+      g.age += dt;
+      const envelope = g.age < g.attack ? g.age / g.attack : 1 - (g.age - g.attack) / g.decay;
+      if (envelope <= 0) {
+        this.activeGust = null;
+      } else {
+        this.gust = g.peak * envelope * envelope * (3 - 2 * envelope);
+        lift = g.lift;
+      }
+    }
+
+    // Gusts blow along the steady wind (rightwards in calm air)
+    const direction = Math.sign(this.base.x) || 1;
+    this.x = this.base.x + wanderX * this.turbulence + this.gust * direction;
+    this.y = this.base.y + wanderY * this.turbulence * 0.5 + this.gust * lift;
+
+    for (const fn of this.subscribers) fn(this);
+  }
+
+  // Spatial swirl at normalized viewport coordinates (0-1), added to the global vector:
+  // the curl of a drifting noise potential, so it has no sources or sinks
+  curlAt(u, v, out = { x: 0, y: 0 }) {
+    if (!this.curl) {
+      out.x = 0;
+      out.y = 0;
+      return out;
+    }
+    const drift = this.time * 0.1;
+    const px = u * this.curlScale + this.noiseOffset + drift;
+    const py = v * this.curlScale;
+    const dPdy = valueNoise(px, py + CURL_EPSILON) - valueNoise(px, py - CURL_EPSILON);
+    const dPdx = valueNoise(px + CURL_EPSILON, py) - valueNoise(px - CURL_EPSILON, py);
+    // Gusts stir the swirls up too
+    const scale = this.curlStrength * (1 + this.gust) / (2 * CURL_EPSILON * this.curlScale);
+    out.x = dPdy * scale;
+    out.y = -dPdx * scale;
+    return out;
+  }
+
+  start() {
+    if (this.frameId) return;
+    this.lastFrame = performance.now();
+    const tick = (now) => {
+      this.update((now - this.lastFrame) / 1000);
+      this.lastFrame = now;
+      this.frameId = requestAnimationFrame(tick);
+    };
+    this.frameId = requestAnimationFrame(tick);
+  }
+
+  stop() {
+    if (this.frameId) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
+}
+
 // Initialize systems
 let snowSystem = null;
-let raindropFx = null;
+let rainManager = null;
 let isRainInitialized = false;
+let wind = null;
+let rainWindOff = null; // unsubscribes the rain from the wind
+let thawFrame = null;
+let precipitation = 'rain';
+
+// ❄️→🌧️ Snow on glass (?snowOnGlass=1): while the menu is open, flakes from the snow settle
+// on the glass and the glass slowly warms, so they thaw into drops and winter turns to rain
+const snowOnGlass = new URLSearchParams(window.location.search).get('snowOnGlass') === '1';
+const GLASS_THAW = { from: -3, to: 6, seconds: 40 }; // glass °C from opening the menu to full rain
 
 // Composite background state (for live snow behind glass)
 let compositeCanvas = null;
@@ -74,104 +239,203 @@ function stopSnow() {
   }
 }
 
+// 🌬️ WIND - the snow and whichever rain engine is active follow the same gusts
+// ?windCurl=1 adds the swirl field to the drops on the glass
+function initWind() {
+  if (wind) return;
+  const params = new URLSearchParams(window.location.search);
+  wind = new WindService({ curl: params.get('windCurl') === '1' });
+  window.__wind = wind;
+
+  wind.subscribe(w => snowSystem?.setWind(w.x, w.y));
+  if (rainManager?.currentEngine?.isRunning) followWind();
+  wind.start();
+}
+
+// The snow outside always blows about; the rain only hears the wind while it runs
+function followWind() {
+  if (!wind || rainWindOff) return;
+  rainWindOff = wind.subscribe(w => rainManager?.setWindVector(w.x, w.y, w.curl ? w.curlAt : null));
+}
+
+// The last gust would otherwise stay on the paused glass; back to the steady wind
+function unfollowWind() {
+  if (!rainWindOff) return;
+  rainWindOff();
+  rainWindOff = null;
+  rainManager?.setWindVector(0, 0);
+}
+
+// 🧊 PRECIPITATION - ?precip=hail|sleet: ice pellets fall outside and strike the glass;
+// rain keeps the snow outside and plain drops on the glass
+const PRECIPITATION_TYPES = ['rain', 'sleet', 'hail'];
+
+function setPrecipitation(type) {
+  precipitation = PRECIPITATION_TYPES.includes(type) ? type : 'rain';
+  snowSystem?.setPrecipitation(precipitation === 'rain' ? 'snow' : precipitation);
+  rainManager?.setPrecipitation(precipitation);
+}
+
 // 🌧️ RAIN SYSTEM (Overlay Menu) - Pre-initialize for instant startup
+// RainEngineManager picks the best tier: RaindropFX (WebGL) → RainOnGlass (Canvas2D) → SVG droplets
 async function preInitRain() {
   if (!rainCanvas || isRainInitialized) return;
   
   console.log('Pre-initializing rain system for instant startup...');
   
-  // Resize canvas to match window
+  // Load city background image; the engines fall back to their own backdrop without it
+  cityBackgroundImage = await loadCityBackground();
+
+  rainManager = createRainManager();
+  rainManager.createEngine();
+  window.__rainEngine = rainManager;
+  
+  // Resize canvas to match window (the manager may swap the canvas when it falls back)
   function resizeCanvas() {
-    const rect = rainCanvas.getBoundingClientRect();
-    rainCanvas.width = rect.width;
-    rainCanvas.height = rect.height;
+    const rect = rainManager.canvas.getBoundingClientRect();
+    rainManager.resize(rect.width, rect.height);
   }
   
   resizeCanvas();
   window.addEventListener('resize', resizeCanvas);
 
-  // Load city background image
-  cityBackgroundImage = new Image();
-  cityBackgroundImage.src = '/city-night-bg.jpg';
-  await new Promise((resolve, reject) => {
-    cityBackgroundImage.onload = resolve;
-    cityBackgroundImage.onerror = reject;
-  });
+  isRainInitialized = true;
+  console.log(`Rain pre-initialized (${rainManager.getEngineInfo().type}) and ready for instant startup`);
+}
 
-  console.log('City background image pre-loaded');
+function loadCityBackground() {
+  return new Promise(resolve => {
+    const image = new Image();
+    image.onload = () => {
+      console.log('City background image pre-loaded');
+      resolve(image);
+    };
+    image.onerror = () => {
+      console.warn('City background image failed to load - using engine default backdrop');
+      resolve(null);
+    };
+    image.src = '/city-night-bg.jpg';
+  });
+}
 
-  // Initialize RaindropFX with just the city background
-  // The snow layer will be visible THROUGH the glass via canvas blend mode
-  raindropFx = new RaindropFX({
-    canvas: rainCanvas,
+// Rain renders the city background; the snow layer stays visible THROUGH the glass via canvas blend mode
+function createRainManager() {
+  const tiltParam = new URLSearchParams(window.location.search).get('tilt');
+  const manager = new RainEngineManager(rainCanvas, {
     background: cityBackgroundImage,
+    intensity: isMobile ? 1 : 2,
+    fallbackChain: ['webgl', 'canvas2d', 'svg'],
+    svgContainer: '.menu-wrap .menu .droplets',
+    // Opt-in device tilt gravity: ?tilt=1 on phones, ?tilt=mouse to emulate it with the cursor
+    tilt: tiltParam && tiltParam !== '0' ? tiltParam : false,
+    raindropFx: {
+      // Rendering options - SHARP background with MODERATE mist (Mobile-optimized)
+      backgroundBlurSteps: isMobile ? 1 : 2,
+      mist: true,
+      mistColor: [0.04, 0.05, 0.06, 0.7],
+      mistTime: 8,
+      mistBlurStep: isMobile ? 2 : 3,
+
+      // Droplet spawning - GENTLE rain (Fewer on mobile)
+      dropletsPerSeconds: isMobile ? 25 : 40,
+      dropletSize: isMobile ? [6, 20] : [8, 25],
+
+      // Raindrop appearance - SUBTLE refraction (realistic)
+      smoothRaindrop: [0.96, 1.0],
+      refractBase: 0.3,
+      refractScale: 0.4,
+      raindropCompose: "smoother",
 
-    // Rendering options - SHARP background with MODERATE mist (Mobile-optimized)
-    backgroundBlurSteps: isMobile ? 1 : 2,
-    mist: true,
-    mistColor: [0.04, 0.05, 0.06, 0.7],
-    mistTime: 8,
-    mistBlurStep: isMobile ? 2 : 3,
-
-    // Droplet spawning - GENTLE rain (Fewer on mobile)
-    dropletsPerSeconds: isMobile ? 25 : 40,
-    dropletSize: isMobile ? [6, 20] : [8, 25],
-
-    // Raindrop appearance - SUBTLE refraction (realistic)
-    smoothRaindrop: [0.96, 1.0],
-    refractBase: 0.3,
-    refractScale: 0.4,
-    raindropCompose: "smoother",
-
-    // Lighting - Subtle glass/water properties
-    raindropLightPos: [-1, 1, 2, 0],
-    raindropDiffuseLight: [0.3, 0.3, 0.3],
-    raindropShadowOffset: 0.6,
-    raindropSpecularLight: [0.2, 0.2, 0.2],
-    raindropSpecularShininess: 128,
-    raindropLightBump: 0.7,
-    raindropEraserSize: [0.88, 1.05],
-
-    // Physics simulation - GENTLE (Mobile-optimized)
-    spawnInterval: [0.03, 0.12],
-    spawnSize: isMobile ? [50, 120] : [60, 150],
-    spawnLimit: isMobile ? 400 : 800,
-    slipRate: 0.6,
-    motionInterval: [0.2, 0.8],
-    xShifting: [0.0, 0.06],
-    colliderSize: 0.8,
-    trailDropDensity: 0.2,
-    trailDropSize: [0.3, 0.5],
-    trailDistance: [20, 30],
-    trailSpread: 0.4,
-    initialSpread: 0.5,
-    shrinkRate: 0.015,
-    velocitySpread: 0.3,
-    evaporate: 15,
-    gravity: 1200,
+      // Lighting - Subtle glass/water properties
+      raindropLightPos: [-1, 1, 2, 0],
+      raindropDiffuseLight: [0.3, 0.3, 0.3],
+      raindropShadowOffset: 0.6,
+      raindropSpecularLight: [0.2, 0.2, 0.2],
+      raindropSpecularShininess: 128,
+      raindropLightBump: 0.7,
+      raindropEraserSize: [0.88, 1.05],
+
+      // Physics simulation - GENTLE (Mobile-optimized)
+      spawnInterval: [0.03, 0.12],
+      spawnSize: isMobile ? [50, 120] : [60, 150],
+      spawnLimit: isMobile ? 400 : 800,
+      slipRate: 0.6,
+      motionInterval: [0.2, 0.8],
+      xShifting: [0.0, 0.06],
+      colliderSize: 0.8,
+      trailDropDensity: 0.2,
+      trailDropSize: [0.3, 0.5],
+      trailDistance: [20, 30],
+      trailSpread: 0.4,
+      initialSpread: 0.5,
+      shrinkRate: 0.015,
+      velocitySpread: 0.3,
+      evaporate: 15,
+      gravity: 1200,
+    },
+    // Calm Canvas2D settings shared with the standalone rain-on-glass integration
+    rainOnGlass: window.RainOnGlass?.menuPreset
   });
 
-  isRainInitialized = true;
-  console.log("RaindropFX pre-initialized and ready for instant startup");
+  manager.addEventListener('fallback', (event) => {
+    const { from, to, reason } = event.detail;
+    console.warn(`Rain engine fell back ${from} → ${to} (${reason})`);
+  });
+
+  return manager;
 }
 
-function startRain() {
-  if (!raindropFx || !isRainInitialized) {
+async function startRain() {
+  if (!rainManager || !isRainInitialized) {
     console.error('Rain not initialized yet!');
     return;
   }
   
-  raindropFx.start();
-  console.log("Rain system - started instantly!");
+  try {
+    await rainManager.start();
+    followWind();
+    startThaw();
+    console.log(`Rain system - started instantly! (${rainManager.getEngineInfo().type})`);
+  } catch (error) {
+    // Every tier failed; the frosted CSS overlay still reads as glass
+    console.error('Rain system - no engine could start:', error);
+  }
 }
 
 function stopRain() {
-  if (raindropFx && isRainInitialized) {
-    raindropFx.stop();
+  if (rainManager && isRainInitialized) {
+    stopThaw();
+    unfollowWind();
+    rainManager.stop();
     console.log("Rain system - stopped");
   }
 }
 
+// The snowfall follows the snow outside and eases off as the glass warms past freezing.
+// Once the glass is warm and no more snow falls the settings hold, so the loop ends there
+function startThaw() {
+  if (!snowOnGlass || thawFrame) return;
+  const opened = performance.now();
+  const tick = (now) => {
+    const t = Math.min(1, (now - opened) / 1000 / GLASS_THAW.seconds);
+    const snowfall = (snowSystem?.currentIntensity ?? 1) * (1 - t);
+    rainManager.setSnowOnGlass({
+      snowfall,
+      temperature: GLASS_THAW.from + (GLASS_THAW.to - GLASS_THAW.from) * t
+    });
+    thawFrame = t === 1 && snowfall === 0 ? null : requestAnimationFrame(tick);
+  };
+  thawFrame = requestAnimationFrame(tick);
+}
+
+// Closing the menu clears the glass, thawed or not; the next opening starts cold again
+function stopThaw() {
+  if (!snowOnGlass) return;
+  if (thawFrame) cancelAnimationFrame(thawFrame);
+  thawFrame = null;
+  rainManager.setSnowOnGlass(null);
+}
+
 // 🌦️ WEATHER TOGGLE - Wire to menu toggler
 // Snow ALWAYS runs, rain ADDS on top when menu opens (layered effect)
 if (toggler && rainCanvas) {
@@ -193,21 +457,27 @@ if (toggler && rainCanvas) {
 }
 
 // 🚀 INITIALIZE ON PAGE LOAD
-if (typeof RaindropFX !== 'undefined') {
-  // Wait for DOM to be fully ready, then pre-init both systems
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', async () => {
+async function initWeather() {
+  if (typeof RainEngineManager !== 'undefined') {
+    try {
       await preInitRain();
-      initSnow(); // Start snow immediately on page load
-    });
+    } catch (error) {
+      console.error('Rain pre-initialization failed:', error);
+    }
   } else {
-    // DOM already loaded
-    (async () => {
-      await preInitRain();
-      initSnow(); // Start snow immediately on page load
-    })();
+    console.error('RainEngineManager not loaded!');
   }
-} else {
-  console.error('RaindropFX library not loaded!');
+  initSnow(); // Start snow immediately on page load
+  initWind();
+  setPrecipitation(new URLSearchParams(window.location.search).get('precip'));
 }
 
+export { WindService, setPrecipitation };
+
+// Wait for DOM to be fully ready, then pre-init both systems
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initWeather);
+} else {
+  // DOM already loaded
+  initWeather();
+}